@@ -8,7 +8,7 @@
  * Primary Responsibilities:
  * - Store management (create, read, update operations)
  * - Shipping rate calculations with multi-factor pricing
- * - Order creation and transformation
+ * - Order creation, transformation, updates and cancellation
  * - Payment strategy implementation
  * - Data format conversion between Shopify and Deliveright
  * 
@@ -16,7 +16,8 @@
  * 1. Store Management: CRUD operations for retailer accounts
  * 2. Rate Calculator: Real-time shipping cost calculations
  * 3. Order Processing: Transform Shopify orders to Deliveright format
- * 4. Payment Strategies: Support for 5 different pricing models
+ * 4. Payment Strategies: Support for 5 different pricing models, optionally
+ *    selected per quote by the shop's pricing rules
  * 5. Origin Location Handling: Automatic fallback for missing warehouse data
  * 6. GraphQL Integration: Fetch location data from Shopify API
  * 
@@ -46,10 +47,11 @@
  * // Create a store
  * const store = await deliveright.createStore(storeData);
  * 
- * // Calculate shipping rate
- * const rate = await deliveright.calculateShippingRate(
+ * // Quote a service level: carrier cost, then the checkout price
+ * const { cost } = await deliveright.calculateShippingCost(
  *   shopId, rateRequest, serviceLevel, retailer
  * );
+ * const { price } = deliveright.priceBreakdown(cost, rateRequest, serviceLevel, retailer);
  * 
  * // Create an order
  * const order = await deliveright.newOrder(orderData, store, shopId);
@@ -65,6 +67,7 @@
  * @requires lodash
  * @requires ../config
  * @requires ../shopify
+ * @requires ../utils/measurement
  * 
  * @author Deliveright Development Team
  * @version 1.0.0
@@ -78,23 +81,10 @@ import axios from "axios";
 import config from "../config.js";
 import _ from "lodash";
 import shopify from "../shopify.js";
-
-// ============================================================================
-// CONSTANTS - Unit Conversions
-// ============================================================================
-
-/**
- * Conversion factor: grams to pounds
- * Used to convert Shopify weights (in grams) to Deliveright weights (in lbs)
- * 
- * @constant {number}
- * @default 453.592
- * 
- * @example
- * // Convert 1000 grams to pounds
- * const weightInPounds = 1000 / LBS;  // 2.20462 lbs
- */
-const LBS = 453.592;
+import { resolvePaymentSettings } from "../utils/pricingRules.js";
+import { calculatorWindow } from "../utils/deliveryEstimates.js";
+import { dimensionParams, getVariantDimensions } from "../utils/itemDimensions.js";
+import { itemPounds, linePounds, totalPounds } from "../utils/measurement.js";
 
 // ============================================================================
 // CLASS DEFINITION - Deliveright API Client
@@ -118,10 +108,12 @@ class DeliverightApi {
    * Creates a new instance with configured API endpoints. All endpoints
    * include client_id and client_secret query parameters for authentication.
    * 
-   * The constructor sets up three main API endpoints:
+   * The constructor sets up five main API endpoints:
    * 1. Store endpoint: For retailer account management
    * 2. Shipping endpoint: For rate calculations
    * 3. Order endpoint: For order creation and processing
+   * 4. Cancel endpoint: For cancelling submitted orders
+   * 5. Update endpoint: For changing submitted orders
    * 
    * @constructor
    * @param {string} DELIVERIGHT_ID - Client ID for API authentication
@@ -163,6 +155,30 @@ class DeliverightApi {
      * @private
      */
     this.newOrderUrl = `${config.deliverightApi}/api/shopify/order?client_id=${DELIVERIGHT_ID}&client_secret=${DELIVERIGHT_SECRET}`;
+    
+    /**
+     * Order cancellation API endpoint
+     * Used for cancelling orders already submitted to Deliveright
+     * Null until the path is configured (config.orderEndpoints.cancel)
+     * 
+     * @type {string|null}
+     * @private
+     */
+    this.cancelOrderUrl = config.orderEndpoints.cancel
+      ? `${config.deliverightApi}${config.orderEndpoints.cancel}?client_id=${DELIVERIGHT_ID}&client_secret=${DELIVERIGHT_SECRET}`
+      : null;
+    
+    /**
+     * Order update API endpoint
+     * Used for pushing Shopify order changes to orders already submitted
+     * Null until the path is configured (config.orderEndpoints.update)
+     * 
+     * @type {string|null}
+     * @private
+     */
+    this.updateOrderUrl = config.orderEndpoints.update
+      ? `${config.deliverightApi}${config.orderEndpoints.update}?client_id=${DELIVERIGHT_ID}&client_secret=${DELIVERIGHT_SECRET}`
+      : null;
   }
 
   // ==========================================================================
@@ -455,23 +471,20 @@ class DeliverightApi {
   // ==========================================================================
 
   /**
-   * Calculate shipping rate for a delivery request
-   * 
-   * This method performs real-time shipping cost calculations by calling
-   * Deliveright's rate calculation API. It considers multiple factors:
-   * - Origin and destination postal codes
-   * - Total weight and individual item weights
-   * - Service level (white glove, threshold, etc.)
-   * - Pricing type and payment strategy
-   * - Accessorial fees (stairs, lift gate, etc.)
+   * Get the carrier cost of a delivery request from the Deliveright calculator
    * 
    * Calculation Process:
    * 1. Convert weights from grams to pounds
-   * 2. Build rate request URL with all parameters
+   * 2. Build rate request URL with all parameters, including item
+   *    dimensions and piece counts when known (see utils/itemDimensions)
    * 3. Call Deliveright shipping API
    * 4. Sum base cost and accessorial fees
-   * 5. Apply payment strategy adjustments
-   * 6. Format and return final price
+   * 5. Read the delivery window, if the calculator reported one
+   * 
+   * The cost is in dollars and has no payment strategy applied: priceBreakdown
+   * turns it into the checkout price. Carts shipping from several origins are
+   * quoted one origin at a time; the summed cost is then priced once, so
+   * payment strategies and pricing rules see the whole cart.
    * 
    * @param {string} IDENTIFIER - Store identifier (shop domain)
    * @param {Object} data - Rate request data from Shopify
@@ -486,10 +499,12 @@ class DeliverightApi {
    * @param {string} serviceLevel - Service level code (e.g., 'wg', 'thr')
    * @param {Object} retailer - Store/retailer configuration
    * @param {string} [retailer.pricing_type="1"] - Pricing type identifier
-   * @param {Object} retailer.settings - Store settings
-   * @param {Object} retailer.settings.payment - Payment configuration
+   * @param {Object} [options={}] - Request options
+   * @param {number} [options.timeout] - Abort the calculator request after this many milliseconds
    * 
-   * @returns {Promise<number>} Calculated shipping price in cents
+   * @returns {Promise<Object>} { cost, delivery, raw }: carrier cost in dollars, the
+   *   calculator's delivery window (null when not reported) and the raw calculator
+   *   result (kept for the rate quote audit log)
    * 
    * @throws {string} Error message if calculation fails
    * @throws {Object} API error response if request fails
@@ -514,19 +529,20 @@ class DeliverightApi {
    * };
    * 
    * try {
-   *   const price = await deliveright.calculateShippingRate(
+   *   const { cost, delivery } = await deliveright.calculateShippingCost(
    *     'example.myshopify.com',
    *     rateRequest,
    *     'wg',  // White Glove service
    *     retailer
    *   );
-   *   console.log('Shipping cost:', price / 100, 'USD');
+   *   const { price } = deliveright.priceBreakdown(cost, rateRequest, 'wg', retailer);
+   *   console.log('Shipping price:', price / 100, 'USD', delivery);
    * } catch (error) {
    *   console.error('Rate calculation failed:', error);
    * }
    */
-  calculateShippingRate(IDENTIFIER, data, serviceLevel, retailer) {
-    console.log("calculateShippingRate: Calculating rate for ID", IDENTIFIER, "Service:", serviceLevel);
+  calculateShippingCost(IDENTIFIER, data, serviceLevel, retailer, options = {}) {
+    console.log("calculateShippingCost: Calculating cost for ID", IDENTIFIER, "Service:", serviceLevel, "Origin:", data.rate.origin?.postal_code);
     
     return new Promise((resolve, reject) => {
       // Extract destination and origin from rate request
@@ -536,22 +552,15 @@ class DeliverightApi {
       // Get pricing type from retailer config, default to "1"
       const PRICING_TYPE = retailer.pricing_type || "1";
       
-      // Initialize weight variables
-      let WEIGHT = 0;  // Total weight in pounds
-      let WEIGHT_PER_ITEM = "";  // URL query string for individual weights
-
-      // Calculate total weight and build per-item weight parameters
-      for (let product of data.rate.items) {
-        // Add weight for this product (grams * quantity converted to lbs)
-        WEIGHT += product.grams * product.quantity;
-        
-        // Append individual item weight to query string
-        // This allows Deliveright to consider dimensional weight and multi-piece shipments
-        WEIGHT_PER_ITEM += `&item_weight=${(product.grams * product.quantity) / LBS}`;
-      }
+      // Total weight in pounds, from the same per-unit weights orders are sent with
+      const WEIGHT = totalPounds(data.rate.items);
+      
+      // Individual item weights (pounds x quantity) as a URL query string
+      // This allows Deliveright to consider dimensional weight and multi-piece shipments
+      const WEIGHT_PER_ITEM = data.rate.items.map((product) => `&item_weight=${linePounds(product)}`).join("");
       
-      // Convert total weight from grams to pounds
-      WEIGHT = WEIGHT / LBS;
+      // Per-item length/width/height/boxes and total pieces, when known
+      const DIMENSIONS = dimensionParams(data.rate.items);
       
       // Configure rate calculation request
       // Query parameters include:
@@ -563,20 +572,22 @@ class DeliverightApi {
       // - service_level: Delivery service type
       // - pricing_type: Pricing tier/type
       // - item_weight: Individual item weights (repeated parameter)
+      // - item_length/item_width/item_height/item_boxes, pieces: Freight size (optional)
       var config = {
         method: "get",
-        url: `${this.shippingUrl}&steps=1&retailer_identifier=${IDENTIFIER}&zip=${DESTINATION.postal_code}&weight=${WEIGHT}&pickup_region=${ORIGIN.postal_code}&service_level=${serviceLevel}&pricing_type=${PRICING_TYPE}${WEIGHT_PER_ITEM}`,
+        url: `${this.shippingUrl}&steps=1&retailer_identifier=${IDENTIFIER}&zip=${DESTINATION.postal_code}&weight=${WEIGHT}&pickup_region=${ORIGIN.postal_code}&service_level=${serviceLevel}&pricing_type=${PRICING_TYPE}${WEIGHT_PER_ITEM}${DIMENSIONS}`,
         headers: {
           "Content-Type": "application/json",
         },
+        timeout: options.timeout,
       };
 
-      console.log("calculateShippingRate: Sending rate request", config.url);
+      console.log("calculateShippingCost: Sending rate request", config.url);
       
       // Execute rate calculation request
       axios(config)
         .then((res) => {
-          console.log("calculateShippingRate: Rate response received", res.status);
+          console.log("calculateShippingCost: Rate response received", res.status);
           
           // Check if response contains an error code
           if (!res.data.data.errorCode) {
@@ -584,35 +595,67 @@ class DeliverightApi {
             
             // Validate that result contains cost information
             if (!shippingResult || !shippingResult.cost) {
-              console.warn("calculateShippingRate: No cost in response");
+              console.warn("calculateShippingCost: No cost in response");
               return reject("Calculator was not able to calculate cost");
             }
             
-            // Calculate final price through multi-step process:
-            // 1. Sum base cost and accessorial fees (stairs, lift gate, etc.)
-            // 2. Apply payment strategy (customer pays all, split, fixed, etc.)
-            // 3. Format price to cents and apply limits
-            const price = this.formatPrice(
-              this.getPriceByPaymentType(this.sumAccessorials(shippingResult), retailer.settings),
-              retailer.settings
-            );
+            // Sum base cost and accessorial fees (stairs, lift gate, etc.)
+            const cost = this.sumAccessorials(shippingResult);
             
-            console.log("calculateShippingRate: Calculated price", price);
-            resolve(price);
+            // Delivery window reported by the calculator, if any
+            const delivery = calculatorWindow(shippingResult);
+            
+            console.log("calculateShippingCost: Calculated cost", cost, "delivery:", delivery);
+            resolve({ cost, delivery, raw: shippingResult });
           } else {
             // API returned an error code in the response
-            console.warn("calculateShippingRate: Error in response", res.data.data);
+            console.warn("calculateShippingCost: Error in response", res.data.data);
             reject(res.data.data);
           }
         })
         .catch((error) => {
           // Handle network or API errors
-          console.error("calculateShippingRate: Error fetching rate", error.message);
+          console.error("calculateShippingCost: Error fetching rate", error.message);
           reject(error);
         });
     });
   }
 
+  /**
+   * Price a carrier cost and keep every intermediate step
+   * 
+   * Calculation Process:
+   * 1. Pick payment settings from the first matching pricing rule
+   *    (service level, cart subtotal, destination state), if any
+   * 2. Apply payment strategy (customer pays all, split, fixed, etc.)
+   * 3. Format price to cents and apply limits
+   * 
+   * The steps are kept for the rate quote audit log.
+   * 
+   * @param {number} cost - Carrier cost in dollars, after sumAccessorials
+   * @param {Object} data - Rate request data ({ rate, cart_items }): eligible
+   *   items in `rate`, every cart item in `cart_items` (pricing rule subtotals)
+   * @param {string} serviceLevel - Service level code (e.g., 'wg', 'thr')
+   * @param {Object} retailer - Store/retailer configuration
+   * @returns {Object} Breakdown
+   * @returns {number} return.cost - Cost after sumAccessorials (dollars)
+   * @returns {Object} return.payment - Payment settings applied (after pricing rules)
+   * @returns {number} return.after_payment - Result of getPriceByPaymentType (dollars)
+   * @returns {number} return.price - Result of formatPrice (cents)
+   */
+  priceBreakdown(cost, data, serviceLevel, retailer) {
+    // Pricing rules may replace the payment strategy for this quote
+    const settings = resolvePaymentSettings(retailer.settings, {
+      serviceLevel,
+      rate: data.rate,
+      cartItems: data.cart_items,
+    });
+    
+    const after_payment = this.getPriceByPaymentType(cost, settings);
+    const price = this.formatPrice(after_payment, settings);
+    return { cost, payment: settings.payment, after_payment, price };
+  }
+
   // ==========================================================================
   // ORDER PROCESSING METHODS
   // ==========================================================================
@@ -686,7 +729,22 @@ class DeliverightApi {
     let order = await this.createDeliverightOrder(data, store, store_id);
     
     console.log("newOrder: Order data prepared for store ID", store_id);
-    console.log("newOrder: Order data", JSON.stringify(order, null, 2));
+    return this.sendOrder(order);
+  }
+
+  /**
+   * Submit an order already in Deliveright format
+   * 
+   * Used by newOrder, and by the order queue (utils/orderQueue), which keeps
+   * the payload built by createDeliverightOrder and retries it as is.
+   * 
+   * @async
+   * @param {Object} order - Order built by createDeliverightOrder
+   * @returns {Promise<Object>} API response from Deliveright
+   * @throws {Error} API error with response details
+   */
+  async sendOrder(order) {
+    console.log("sendOrder: Order data", JSON.stringify(order, null, 2));
 
     // Configure HTTP POST request
     const config = {
@@ -699,12 +757,103 @@ class DeliverightApi {
     try {
       // Submit order to Deliveright API
       const res = await axios(config);
-      console.log("newOrder: Order sent successfully", res.status);
-      console.log("newOrder: Response data", res.data);
+      console.log("sendOrder: Order sent successfully", res.status);
+      console.log("sendOrder: Response data", res.data);
       return res.data;
     } catch (e) {
       // Log detailed error information for debugging
-      console.error("newOrder: Error sending order", e.message);
+      console.error("sendOrder: Error sending order", e.message);
+      console.error("Error details:", JSON.stringify(e.response?.data, null, 2));
+      throw e;
+    }
+  }
+
+  /**
+   * Cancel an order previously submitted to Deliveright
+   * 
+   * The order is identified the same way it was created: by its Shopify
+   * order ID (`ref_order_number`) and the retailer identifier, plus the
+   * Deliveright order ID when the creation response reported one.
+   * 
+   * @async
+   * @param {Object} data - Cancelled Shopify order (orders/cancelled webhook payload)
+   * @param {string} store_id - Store identifier (shop domain)
+   * @param {string|null} [orderId] - Deliveright order ID from the creation response
+   * @returns {Promise<Object>} API response from Deliveright
+   * @throws {Error} API error with response details, or if no cancellation
+   *   path is configured (DELIVERIGHT_CANCEL_ORDER_PATH)
+   */
+  async cancelOrder(data, store_id, orderId = null) {
+    console.log("cancelOrder: Cancelling order", data.id, "for store ID", store_id);
+    if (!this.cancelOrderUrl) {
+      throw new Error("Order cancellation is not configured (DELIVERIGHT_CANCEL_ORDER_PATH)");
+    }
+
+    const config = {
+      method: "post",
+      url: this.cancelOrderUrl,
+      headers: { "Content-Type": "application/json" },
+      data: {
+        order: {
+          source: "shopify",
+          order_id: orderId,
+          sales_order_number: data.name || "",
+          ref_order_number: data.id?.toString() || "",
+          retailer: { identifier: store_id },
+          reason: data.cancel_reason || "",
+        },
+      },
+    };
+
+    try {
+      const res = await axios(config);
+      console.log("cancelOrder: Order cancelled successfully", res.status);
+      return res.data;
+    } catch (e) {
+      console.error("cancelOrder: Error cancelling order", e.message);
+      console.error("Error details:", JSON.stringify(e.response?.data, null, 2));
+      throw e;
+    }
+  }
+
+  /**
+   * Update an order previously submitted to Deliveright
+   * 
+   * Sends the order rebuilt by createDeliverightOrder in full, with the
+   * fields that changed since the last payload sent. Deliveright rejects
+   * changes it can no longer accept (e.g. once the delivery is scheduled or
+   * dispatched) with a 409 or 422 response (see utils/orderUpdates).
+   * 
+   * @async
+   * @param {Object} order - Order built by createDeliverightOrder
+   * @param {string|null} orderId - Deliveright order ID from the creation response
+   * @param {Array<string>} changes - Changed fields (e.g. 'customer.address', 'line_items')
+   * @returns {Promise<Object>} API response from Deliveright
+   * @throws {Error} API error with response details, or if no update path
+   *   is configured (DELIVERIGHT_UPDATE_ORDER_PATH)
+   */
+  async updateOrder(order, orderId, changes) {
+    console.log("updateOrder: Updating order", order.order.ref_order_number, "changes", changes);
+    if (!this.updateOrderUrl) {
+      throw new Error("Order updates are not configured (DELIVERIGHT_UPDATE_ORDER_PATH)");
+    }
+
+    const config = {
+      method: "post",
+      url: this.updateOrderUrl,
+      headers: { "Content-Type": "application/json" },
+      data: {
+        order: { ...order.order, order_id: orderId },
+        changes,
+      },
+    };
+
+    try {
+      const res = await axios(config);
+      console.log("updateOrder: Order updated successfully", res.status);
+      return res.data;
+    } catch (e) {
+      console.error("updateOrder: Error updating order", e.message);
       console.error("Error details:", JSON.stringify(e.response?.data, null, 2));
       throw e;
     }
@@ -717,7 +866,8 @@ class DeliverightApi {
    * - Data format conversion from Shopify to Deliveright
    * - Origin location resolution with multiple fallback mechanisms
    * - GraphQL queries to Shopify for missing location data
-   * - Weight unit conversion (grams to pounds)
+   * - Weight unit conversion to pounds (see utils/measurement)
+   * - Freight dimensions and box counts from product/variant metafields
    * - Customer and address data extraction
    * - Service level detection
    * - Data validation and logging
@@ -745,6 +895,7 @@ class DeliverightApi {
    * @param {Object} data.customer_address - Billing/customer address (fallback)
    * @param {Array<Object>} data.line_items - Order line items
    * @param {Object} data.line_items[].origin_location - Item origin (may be incomplete)
+   * @param {number} data.line_items[].variant_id - Variant ID used to look up dimensions
    * @param {Array<Object>} data.fulfillments - Fulfillment records
    * @param {number} data.fulfillments[].location_id - Fulfillment location ID
    * @param {Array<Object>} data.shipping_lines - Shipping methods
@@ -817,6 +968,18 @@ class DeliverightApi {
       },
     });
 
+    // Freight dimensions and box counts from product/variant metafields
+    // A lookup failure only leaves the items weight-only
+    let dimensions = {};
+    try {
+      dimensions = await getVariantDimensions(
+        { shop: store_id, accessToken: retailer.settings.auth.access_token },
+        (data.line_items || []).map((li) => li.variant_id)
+      );
+    } catch (error) {
+      console.error("createDeliverightOrder: Error fetching item dimensions", error.message);
+    }
+
     // ==========================================================================
     // PROCESS LINE ITEMS - Origin Location Resolution
     // ==========================================================================
@@ -991,7 +1154,7 @@ class DeliverightApi {
         name: line_item.title,
         quantity: line_item.quantity,
         retail_value: line_item.price,
-        weight: line_item.grams ? Number((line_item.grams / 453.592).toFixed(2)) : 0,  // Convert grams to lbs
+        weight: itemPounds(line_item),  // Pounds per unit (see utils/measurement)
         vendor: line_item.vendor,
         freight_info: {
           is_fob,  // Free on board flag (last mile only)
@@ -1013,6 +1176,15 @@ class DeliverightApi {
         },
       };
       
+      // Add freight dimensions (inches) and box count when known
+      const itemDimensions = dimensions[line_item.variant_id];
+      if (itemDimensions) {
+        drl_item.length = itemDimensions.length;
+        drl_item.width = itemDimensions.width;
+        drl_item.height = itemDimensions.height;
+        drl_item.boxes = itemDimensions.boxes;
+      }
+      
       line_items.push(drl_item);
     }
 
@@ -88,6 +88,17 @@ console.log("Config: Loading environment variables from .env"); // Logs environm
  * @property {Object} carrierService - Shopify carrier service configuration
  * @property {Object} serviceLevels - Available delivery service level definitions
  * @property {Object} paymentStrategies - Payment calculation strategy enumerations
+ * @property {Object} rateCache - Carrier rate cache settings
+ * @property {Object} rateQuoting - Checkout time budget for rate quotes
+ * @property {Object} mixedCartPolicies - How carts mixing service levels are quoted
+ * @property {Object} rateAudit - Rate quote audit log settings
+ * @property {Object} eligibilitySources - Where a product's service levels are read from
+ * @property {Object} eligibilityMetafield - Default metafield holding service levels
+ * @property {Object} productCache - Local product eligibility cache settings
+ * @property {Object} bulkTagging - Bulk service level tagging limits
+ * @property {Object} orderQueue - Retry policy of order submissions to Deliveright
+ * @property {Object} orderTriggers - Shopify events that can send an order to Deliveright
+ * @property {Object} orderEndpoints - Deliveright paths for cancelling and updating sent orders
  */
 let config = {};
 
@@ -147,6 +158,7 @@ console.log("Config: Initialized API and host settings"); // Logs API and host c
  * 
  * Scope Breakdown:
  * - read_products: View product catalog, variants, and inventory
+ * - write_products: Apply service level tags and metafields in bulk
  * - write_shipping: Create and modify shipping zones and rates
  * - read_shipping: View shipping zones and rates
  * - read_fulfillments: View order fulfillment status
@@ -167,6 +179,7 @@ console.log("Config: Initialized API and host settings"); // Logs API and host c
  */
 config.shopifyAppScopes = [
   "read_products",        // Required: Filter products for Deliveright eligibility
+  "write_products",       // Required: Bulk service level tagging
   "write_shipping",       // Required: Create carrier service
   "read_shipping",        // Required: Verify carrier service configuration
   "read_fulfillments",    // Required: Track delivery status
@@ -845,6 +858,322 @@ config.paymentStrategies = {
 
 console.log("Config: Defined payment strategies", Object.keys(config.paymentStrategies).length, "strategies"); // Logs payment strategies setup
 
+// ============================================================================
+// SECTION 6: RATE CACHE CONFIGURATION
+// ============================================================================
+
+/**
+ * Carrier rate cache settings
+ *
+ * Shopify calls the carrier endpoint on every checkout refresh. Cached results
+ * let unchanged carts skip product filtering and calculator requests.
+ *
+ * @property {number} ttl - Seconds an entry stays valid (0 disables the cache)
+ *   - Loaded from RATE_CACHE_TTL, defaults to 300 (5 minutes)
+ * @property {number} maxEntries - Maximum cached entries kept per shop
+ *
+ * @type {Object}
+ * @constant
+ */
+config.rateCache = {
+  ttl: Number(process.env.RATE_CACHE_TTL ?? 300),
+  maxEntries: 500,
+};
+
+console.log("Config: Initialized rate cache settings", config.rateCache.ttl, "seconds"); // Logs rate cache setup
+
+// ============================================================================
+// SECTION 7: RATE QUOTING TIME BUDGET
+// ============================================================================
+
+/**
+ * Time budget for quoting service levels at checkout
+ *
+ * Shopify drops carrier responses that take too long, so all service levels
+ * are quoted concurrently and must finish within one overall deadline.
+ *
+ * @property {number} deadlineMs - Overall budget measured from request arrival
+ *   - Loaded from RATE_DEADLINE_MS, defaults to 8000
+ * @property {number} levelTimeoutMs - Maximum wait for a single service level
+ *   - Loaded from RATE_LEVEL_TIMEOUT_MS, defaults to 6000
+ * @property {string} timeoutPolicy - What to do with levels that miss the budget
+ *   - "omit": Leave the level out of the response
+ *   - "fallback": Return the level with the shop's fallback rate
+ *     (`settings.fallback_rates`), or `timeoutFallbackPrice` without one
+ * @property {number} timeoutFallbackPrice - Price in cents used by the "fallback" policy
+ *   when the shop has no fallback rate for the level
+ *
+ * @type {Object}
+ * @constant
+ */
+config.rateQuoting = {
+  deadlineMs: Number(process.env.RATE_DEADLINE_MS ?? 8000),
+  levelTimeoutMs: Number(process.env.RATE_LEVEL_TIMEOUT_MS ?? 6000),
+  timeoutPolicy: process.env.RATE_TIMEOUT_POLICY || "omit",
+  timeoutFallbackPrice: Number(process.env.RATE_TIMEOUT_FALLBACK_PRICE ?? 0),
+};
+
+/**
+ * Supported timeout policies for `config.rateQuoting.timeoutPolicy`
+ * @type {Object.<string, string>}
+ * @constant
+ */
+config.timeoutPolicies = {
+  OMIT: "omit",
+  FALLBACK: "fallback",
+};
+
+console.log("Config: Initialized rate quoting budget", config.rateQuoting.deadlineMs, "ms"); // Logs rate quoting setup
+
+// ============================================================================
+// SECTION 8: MIXED-CART POLICIES
+// ============================================================================
+
+/**
+ * Mixed-Cart Policies
+ * 
+ * Decide which rates a cart gets when its items are tagged with different
+ * service levels (e.g. a sofa tagged `wg` and a lamp tagged only `prcl`).
+ * Each shop picks one in `settings.mixed_cart_policy`.
+ * 
+ * @property {string} UNION - Offer every level any item supports, quoting the
+ *   whole cart at that level (original behavior, the default)
+ * @property {string} INTERSECTION - Offer only the levels every item supports
+ * @property {string} PER_ITEM - Offer every level any item supports; items that
+ *   don't support the chosen level are quoted at their own level and the
+ *   results are combined into one rate
+ * 
+ * @type {Object.<string, string>}
+ * @constant
+ */
+config.mixedCartPolicies = {
+  UNION: "union",
+  INTERSECTION: "intersection",
+  PER_ITEM: "per_item",
+};
+
+console.log("Config: Defined mixed-cart policies", Object.keys(config.mixedCartPolicies).length, "policies"); // Logs mixed-cart policy setup
+
+// ============================================================================
+// SECTION 9: RATE QUOTE AUDIT LOG
+// ============================================================================
+
+/**
+ * Rate Quote Audit Log Configuration
+ * 
+ * Every /carrier call is stored in the app database (see utils/rateAudit) so
+ * support can explain a rate after the fact. Old records are pruned.
+ * 
+ * @property {number} retentionDays - Days a record is kept
+ *   - Loaded from RATE_AUDIT_RETENTION_DAYS, defaults to 30 (0 disables the log)
+ * @property {number} pageSize - Records returned per page by the admin viewer
+ * 
+ * @type {Object}
+ * @constant
+ */
+config.rateAudit = {
+  retentionDays: Number(process.env.RATE_AUDIT_RETENTION_DAYS ?? 30),
+  pageSize: 25,
+};
+
+console.log("Config: Initialized rate audit log retention", config.rateAudit.retentionDays, "days"); // Logs rate audit setup
+
+// ============================================================================
+// SECTION 10: PRODUCT ELIGIBILITY SOURCES
+// ============================================================================
+
+/**
+ * Product Eligibility Sources
+ * 
+ * Decide where the service levels of a product are read from. Each shop picks
+ * one in `settings.eligibility.source` (see utils/productEligibility).
+ * 
+ * @property {string} TAGS - Product tags equal to a service level code (the default)
+ * @property {string} METAFIELD - A product metafield listing service level codes
+ * @property {string} COLLECTION - Levels mapped to collections the product belongs to
+ * @property {string} PRODUCT_TYPE - Levels mapped to the product type
+ * 
+ * @type {Object.<string, string>}
+ * @constant
+ */
+config.eligibilitySources = {
+  TAGS: "tags",
+  METAFIELD: "metafield",
+  COLLECTION: "collection",
+  PRODUCT_TYPE: "product_type",
+};
+
+/**
+ * Default Eligibility Metafield
+ * 
+ * Metafield read by the metafield source, and on variants to override the
+ * product's service levels. Values are a list of codes (JSON list or comma
+ * separated text); an empty value makes the variant ineligible.
+ * 
+ * @property {string} namespace - Metafield namespace
+ * @property {string} key - Metafield key
+ * 
+ * @type {Object}
+ * @constant
+ */
+config.eligibilityMetafield = {
+  namespace: "deliveright",
+  key: "service_levels",
+};
+
+console.log("Config: Defined product eligibility sources", Object.keys(config.eligibilitySources).length, "sources"); // Logs eligibility setup
+
+// ============================================================================
+// SECTION 11: PRODUCT ELIGIBILITY CACHE
+// ============================================================================
+
+/**
+ * Product Eligibility Cache Configuration
+ * 
+ * The product data eligibility depends on (tags, type, collections,
+ * metafields), with variant dimensions and stocked locations, is kept in the
+ * app database (see utils/productCache). It is
+ * filled on install, updated by the products/create, products/update and
+ * products/delete webhooks, and only looked up live on a cache miss.
+ * 
+ * @property {number} maxAgeHours - Hours after which an entry is looked up again
+ *   - Catches changes no product webhook reports (e.g. collection membership)
+ *   - Loaded from PRODUCT_CACHE_MAX_AGE_HOURS, defaults to 24
+ * @property {number} warmPageSize - Products fetched per request when filling the cache
+ * @property {number} variantBatchSize - Variants whose dimensions and stocked
+ *   locations are fetched per request (inventory levels make larger batches
+ *   exceed the Admin API query cost limit)
+ * 
+ * @type {Object}
+ * @constant
+ */
+config.productCache = {
+  maxAgeHours: Number(process.env.PRODUCT_CACHE_MAX_AGE_HOURS ?? 24),
+  warmPageSize: 100,
+  variantBatchSize: 25,
+};
+
+console.log("Config: Initialized product cache max age", config.productCache.maxAgeHours, "hours"); // Logs product cache setup
+
+// ============================================================================
+// SECTION 12: BULK SERVICE LEVEL TAGGING
+// ============================================================================
+
+/**
+ * Bulk Tagging Configuration
+ *
+ * Limits of the service level tagging admin (see utils/bulkTagging), which
+ * applies or removes service levels on many products with one Shopify bulk
+ * mutation.
+ *
+ * @property {number} pageSize - Products listed per page
+ * @property {number} maxProducts - Most products one bulk run may change
+ *   (a run over "every product matching the filters" stops collecting here)
+ *
+ * @type {Object}
+ * @constant
+ */
+config.bulkTagging = {
+  pageSize: 50,
+  maxProducts: 5000,
+};
+
+console.log("Config: Initialized bulk tagging limit", config.bulkTagging.maxProducts, "products"); // Logs bulk tagging setup
+
+// ============================================================================
+// SECTION 13: ORDER SUBMISSION QUEUE
+// ============================================================================
+
+/**
+ * Order Submission Queue Configuration
+ * 
+ * Orders are queued in the app database before they are sent to Deliveright
+ * (see utils/orderQueue). Failed submissions are retried with exponential
+ * backoff: baseDelaySeconds, then twice as long after each failure, up to
+ * maxDelaySeconds.
+ * 
+ * @property {number} maxAttempts - Attempts before a job is marked dead
+ *   - Loaded from ORDER_QUEUE_MAX_ATTEMPTS, defaults to 8
+ * @property {number} baseDelaySeconds - Wait after the first failure
+ * @property {number} maxDelaySeconds - Longest wait between two attempts
+ * @property {number} pollIntervalSeconds - How often due jobs are looked for
+ * @property {number} batchSize - Most jobs attempted per poll
+ * @property {number} pageSize - Orders returned per page by the order sync page
+ * 
+ * @type {Object}
+ * @constant
+ */
+config.orderQueue = {
+  maxAttempts: Number(process.env.ORDER_QUEUE_MAX_ATTEMPTS ?? 8),
+  baseDelaySeconds: 60,
+  maxDelaySeconds: 6 * 60 * 60,
+  pollIntervalSeconds: 30,
+  batchSize: 10,
+  pageSize: 25,
+};
+
+console.log("Config: Initialized order queue retries", config.orderQueue.maxAttempts, "attempts"); // Logs order queue setup
+
+// ============================================================================
+// SECTION 14: ORDER TRIGGERS
+// ============================================================================
+
+/**
+ * Order Triggers
+ * 
+ * The Shopify event that sends an order to Deliveright. Each shop picks one
+ * in `settings.order_trigger`; the app subscribes to all of them and ignores
+ * the others (see webhook_handlers/order).
+ * 
+ * @property {string} ORDERS_CREATE - When the order is placed
+ * @property {string} ORDERS_PAID - When the order is paid, so scheduling can start early
+ * @property {string} FULFILLMENTS_CREATE - When the first fulfillment is created
+ * @property {string} ORDERS_FULFILLED - When the whole order is fulfilled
+ *   (original behavior, the default)
+ * 
+ * @type {Object.<string, string>}
+ * @constant
+ */
+config.orderTriggers = {
+  ORDERS_CREATE: "orders/create",
+  ORDERS_PAID: "orders/paid",
+  FULFILLMENTS_CREATE: "fulfillments/create",
+  ORDERS_FULFILLED: "orders/fulfilled",
+};
+
+console.log("Config: Defined order triggers", Object.keys(config.orderTriggers).length, "triggers"); // Logs order trigger setup
+
+// ============================================================================
+// SECTION 15: DELIVERIGHT ORDER ENDPOINTS
+// ============================================================================
+
+/**
+ * Deliveright Order Endpoints
+ * 
+ * Paths, relative to `deliverightApi`, of the calls made on orders already
+ * submitted (see classes/deliveright). Only order creation
+ * (`/api/shopify/order`) is an endpoint this app has always used; these have
+ * no default. Each one is set once Deliveright has confirmed it, and the
+ * feature using it stays off until then: its webhooks are not registered
+ * (see webhook_handlers/order).
+ * 
+ * @property {string|null} cancel - Cancels a submitted order
+ *   - Loaded from DELIVERIGHT_CANCEL_ORDER_PATH
+ *   - Unset: Shopify cancellations are not synced (no ORDERS_CANCELLED webhook)
+ * @property {string|null} update - Pushes Shopify changes to a submitted order
+ *   - Loaded from DELIVERIGHT_UPDATE_ORDER_PATH
+ *   - Unset: order changes are not synced (no ORDERS_UPDATED or ORDERS_EDITED webhook)
+ * 
+ * @type {Object.<string, string>}
+ * @constant
+ */
+config.orderEndpoints = {
+  cancel: process.env.DELIVERIGHT_CANCEL_ORDER_PATH || null,
+  update: process.env.DELIVERIGHT_UPDATE_ORDER_PATH || null,
+};
+
+console.log("Config: Defined Deliveright order endpoints", config.orderEndpoints); // Logs order endpoint setup
+
 // ============================================================================
 // CONFIGURATION EXPORT
 // ============================================================================
@@ -11,6 +11,8 @@
  * 3. AppBridgeProvider - Communication with Shopify Admin
  * 4. QueryProvider - Data fetching and caching
  *
+ * The NavigationMenu registers the app's pages in the Shopify Admin sidebar.
+ *
  * @module frontend/App
  * @requires react-router-dom
  * @requires ./Routes
@@ -18,6 +20,7 @@
  */
 
 import { BrowserRouter } from "react-router-dom";
+import { NavigationMenu } from "@shopify/app-bridge-react";
 import Routes from "./Routes";
 
 import {
@@ -46,6 +49,15 @@ export default function App() {
       <BrowserRouter>
         <AppBridgeProvider>
           <QueryProvider>
+            <NavigationMenu
+              navigationLinks={[
+                { label: "Settings", destination: "/settings" },
+                { label: "Service levels", destination: "/service-levels" },
+                { label: "Rate calculator", destination: "/rate-calculator" },
+                { label: "Rate quote log", destination: "/rate-quotes" },
+                { label: "Order sync", destination: "/orders" },
+              ]}
+            />
             <Routes pages={pages} />
           </QueryProvider>
         </AppBridgeProvider>
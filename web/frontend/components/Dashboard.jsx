@@ -23,7 +23,6 @@ import LinksCard from "./LinksCard.jsx";
 import LoginToGrasshopperCard from "./LoginToGrasshopperCard.jsx";
 import DisplayForm from "./DisplayForm.jsx";
 import FadeIn from "./FadeIn.tsx";
-import { ProductsCard } from "./ProductsCard.jsx";
 import PolarisActionButton from "./PolarisActionButton.jsx";
 
 /**
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Default Weights Card
+ *
+ * Lets the merchant set the weight used for Deliveright products saved
+ * without one, per service level and per product type, so they are not
+ * quoted or ordered at zero weight. Links to the report of products that
+ * are missing a weight.
+ *
+ * @module components/DefaultWeightsCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Button, Card, FormLayout, Stack, TextField, TextStyle } from "@shopify/polaris";
+
+const toRows = (map) => Object.entries(map || {}).map(([name, pounds]) => ({ name, pounds: String(pounds) }));
+
+/**
+ * Default Weights Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.defaultWeights - Saved default weights ({ service_levels, product_types })
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { default_weights }
+ * @returns {JSX.Element} Card with weight fields per level and product type
+ */
+export default function DefaultWeightsCard(props) {
+  const [levels, setLevels] = useState(props.defaultWeights.service_levels || {});
+  const [productTypes, setProductTypes] = useState(toRows(props.defaultWeights.product_types));
+  const [loading, setLoading] = useState(false);
+
+  const updateType = (index, patch) =>
+    setProductTypes(productTypes.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+
+  const save = async () => {
+    setLoading(true);
+    // Empty fields are dropped by the server
+    await props.onSave({
+      default_weights: {
+        service_levels: Object.fromEntries(Object.keys(props.serviceLevels).map((code) => [code, levels[code]?.toString() ?? ""])),
+        product_types: Object.fromEntries(productTypes.map((row) => [row.name, row.pounds])),
+      },
+    });
+    setLoading(false);
+  };
+
+  return (
+    <Card
+      primaryFooterAction={{ content: "Save", onAction: save, loading }}
+      secondaryFooterActions={[{ content: "Products missing a weight", url: "/missing-weights" }]}
+    >
+      <Card.Section title="Per service level (lb)">
+        <FormLayout>
+          {Object.entries(props.serviceLevels).map(([code, level]) => (
+            <TextField
+              key={code}
+              label={`${level.service_name} (${code})`}
+              type="number"
+              min={0}
+              value={levels[code]?.toString() || ""}
+              onChange={(value) => setLevels({ ...levels, [code]: value })}
+              autoComplete="off"
+            />
+          ))}
+        </FormLayout>
+      </Card.Section>
+      <Card.Section title="Per product type (lb)">
+        <Stack vertical>
+          <TextStyle variation="subdued">
+            A product type's weight is used before the service level's. Types are matched without regard to case.
+          </TextStyle>
+          {productTypes.map((row, index) => (
+            <FormLayout.Group key={index} condensed>
+              <TextField label="Product type" value={row.name} onChange={(name) => updateType(index, { name })} autoComplete="off" />
+              <TextField
+                label="Weight"
+                type="number"
+                min={0}
+                value={row.pounds}
+                onChange={(pounds) => updateType(index, { pounds })}
+                connectedRight={
+                  <Button onClick={() => setProductTypes(productTypes.filter((_, i) => i !== index))}>Remove</Button>
+                }
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+          ))}
+          <Button onClick={() => setProductTypes([...productTypes, { name: "", pounds: "" }])}>Add product type</Button>
+        </Stack>
+      </Card.Section>
+    </Card>
+  );
+}
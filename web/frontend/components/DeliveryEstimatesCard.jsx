@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Delivery Estimates Card
+ *
+ * Lets the merchant set the lead time of each service level and the dates
+ * that are never counted (holidays, warehouse closures). These are used to
+ * show a delivery window at checkout when the Deliveright calculator does not
+ * report one. Product handling times come from the `deliveright.handling_days`
+ * product metafield and are added on top.
+ *
+ * @module components/DeliveryEstimatesCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Card, FormLayout, TextField } from "@shopify/polaris";
+
+/**
+ * Delivery Estimates Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.leadTimes - Saved lead times keyed by service level code
+ * @param {Array<string>} props.blackoutDates - Saved blackout dates ("YYYY-MM-DD")
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { lead_times, blackout_dates }
+ * @returns {JSX.Element} Card with lead time fields and blackout dates
+ */
+export default function DeliveryEstimatesCard(props) {
+  const [leadTimes, setLeadTimes] = useState(props.leadTimes || {});
+  const [blackoutDates, setBlackoutDates] = useState((props.blackoutDates || []).join("\n"));
+  const [loading, setLoading] = useState(false);
+
+  const setField = (code, field) => (value) => {
+    setLeadTimes({ ...leadTimes, [code]: { ...leadTimes[code], [field]: value } });
+  };
+
+  const save = async () => {
+    setLoading(true);
+    // Levels with both fields empty are dropped by the server
+    const lead_times = Object.fromEntries(
+      Object.keys(props.serviceLevels).map((code) => [
+        code,
+        {
+          min_days: leadTimes[code]?.min_days?.toString() ?? "",
+          max_days: leadTimes[code]?.max_days?.toString() ?? "",
+        },
+      ])
+    );
+    await props.onSave({
+      lead_times,
+      blackout_dates: blackoutDates.split("\n").map((d) => d.trim()).filter(Boolean),
+    });
+    setLoading(false);
+  };
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      <Card.Section title="Lead times (business days)">
+        <FormLayout>
+          {Object.entries(props.serviceLevels).map(([code, level]) => (
+            <FormLayout.Group key={code} condensed>
+              <TextField
+                label={`${level.service_name} (${code}) minimum`}
+                type="number"
+                value={leadTimes[code]?.min_days?.toString() || ""}
+                onChange={setField(code, "min_days")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Maximum"
+                type="number"
+                value={leadTimes[code]?.max_days?.toString() || ""}
+                onChange={setField(code, "max_days")}
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+          ))}
+        </FormLayout>
+      </Card.Section>
+      <Card.Section title="Blackout dates">
+        <TextField
+          label="Dates"
+          labelHidden
+          multiline={4}
+          value={blackoutDates}
+          onChange={setBlackoutDates}
+          placeholder={"2024-12-25\n2025-01-01"}
+          helpText="One date per line (YYYY-MM-DD). Weekends are always skipped."
+          autoComplete="off"
+        />
+      </Card.Section>
+    </Card>
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Destination Rules Card
+ *
+ * Lets the merchant restrict where Deliveright rates are offered: allowed
+ * countries, blocked states and zip prefixes, and PO box addresses. The
+ * shop-wide rules apply to every service level; a level can replace any of
+ * them with its own value.
+ *
+ * @module components/DestinationRulesCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Card, Checkbox, FormLayout, Select, TextField } from "@shopify/polaris";
+
+/**
+ * List fields, edited as comma separated text
+ * @constant {Array<Object>}
+ */
+const LIST_FIELDS = [
+  { field: "allowed_countries", label: "Allowed countries", helpText: "Country codes, e.g. US. Leave empty to allow every country." },
+  { field: "blocked_states", label: "Blocked states", helpText: "State codes, e.g. AK, HI." },
+  { field: "blocked_zip_prefixes", label: "Blocked zip prefixes", helpText: "Zip codes starting with these are blocked, e.g. 995, 967." },
+];
+
+/**
+ * Choices for the per-level PO box setting
+ * @constant {Array<Object>}
+ */
+const PO_BOX_OPTIONS = [
+  { label: "Same as all levels", value: "" },
+  { label: "Block PO boxes", value: "true" },
+  { label: "Allow PO boxes", value: "false" },
+];
+
+const toText = (list) => (list ? list.join(", ") : undefined);
+const toList = (text) => text.split(",").map((v) => v.trim()).filter(Boolean);
+
+/**
+ * Destination Rules Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.rules - Saved destination rules
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { destination_rules }
+ * @returns {JSX.Element} Card with shop-wide and per-level rules
+ */
+export default function DestinationRulesCard(props) {
+  const [rules, setRules] = useState(props.rules);
+  const [loading, setLoading] = useState(false);
+
+  const levelRules = (code) => rules.service_levels?.[code] || {};
+
+  const setShopField = (field) => (value) => setRules({ ...rules, [field]: value });
+
+  // Empty per-level values are removed so the level inherits the shop-wide value
+  const setLevelField = (code, field) => (value) => {
+    let next = { ...levelRules(code), [field]: value };
+    if (value === undefined) delete next[field];
+    setRules({ ...rules, service_levels: { ...rules.service_levels, [code]: next } });
+  };
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({ destination_rules: rules });
+    setLoading(false);
+  };
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      <Card.Section title="All service levels">
+        <FormLayout>
+          {LIST_FIELDS.map(({ field, label, helpText }) => (
+            <TextField
+              key={field}
+              label={label}
+              value={toText(rules[field]) || ""}
+              onChange={(value) => setShopField(field)(toList(value))}
+              helpText={helpText}
+              autoComplete="off"
+            />
+          ))}
+          <Checkbox
+            label="Block PO box addresses"
+            checked={rules.block_po_boxes}
+            onChange={setShopField("block_po_boxes")}
+          />
+        </FormLayout>
+      </Card.Section>
+      {Object.entries(props.serviceLevels).map(([code, level]) => (
+        <Card.Section key={code} title={`${level.service_name} (${code})`} subdued>
+          <FormLayout>
+            <FormLayout.Group condensed>
+              {LIST_FIELDS.map(({ field, label }) => (
+                <TextField
+                  key={field}
+                  label={label}
+                  value={toText(levelRules(code)[field]) ?? ""}
+                  placeholder="Same as all levels"
+                  onChange={(value) => setLevelField(code, field)(value.trim() ? toList(value) : undefined)}
+                  autoComplete="off"
+                />
+              ))}
+            </FormLayout.Group>
+            <Select
+              label="PO boxes"
+              options={PO_BOX_OPTIONS}
+              value={levelRules(code).block_po_boxes === undefined ? "" : String(levelRules(code).block_po_boxes)}
+              onChange={(value) => setLevelField(code, "block_po_boxes")(value === "" ? undefined : value === "true")}
+            />
+          </FormLayout>
+        </Card.Section>
+      ))}
+    </Card>
+  );
+}
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Enabled Service Levels Card
+ *
+ * Lets the merchant choose which Deliveright service levels are offered at
+ * checkout. For every level that is turned off, the card lists the products
+ * assigned to it (by tag, collection or product type) and flags those left
+ * without any enabled level, since they will no longer receive a Deliveright
+ * rate.
+ *
+ * @module components/EnabledServiceLevelsCard
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ */
+
+import { useState } from "react";
+import { Badge, Card, ChoiceList, List, Spinner, TextStyle } from "@shopify/polaris";
+import { useAppQuery } from "../hooks";
+
+/**
+ * Affected Products Section
+ *
+ * Loads the products assigned to a disabled service level.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.code - Disabled service level code
+ * @param {Object} props.level - Service level definition
+ * @param {Array<string>} props.enabled - Currently enabled service level codes
+ * @returns {JSX.Element} Card section listing affected products
+ */
+function AffectedProducts({ code, level, enabled }) {
+  const { data, isLoading } = useAppQuery({
+    url: `/api/service-levels/${code}/products`,
+  });
+
+  const products = data?.products || [];
+
+  return (
+    <Card.Section title={`Products offered "${code}" (${level.service_name})`}>
+      {isLoading ? (
+        <Spinner size="small" />
+      ) : data?.supported === false ? (
+        <TextStyle variation="subdued">Products can't be listed when service levels come from a metafield.</TextStyle>
+      ) : products.length === 0 ? (
+        <TextStyle variation="subdued">No products are assigned to this level.</TextStyle>
+      ) : (
+        <>
+          <List>
+            {products.map((product) => {
+              const remaining = product.tags.filter((tag) => enabled.includes(tag));
+              return (
+                <List.Item key={product.product_id}>
+                  {product.title}{" "}
+                  {remaining.length === 0 ? (
+                    <Badge status="warning">No Deliveright rate</Badge>
+                  ) : (
+                    <TextStyle variation="subdued">Still offered: {remaining.join(", ")}</TextStyle>
+                  )}
+                </List.Item>
+              );
+            })}
+          </List>
+          {data.has_more && (
+            <TextStyle variation="subdued">Only the first {products.length} products are shown.</TextStyle>
+          )}
+        </>
+      )}
+    </Card.Section>
+  );
+}
+
+/**
+ * Enabled Service Levels Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<string>|null} props.enabledServiceLevels - Saved allowlist (null means all levels)
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { enabled_service_levels }
+ * @returns {JSX.Element} Card with level checkboxes and affected products
+ */
+export default function EnabledServiceLevelsCard(props) {
+  const codes = Object.keys(props.serviceLevels);
+  const [enabled, setEnabled] = useState(props.enabledServiceLevels ?? codes);
+  const [loading, setLoading] = useState(false);
+
+  const disabled = codes.filter((code) => !enabled.includes(code));
+
+  const save = async () => {
+    setLoading(true);
+    // Saving null keeps levels added in the future enabled by default
+    await props.onSave({
+      enabled_service_levels: disabled.length === 0 ? null : enabled,
+    });
+    setLoading(false);
+  };
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      <Card.Section>
+        <ChoiceList
+          allowMultiple
+          title="Offered service levels"
+          choices={codes.map((code) => ({
+            label: `${props.serviceLevels[code].service_name} (${code})`,
+            value: code,
+          }))}
+          selected={enabled}
+          onChange={setEnabled}
+        />
+      </Card.Section>
+      {disabled.map((code) => (
+        <AffectedProducts
+          key={code}
+          code={code}
+          level={props.serviceLevels[code]}
+          enabled={enabled}
+        />
+      ))}
+    </Card>
+  );
+}
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Fallback Rates Card
+ *
+ * Prices shown for a service level when the Deliveright calculator fails (or
+ * misses the checkout time budget, under the "fallback" timeout policy). Each
+ * level has an optional flat price and bands by destination zip prefix and
+ * cart weight; the first matching band wins, then the flat price.
+ *
+ * @module components/FallbackRatesCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Button, Card, FormLayout, Stack, TextField } from "@shopify/polaris";
+
+const toText = (list) => (list || []).join(", ");
+const toList = (text) => text.split(",").map((v) => v.trim()).filter(Boolean);
+const toString = (value) => (value === undefined || value === null ? "" : String(value));
+
+/**
+ * Convert a saved level table into form field values
+ *
+ * @param {Object} [level={}] - Saved fallback table of one service level
+ * @returns {Object} Table with string form values
+ */
+const toForm = (level = {}) => ({
+  flat: toString(level.flat),
+  bands: (level.bands || []).map((band) => ({
+    zip_prefixes: toText(band.zip_prefixes),
+    min_weight: toString(band.min_weight),
+    max_weight: toString(band.max_weight),
+    price: toString(band.price),
+  })),
+});
+
+/**
+ * Convert form field values back into a level table for the API
+ *
+ * Empty levels are dropped by the server.
+ *
+ * @param {Object} form - Level form values
+ * @returns {Object} Fallback table of one service level
+ */
+const fromForm = (form) => ({
+  flat: form.flat,
+  bands: form.bands.map((band) => ({ ...band, zip_prefixes: toList(band.zip_prefixes) })),
+});
+
+/**
+ * Fallback Rates Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.rates - Saved fallback_rates keyed by service level code
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { fallback_rates }
+ * @returns {JSX.Element} Card with one section per service level
+ */
+export default function FallbackRatesCard(props) {
+  const [rates, setRates] = useState(
+    Object.fromEntries(Object.keys(props.serviceLevels).map((code) => [code, toForm(props.rates?.[code])]))
+  );
+  const [loading, setLoading] = useState(false);
+
+  const updateLevel = (code, patch) => setRates({ ...rates, [code]: { ...rates[code], ...patch } });
+  const updateBand = (code, index, patch) =>
+    updateLevel(code, { bands: rates[code].bands.map((band, i) => (i === index ? { ...band, ...patch } : band)) });
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({
+      fallback_rates: Object.fromEntries(Object.entries(rates).map(([code, form]) => [code, fromForm(form)])),
+    });
+    setLoading(false);
+  };
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      {Object.entries(props.serviceLevels).map(([code, level]) => (
+        <Card.Section key={code} title={`${level.service_name} (${code})`}>
+          <Stack vertical spacing="tight">
+            <TextField
+              label="Flat price"
+              type="number"
+              prefix="$"
+              min={0}
+              step={0.01}
+              value={rates[code].flat}
+              onChange={(flat) => updateLevel(code, { flat })}
+              helpText="Used when no band matches. Leave empty and without bands to offer no fallback."
+              autoComplete="off"
+            />
+            {rates[code].bands.map((band, index) => (
+              <FormLayout key={index}>
+                <FormLayout.Group condensed>
+                  <TextField
+                    label="Zip prefixes"
+                    value={band.zip_prefixes}
+                    placeholder="Any destination"
+                    onChange={(zip_prefixes) => updateBand(code, index, { zip_prefixes })}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="From (lb)"
+                    type="number"
+                    min={0}
+                    value={band.min_weight}
+                    onChange={(min_weight) => updateBand(code, index, { min_weight })}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Up to (lb)"
+                    type="number"
+                    min={0}
+                    value={band.max_weight}
+                    placeholder="No limit"
+                    onChange={(max_weight) => updateBand(code, index, { max_weight })}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Price"
+                    type="number"
+                    prefix="$"
+                    min={0}
+                    step={0.01}
+                    value={band.price}
+                    onChange={(price) => updateBand(code, index, { price })}
+                    connectedRight={
+                      <Button onClick={() => updateLevel(code, { bands: rates[code].bands.filter((_, i) => i !== index) })}>
+                        Remove
+                      </Button>
+                    }
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+              </FormLayout>
+            ))}
+            <Button
+              plain
+              onClick={() =>
+                updateLevel(code, {
+                  bands: [...rates[code].bands, { zip_prefixes: "", min_weight: "", max_weight: "", price: "" }],
+                })
+              }
+            >
+              Add band
+            </Button>
+          </Stack>
+        </Card.Section>
+      ))}
+    </Card>
+  );
+}
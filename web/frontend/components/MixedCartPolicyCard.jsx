@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Mixed-Cart Policy Card
+ *
+ * Lets the merchant choose how carts are quoted when their products are
+ * tagged with different service levels (e.g. a sofa tagged `wg` and a lamp
+ * tagged only `prcl`).
+ *
+ * @module components/MixedCartPolicyCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Card, ChoiceList } from "@shopify/polaris";
+
+/**
+ * Label and help text for each policy name in config.mixedCartPolicies
+ * @constant {Object.<string, Object>}
+ */
+const POLICY_CHOICES = {
+  UNION: {
+    label: "Offer every level, quote the whole cart at it",
+    helpText: "A White Glove rate also covers items only tagged for other levels.",
+  },
+  INTERSECTION: {
+    label: "Only offer levels every product supports",
+    helpText: "Carts whose products share no level get no Deliveright rate.",
+  },
+  PER_ITEM: {
+    label: "Quote each product at its own level",
+    helpText: "Products that don't support the chosen level are quoted at their own level and added to the same rate.",
+  },
+};
+
+/**
+ * Mixed-Cart Policy Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.policy - Saved mixed_cart_policy
+ * @param {Object} props.mixedCartPolicies - Policy values keyed by name
+ * @param {Function} props.onSave - Save handler, receives { mixed_cart_policy }
+ * @returns {JSX.Element} Card with one choice per policy
+ */
+export default function MixedCartPolicyCard(props) {
+  const [policy, setPolicy] = useState([props.policy]);
+  const [loading, setLoading] = useState(false);
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({ mixed_cart_policy: policy[0] });
+    setLoading(false);
+  };
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      <Card.Section>
+        <ChoiceList
+          title="Mixed carts"
+          titleHidden
+          choices={Object.entries(props.mixedCartPolicies).map(([name, value]) => ({
+            label: POLICY_CHOICES[name]?.label || value,
+            helpText: POLICY_CHOICES[name]?.helpText,
+            value,
+          }))}
+          selected={policy}
+          onChange={setPolicy}
+        />
+      </Card.Section>
+    </Card>
+  );
+}
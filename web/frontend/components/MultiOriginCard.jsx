@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Multi-Origin Quoting Card
+ *
+ * Toggles per-warehouse rate quoting. When it is on, each cart item is
+ * assigned the warehouse it ships from (the `deliveright.origin_zip` product
+ * metafield, or the inventory location holding stock) and every warehouse is
+ * quoted separately before the costs are combined into one rate.
+ *
+ * @module components/MultiOriginCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { SettingToggle, TextStyle } from "@shopify/polaris";
+
+/**
+ * Multi-Origin Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.enabled - Saved multi_origin setting
+ * @param {Function} props.onSave - Save handler, receives { multi_origin }
+ * @returns {JSX.Element} Setting toggle
+ */
+export default function MultiOriginCard(props) {
+  const [loading, setLoading] = useState(false);
+
+  const toggle = async () => {
+    setLoading(true);
+    await props.onSave({ multi_origin: !props.enabled });
+    setLoading(false);
+  };
+
+  return (
+    <SettingToggle
+      action={{ content: props.enabled ? "Turn off" : "Turn on", onAction: toggle, loading }}
+      enabled={props.enabled}
+    >
+      Quoting per warehouse is{" "}
+      <TextStyle variation="strong">{props.enabled ? "on" : "off"}</TextStyle>.
+    </SettingToggle>
+  );
+}
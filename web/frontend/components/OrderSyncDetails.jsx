@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Order Sync Details
+ *
+ * Shows one order queued for Deliveright: its send status and attempts, the
+ * last error, Deliveright's response and the payload that was sent. Orders
+ * Deliveright has not accepted can be resent, which rebuilds the payload
+ * from the Shopify order. Sent orders also show the last change pushed from
+ * Shopify, and cancelled orders the cancellation response.
+ *
+ * @module components/OrderSyncDetails
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ * @requires ./QuoteBreakdown
+ */
+
+import { useState } from "react";
+import { Banner, Badge, DescriptionList, Modal, Spinner } from "@shopify/polaris";
+import { useAppQuery, useAuthenticatedFetch } from "../hooks";
+import { json } from "./QuoteBreakdown.jsx";
+
+/**
+ * Badge label and status for each send status
+ * @constant {Object.<string, Object>}
+ */
+export const STATUS_BADGES = {
+  sent: { label: "Sent", status: "success" },
+  pending: { label: "Pending", status: "info" },
+  failed: { label: "Failed, retrying", status: "warning" },
+  dead: { label: "Gave up", status: "critical" },
+  cancelled: { label: "Cancelled", status: "new" },
+};
+
+export const date = (epoch) => (epoch ? new Date(epoch).toLocaleString() : "—");
+
+/**
+ * Order Sync Details Modal Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.id - Shopify order ID to show
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onResent - Called after a resend, to refresh the list
+ * @returns {JSX.Element} Modal with the order details
+ */
+export default function OrderSyncDetails({ id, onClose, onResent }) {
+  const fetch = useAuthenticatedFetch();
+  const [resending, setResending] = useState(false);
+  const [error, setError] = useState(null);
+  const { data, isLoading, refetch } = useAppQuery({ url: `/api/orders/${id}` });
+  const order = data?.order;
+
+  const resend = async () => {
+    setResending(true);
+    setError(null);
+    const response = await fetch(`/api/orders/${id}/resend`, { method: "POST" });
+    const body = await response.json().catch(() => ({}));
+    setResending(false);
+
+    if (!response.ok) {
+      setError(body.error || "An error has occurred, please try again.");
+      return;
+    }
+    await refetch();
+    onResent();
+  };
+
+  const canResend = order && ["pending", "failed", "dead"].includes(order.status) && !!order.order_payload;
+
+  return (
+    <Modal
+      open
+      large
+      title={`Order ${order?.order_name || id}`}
+      onClose={onClose}
+      primaryAction={canResend ? { content: "Resend to Deliveright", onAction: resend, loading: resending } : undefined}
+    >
+      {isLoading || !order ? (
+        <Modal.Section>
+          <Spinner size="small" />
+        </Modal.Section>
+      ) : (
+        <>
+          <Modal.Section>
+            {error && <Banner status="critical">{error}</Banner>}
+            <DescriptionList
+              items={[
+                {
+                  term: "Status",
+                  description: <Badge status={STATUS_BADGES[order.status]?.status}>{STATUS_BADGES[order.status]?.label || order.status}</Badge>,
+                },
+                { term: "Shopify order ID", description: order.order_id },
+                { term: "Service level", description: order.service_level || "—" },
+                { term: "Attempts", description: order.attempts },
+                ...(order.status === "failed" ? [{ term: "Next attempt", description: date(order.next_attempt_at) }] : []),
+                { term: "Queued", description: date(order.created_at) },
+                { term: "Sent", description: date(order.sent_at) },
+                ...(order.update_sent_at ? [{ term: "Last update sent", description: date(order.update_sent_at) }] : []),
+                ...(order.status === "cancelled" ? [{ term: "Cancelled", description: date(order.cancelled_at) }] : []),
+                { term: "Last error", description: order.last_error || "None" },
+              ]}
+            />
+          </Modal.Section>
+          {order.response && <Modal.Section title="Deliveright response">{json(order.response)}</Modal.Section>}
+          {order.update_response && (
+            <Modal.Section title="Deliveright update response">{json(order.update_response)}</Modal.Section>
+          )}
+          {order.cancel_response && (
+            <Modal.Section title="Deliveright cancellation response">{json(order.cancel_response)}</Modal.Section>
+          )}
+          <Modal.Section title="Last payload sent to Deliveright">
+            {order.payload ? json(order.payload) : "Not built yet"}
+          </Modal.Section>
+        </>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Order Trigger Card
+ *
+ * Lets the merchant choose the Shopify event that books the delivery in
+ * Deliveright: when the order is placed, paid, first fulfilled or fully
+ * fulfilled.
+ *
+ * @module components/OrderTriggerCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Card, ChoiceList } from "@shopify/polaris";
+
+/**
+ * Label and help text for each trigger name in config.orderTriggers
+ * @constant {Object.<string, Object>}
+ */
+const TRIGGER_CHOICES = {
+  ORDERS_CREATE: {
+    label: "When the order is placed",
+    helpText: "Includes orders that are not paid yet.",
+  },
+  ORDERS_PAID: {
+    label: "When the order is paid",
+    helpText: "Deliveright can start scheduling before you fulfill the order.",
+  },
+  FULFILLMENTS_CREATE: {
+    label: "When the first fulfillment is created",
+    helpText: "The whole order is sent, including items fulfilled later.",
+  },
+  ORDERS_FULFILLED: {
+    label: "When the order is fully fulfilled",
+  },
+};
+
+/**
+ * Order Trigger Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.trigger - Saved order_trigger
+ * @param {Object} props.orderTriggers - Trigger topics keyed by name
+ * @param {Function} props.onSave - Save handler, receives { order_trigger }
+ * @returns {JSX.Element} Card with one choice per trigger
+ */
+export default function OrderTriggerCard(props) {
+  const [trigger, setTrigger] = useState([props.trigger]);
+  const [loading, setLoading] = useState(false);
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({ order_trigger: trigger[0] });
+    setLoading(false);
+  };
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      <Card.Section>
+        <ChoiceList
+          title="Send orders to Deliveright"
+          titleHidden
+          choices={Object.entries(props.orderTriggers).map(([name, value]) => ({
+            label: TRIGGER_CHOICES[name]?.label || value,
+            helpText: TRIGGER_CHOICES[name]?.helpText,
+            value,
+          }))}
+          selected={trigger}
+          onChange={setTrigger}
+        />
+      </Card.Section>
+    </Card>
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Pricing Rules Card
+ *
+ * Ordered list of conditional pricing rules. At checkout the first rule whose
+ * conditions all match replaces the shop's payment strategy for that quote;
+ * when none match, the global strategy applies. Empty conditions match every
+ * quote.
+ *
+ * @module components/PricingRulesCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Button, Card, ChoiceList, FormLayout, Select, TextField, TextStyle } from "@shopify/polaris";
+
+/**
+ * Labels for each payment strategy name in config.paymentStrategies
+ * @constant {Object.<string, string>}
+ */
+const STRATEGY_LABELS = {
+  PAID_BY_CUSTOMER: "Customer pays full cost",
+  PAID_BY_SHIPPER: "Free shipping (merchant pays)",
+  SPLIT: "Split cost with customer",
+  FIXED: "Fixed amount",
+  ROUND_NEAREST_NUMBER: "Round to nearest amount",
+};
+
+/**
+ * Convert a saved rule into form field values
+ *
+ * @param {Object} rule - Saved pricing rule
+ * @returns {Object} Rule with string form values
+ */
+const toForm = (rule) => ({
+  name: rule.name || "",
+  service_levels: rule.conditions?.service_levels || [],
+  min_subtotal: rule.conditions?.min_subtotal?.toString() || "",
+  max_subtotal: rule.conditions?.max_subtotal?.toString() || "",
+  states: (rule.conditions?.states || []).join(", "),
+  type: (rule.payment?.type ?? 1).toString(),
+  split_ratio: rule.payment?.split_ratio?.toString() || "",
+  fixed: rule.payment?.fixed?.toString() || "",
+  round_nearest: (rule.payment?.round_nearest || []).join(", "),
+});
+
+/**
+ * Convert form field values back into a rule for the API
+ *
+ * @param {Object} form - Rule form values
+ * @returns {Object} Pricing rule
+ */
+const fromForm = (form) => {
+  const list = (value) => value.split(",").map((v) => v.trim()).filter(Boolean);
+  return {
+    name: form.name,
+    conditions: {
+      service_levels: form.service_levels,
+      min_subtotal: form.min_subtotal,
+      max_subtotal: form.max_subtotal,
+      states: list(form.states),
+    },
+    payment: {
+      type: form.type,
+      split_ratio: form.split_ratio,
+      fixed: form.fixed,
+      round_nearest: form.round_nearest ? list(form.round_nearest) : undefined,
+    },
+  };
+};
+
+/**
+ * Pricing Rules Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.rules - Saved pricing rules, in evaluation order
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Object} props.paymentStrategies - Payment strategy codes keyed by name
+ * @param {Function} props.onSave - Save handler, receives { pricing_rules }
+ * @returns {JSX.Element} Card with one section per rule
+ */
+export default function PricingRulesCard(props) {
+  const [rules, setRules] = useState((props.rules || []).map(toForm));
+  const [loading, setLoading] = useState(false);
+
+  const strategies = props.paymentStrategies;
+  const strategyOptions = Object.entries(strategies).map(([name, value]) => ({
+    label: STRATEGY_LABELS[name] || name,
+    value: value.toString(),
+  }));
+
+  const setField = (index, field) => (value) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const addRule = () => setRules([...rules, toForm({})]);
+  const removeRule = (index) => setRules(rules.filter((_, i) => i !== index));
+  const moveRule = (index, offset) => {
+    let next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setRules(next);
+  };
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({ pricing_rules: rules.map(fromForm) });
+    setLoading(false);
+  };
+
+  return (
+    <Card
+      primaryFooterAction={{ content: "Save", onAction: save, loading }}
+      secondaryFooterActions={[{ content: "Add rule", onAction: addRule }]}
+    >
+      {rules.length === 0 && (
+        <Card.Section>
+          <TextStyle variation="subdued">
+            No rules yet. Every rate uses your global payment strategy.
+          </TextStyle>
+        </Card.Section>
+      )}
+      {rules.map((rule, index) => (
+        <Card.Section
+          key={index}
+          title={`Rule ${index + 1}${rule.name ? `: ${rule.name}` : ""}`}
+          actions={[
+            ...(index > 0 ? [{ content: "Move up", onAction: () => moveRule(index, -1) }] : []),
+            ...(index < rules.length - 1 ? [{ content: "Move down", onAction: () => moveRule(index, 1) }] : []),
+          ]}
+        >
+          <FormLayout>
+            <TextField
+              label="Name"
+              value={rule.name}
+              onChange={setField(index, "name")}
+              placeholder="Free white glove over $2,000"
+              autoComplete="off"
+            />
+            <ChoiceList
+              allowMultiple
+              title="Service levels (none selected matches all)"
+              choices={Object.entries(props.serviceLevels).map(([code, level]) => ({
+                label: `${level.service_name} (${code})`,
+                value: code,
+              }))}
+              selected={rule.service_levels}
+              onChange={setField(index, "service_levels")}
+            />
+            <FormLayout.Group>
+              <TextField
+                label="Minimum subtotal"
+                type="number"
+                prefix="$"
+                value={rule.min_subtotal}
+                onChange={setField(index, "min_subtotal")}
+                helpText="Whole cart, including items not delivered by Deliveright."
+                autoComplete="off"
+              />
+              <TextField
+                label="Maximum subtotal"
+                type="number"
+                prefix="$"
+                value={rule.max_subtotal}
+                onChange={setField(index, "max_subtotal")}
+                helpText="Carts at or above this amount don't match."
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+            <TextField
+              label="Destination states"
+              value={rule.states}
+              onChange={setField(index, "states")}
+              placeholder="NY, NJ"
+              helpText="Comma separated state codes. Leave empty for all states."
+              autoComplete="off"
+            />
+            <Select
+              label="Payment strategy"
+              options={strategyOptions}
+              value={rule.type}
+              onChange={setField(index, "type")}
+            />
+            {rule.type === strategies.SPLIT?.toString() && (
+              <TextField
+                label="Merchant share"
+                type="number"
+                suffix="%"
+                value={rule.split_ratio}
+                onChange={setField(index, "split_ratio")}
+                helpText="Part of the rate paid by you. The customer pays the rest."
+                autoComplete="off"
+              />
+            )}
+            {rule.type === strategies.FIXED?.toString() && (
+              <TextField
+                label="Fixed amount"
+                type="number"
+                prefix="$"
+                value={rule.fixed}
+                onChange={setField(index, "fixed")}
+                helpText="Paid by you and subtracted from the calculated rate."
+                autoComplete="off"
+              />
+            )}
+            {rule.type === strategies.ROUND_NEAREST_NUMBER?.toString() && (
+              <TextField
+                label="Round to"
+                value={rule.round_nearest}
+                onChange={setField(index, "round_nearest")}
+                placeholder="49, 99, 149"
+                helpText="Comma separated amounts. Rates are rounded up to the nearest one."
+                autoComplete="off"
+              />
+            )}
+            <Button plain destructive onClick={() => removeRule(index)}>
+              Remove rule
+            </Button>
+          </FormLayout>
+        </Card.Section>
+      ))}
+    </Card>
+  );
+}
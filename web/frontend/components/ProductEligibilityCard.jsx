@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Product Eligibility Card
+ *
+ * Lets the merchant choose where the service levels of a product come from:
+ * product tags, a product metafield, collections or product types. Variants
+ * can override their product with the same metafield.
+ *
+ * @module components/ProductEligibilityCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Button, Card, Checkbox, ChoiceList, FormLayout, Stack, TextField, TextStyle } from "@shopify/polaris";
+
+/**
+ * Label and help text for each source name in config.eligibilitySources
+ * @constant {Object.<string, Object>}
+ */
+const SOURCE_CHOICES = {
+  TAGS: {
+    label: "Product tags",
+    helpText: "Tag products with service level codes, e.g. wg.",
+  },
+  METAFIELD: {
+    label: "Product metafield",
+    helpText: "A metafield listing service level codes, e.g. [\"wg\", \"prcl\"] or wg, prcl.",
+  },
+  COLLECTION: {
+    label: "Collections",
+    helpText: "Products get the levels of every collection they belong to.",
+  },
+  PRODUCT_TYPE: {
+    label: "Product type",
+    helpText: "Products get the levels of their product type.",
+  },
+};
+
+const toRows = (map) => Object.entries(map || {}).map(([name, levels]) => ({ name, levels }));
+const toMap = (rows) => Object.fromEntries(rows.filter((row) => row.name.trim()).map((row) => [row.name.trim(), row.levels]));
+
+/**
+ * Level Map Editor
+ *
+ * Edits a map of names (collection handles, product types) to service levels.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.label - Label of the name field
+ * @param {Array<Object>} props.rows - [{ name, levels }]
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onChange - Receives the new rows
+ * @returns {JSX.Element} One row per name
+ */
+function LevelMapEditor({ label, rows, serviceLevels, onChange }) {
+  const update = (index, patch) => onChange(rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+
+  return (
+    <Stack vertical>
+      {rows.map((row, index) => (
+        <Card.Subsection key={index}>
+          <FormLayout>
+            <TextField label={label} value={row.name} onChange={(name) => update(index, { name })} autoComplete="off" />
+            <ChoiceList
+              allowMultiple
+              title="Service levels"
+              choices={Object.entries(serviceLevels).map(([code, level]) => ({
+                label: `${level.service_name} (${code})`,
+                value: code,
+              }))}
+              selected={row.levels}
+              onChange={(levels) => update(index, { levels })}
+            />
+            <Button plain destructive onClick={() => onChange(rows.filter((_, i) => i !== index))}>
+              Remove
+            </Button>
+          </FormLayout>
+        </Card.Subsection>
+      ))}
+      <Button onClick={() => onChange([...rows, { name: "", levels: [] }])}>Add {label.toLowerCase()}</Button>
+    </Stack>
+  );
+}
+
+/**
+ * Product Eligibility Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.eligibility - Saved eligibility settings
+ * @param {Object} props.eligibilitySources - Source values keyed by name
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { eligibility }
+ * @returns {JSX.Element} Card with the source choice and its options
+ */
+export default function ProductEligibilityCard(props) {
+  const sources = props.eligibilitySources;
+  const [source, setSource] = useState([props.eligibility.source]);
+  const [metafield, setMetafield] = useState(props.eligibility.metafield);
+  const [collections, setCollections] = useState(toRows(props.eligibility.collections));
+  const [productTypes, setProductTypes] = useState(toRows(props.eligibility.product_types));
+  const [variantOverrides, setVariantOverrides] = useState(props.eligibility.variant_overrides);
+  const [loading, setLoading] = useState(false);
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({
+      eligibility: {
+        source: source[0],
+        metafield,
+        collections: toMap(collections),
+        product_types: toMap(productTypes),
+        variant_overrides: variantOverrides,
+      },
+    });
+    setLoading(false);
+  };
+
+  const metafieldName = `${metafield.namespace}.${metafield.key}`;
+
+  return (
+    <Card primaryFooterAction={{ content: "Save", onAction: save, loading }}>
+      <Card.Section>
+        <ChoiceList
+          title="Read service levels from"
+          choices={Object.entries(sources).map(([name, value]) => ({
+            label: SOURCE_CHOICES[name]?.label || value,
+            helpText: SOURCE_CHOICES[name]?.helpText,
+            value,
+          }))}
+          selected={source}
+          onChange={setSource}
+        />
+      </Card.Section>
+      <Card.Section title="Metafield">
+        <FormLayout>
+          <FormLayout.Group condensed>
+            <TextField
+              label="Namespace"
+              value={metafield.namespace}
+              onChange={(namespace) => setMetafield({ ...metafield, namespace })}
+              autoComplete="off"
+            />
+            <TextField label="Key" value={metafield.key} onChange={(key) => setMetafield({ ...metafield, key })} autoComplete="off" />
+          </FormLayout.Group>
+          <Checkbox
+            label="Let variants override their product"
+            helpText={`Variants with the ${metafieldName} metafield use its levels instead of the product's. An empty list makes the variant ineligible.`}
+            checked={variantOverrides}
+            onChange={setVariantOverrides}
+          />
+        </FormLayout>
+      </Card.Section>
+      {source[0] === sources.COLLECTION && (
+        <Card.Section title="Collections">
+          <LevelMapEditor label="Collection handle" rows={collections} serviceLevels={props.serviceLevels} onChange={setCollections} />
+        </Card.Section>
+      )}
+      {source[0] === sources.PRODUCT_TYPE && (
+        <Card.Section title="Product types">
+          <TextStyle variation="subdued">Product types are matched without regard to case.</TextStyle>
+          <LevelMapEditor label="Product type" rows={productTypes} serviceLevels={props.serviceLevels} onChange={setProductTypes} />
+        </Card.Section>
+      )}
+    </Card>
+  );
+}
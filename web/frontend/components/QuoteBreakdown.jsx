@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Quote Breakdown
+ *
+ * Shows how one service level was priced: where the quote came from, the
+ * contracted zone that priced it, the calculator response per shipment, the cost after accessorials, the payment
+ * strategy and the final price. Used by the rate quote log and the rate
+ * calculator.
+ *
+ * @module components/QuoteBreakdown
+ * @requires @shopify/polaris
+ */
+
+import { Badge, DescriptionList, TextContainer, TextStyle } from "@shopify/polaris";
+
+/**
+ * Badge status for each quote source
+ * @constant {Object.<string, string>}
+ */
+const SOURCE_STATUS = {
+  zone: "attention",
+  calculator: "success",
+  cache: "info",
+  fallback: "warning",
+  timeout: "critical",
+};
+
+export const money = (cents) => (cents === null || cents === undefined ? "—" : `$${(cents / 100).toFixed(2)}`);
+export const json = (value) => <pre className="rate-quote-json">{JSON.stringify(value, null, 2)}</pre>;
+
+/**
+ * Quote Breakdown Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.quote - Per-level audit entry from quoteServiceLevels
+ * @returns {JSX.Element} Pricing steps of the quote
+ */
+export default function QuoteBreakdown({ quote }) {
+  return (
+    <TextContainer>
+      <p>
+        <Badge status={SOURCE_STATUS[quote.source]}>{quote.source}</Badge>{" "}
+        Returned price: <TextStyle variation="strong">{money(quote.total_price)}</TextStyle>
+      </p>
+      {quote.zone && (
+        <p>
+          Contracted zone: <TextStyle variation="strong">{quote.zone.name}</TextStyle>
+          {quote.zone.band &&
+            ` (${quote.zone.band.min_weight} lb${quote.zone.band.max_weight != null ? ` to ${quote.zone.band.max_weight} lb` : " and up"})`}
+        </p>
+      )}
+      {quote.breakdown && (
+        <DescriptionList
+          items={[
+            { term: "Cost after accessorials", description: `$${Number(quote.breakdown.cost).toFixed(2)}` },
+            { term: "Payment settings", description: JSON.stringify(quote.breakdown.payment) },
+            { term: "After payment strategy", description: `$${Number(quote.breakdown.after_payment).toFixed(2)}` },
+            { term: "Formatted price", description: money(quote.breakdown.price) },
+          ]}
+        />
+      )}
+      {quote.error && <p>Calculator error: {JSON.stringify(quote.error)}</p>}
+      {quote.shipments?.map((shipment, index) => (
+        <div key={index}>
+          <TextStyle variation="subdued">
+            Calculator response ({shipment.service_level} from {shipment.origin})
+          </TextStyle>
+          {json(shipment.raw)}
+        </div>
+      ))}
+    </TextContainer>
+  );
+}
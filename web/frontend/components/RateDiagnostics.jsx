@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Rate Diagnostics
+ *
+ * Lists why a cart got no Deliveright rate, or fewer rates than expected:
+ * untagged products, disabled or blocked service levels, missing weights,
+ * calculator errors, missing sessions... (see utils/rateDiagnostics on the
+ * backend for every reason).
+ *
+ * @module components/RateDiagnostics
+ * @requires @shopify/polaris
+ */
+
+import { Banner, List } from "@shopify/polaris";
+
+/**
+ * Rate Diagnostics Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.diagnostics - [{ reason, message }]
+ * @param {boolean} props.noRates - Whether the cart got no rate at all
+ * @returns {JSX.Element|null} Banner with one line per diagnostic
+ */
+export default function RateDiagnostics({ diagnostics, noRates }) {
+  if (!diagnostics?.length) {
+    return noRates ? (
+      <Banner status="warning" title="Why no Deliveright rate?">
+        <p>No reason was found. Check the calculator responses below.</p>
+      </Banner>
+    ) : null;
+  }
+
+  return (
+    <Banner status={noRates ? "critical" : "warning"} title={noRates ? "Why no Deliveright rate?" : "Diagnostics"}>
+      <List>
+        {diagnostics.map((diagnostic, index) => (
+          <List.Item key={index}>{diagnostic.message}</List.Item>
+        ))}
+      </List>
+    </Banner>
+  );
+}
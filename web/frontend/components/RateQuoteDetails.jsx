@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Rate Quote Details
+ *
+ * Shows one recorded /carrier call: the redacted destination, the eligible
+ * items and, for every service level, how the price was reached (calculator
+ * response, cost after accessorials, payment strategy and final price).
+ * Calls that returned no rate also show why, and quotes that used a default
+ * weight are flagged.
+ *
+ * @module components/RateQuoteDetails
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ * @requires ./QuoteBreakdown
+ * @requires ./RateDiagnostics
+ * @requires ./RateWarnings
+ */
+
+import { DescriptionList, Modal, Spinner } from "@shopify/polaris";
+import { useAppQuery } from "../hooks";
+import QuoteBreakdown, { json } from "./QuoteBreakdown.jsx";
+import RateDiagnostics from "./RateDiagnostics.jsx";
+import RateWarnings from "./RateWarnings.jsx";
+
+/**
+ * Rate Quote Details Modal Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.id - Record ID to show
+ * @param {Function} props.onClose - Close handler
+ * @returns {JSX.Element} Modal with the record details
+ */
+export default function RateQuoteDetails({ id, onClose }) {
+  const { data, isLoading } = useAppQuery({ url: `/api/rate-quotes/${id}` });
+  const record = data?.record;
+
+  return (
+    <Modal open large title={`Rate quote #${id}`} onClose={onClose}>
+      {isLoading || !record ? (
+        <Modal.Section>
+          <Spinner size="small" />
+        </Modal.Section>
+      ) : (
+        <>
+          <Modal.Section>
+            <DescriptionList
+              items={[
+                { term: "Received", description: new Date(record.created_at).toLocaleString() },
+                { term: "Destination", description: Object.values(record.destination).filter(Boolean).join(", ") },
+                { term: "Duration", description: `${record.duration_ms} ms` },
+                { term: "Error", description: record.error || "None" },
+              ]}
+            />
+          </Modal.Section>
+          {record.warnings.length > 0 && (
+            <Modal.Section>
+              <RateWarnings warnings={record.warnings} />
+            </Modal.Section>
+          )}
+          {record.rates.length === 0 && (
+            <Modal.Section>
+              <RateDiagnostics diagnostics={record.diagnostics} noRates />
+            </Modal.Section>
+          )}
+          {record.quotes.map((quote) => (
+            <Modal.Section key={quote.service_level} title={`Service level ${quote.service_level}`}>
+              <QuoteBreakdown quote={quote} />
+            </Modal.Section>
+          ))}
+          <Modal.Section title="Eligible items">{json(record.items)}</Modal.Section>
+          <Modal.Section title="Rates returned">{json(record.rates)}</Modal.Section>
+        </>
+      )}
+    </Modal>
+  );
+}
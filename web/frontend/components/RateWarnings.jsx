@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Rate Warnings
+ *
+ * Lists the assumptions a rate was priced on, such as a default weight used
+ * for a product saved without one (see utils/defaultWeights on the backend).
+ *
+ * @module components/RateWarnings
+ * @requires @shopify/polaris
+ */
+
+import { Banner, List } from "@shopify/polaris";
+
+/**
+ * Rate Warnings Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.warnings - [{ reason, message }]
+ * @returns {JSX.Element|null} Banner with one line per warning
+ */
+export default function RateWarnings({ warnings }) {
+  if (!warnings?.length) return null;
+
+  return (
+    <Banner status="warning" title="Priced with default weights">
+      <List>
+        {warnings.map((warning, index) => (
+          <List.Item key={index}>{warning.message}</List.Item>
+        ))}
+      </List>
+    </Banner>
+  );
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Service Level Overrides Card
+ *
+ * Editable list of every Deliveright service level with fields for the
+ * checkout name, description and display position. Empty fields fall back to
+ * the defaults defined on the server (config.serviceLevels).
+ *
+ * @module components/ServiceOverridesCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Card, FormLayout, TextField } from "@shopify/polaris";
+
+/**
+ * Service Overrides Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.overrides - Saved overrides keyed by service level code
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { service_overrides }
+ * @returns {JSX.Element} Card with one section per service level
+ */
+export default function ServiceOverridesCard(props) {
+  const [overrides, setOverrides] = useState(props.overrides || {});
+  const [loading, setLoading] = useState(false);
+
+  const setField = (code, field) => (value) => {
+    setOverrides({ ...overrides, [code]: { ...overrides[code], [field]: value } });
+  };
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({ service_overrides: overrides });
+    setLoading(false);
+  };
+
+  return (
+    <Card
+      primaryFooterAction={{ content: "Save", onAction: save, loading }}
+    >
+      {Object.entries(props.serviceLevels).map(([code, level]) => (
+        <Card.Section key={code} title={`${level.service_name} (${code})`}>
+          <FormLayout>
+            <FormLayout.Group>
+              <TextField
+                label="Service name"
+                value={overrides[code]?.service_name || ""}
+                placeholder={level.service_name}
+                onChange={setField(code, "service_name")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Position"
+                type="number"
+                value={overrides[code]?.position?.toString() || ""}
+                onChange={setField(code, "position")}
+                helpText="Lower numbers are shown first."
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+            <TextField
+              label="Description"
+              value={overrides[code]?.description || ""}
+              placeholder={level.description}
+              onChange={setField(code, "description")}
+              multiline={2}
+              autoComplete="off"
+            />
+          </FormLayout>
+        </Card.Section>
+      ))}
+    </Card>
+  );
+}
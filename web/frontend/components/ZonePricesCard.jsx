@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Zone Prices Card
+ *
+ * Ordered list of contracted delivery zones. A zone covers zip prefixes or
+ * exact zip codes and sets the checkout price of some service levels, either
+ * flat or by cart weight. Destinations in a zone are priced from it without
+ * calling the Deliveright calculator; the first matching zone wins.
+ *
+ * @module components/ZonePricesCard
+ * @requires react
+ * @requires @shopify/polaris
+ */
+
+import { useState } from "react";
+import { Button, Card, FormLayout, Stack, TextField, TextStyle } from "@shopify/polaris";
+
+const toText = (list) => (list || []).join(", ");
+const toList = (text) => text.split(",").map((v) => v.trim()).filter(Boolean);
+const toString = (value) => (value === undefined || value === null ? "" : String(value));
+
+/**
+ * Convert a saved zone into form field values
+ *
+ * @param {Object} zone - Saved zone
+ * @returns {Object} Zone with string form values
+ */
+const toForm = (zone) => ({
+  name: zone.name || "",
+  zip_prefixes: toText(zone.zip_prefixes),
+  zips: toText(zone.zips),
+  service_levels: Object.fromEntries(
+    Object.entries(zone.service_levels || {}).map(([code, level]) => [
+      code,
+      {
+        price: toString(level.price),
+        bands: (level.bands || []).map((band) => ({
+          min_weight: toString(band.min_weight),
+          max_weight: toString(band.max_weight),
+          price: toString(band.price),
+        })),
+      },
+    ])
+  ),
+});
+
+/**
+ * Convert form field values back into a zone for the API
+ *
+ * Empty levels are dropped by the server.
+ *
+ * @param {Object} form - Zone form values
+ * @returns {Object} Zone
+ */
+const fromForm = (form) => ({
+  name: form.name,
+  zip_prefixes: toList(form.zip_prefixes),
+  zips: toList(form.zips),
+  service_levels: form.service_levels,
+});
+
+/**
+ * Zone Prices Card Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.zones - Saved zones, in resolution order
+ * @param {Object} props.serviceLevels - Default service levels keyed by code
+ * @param {Function} props.onSave - Save handler, receives { zone_prices }
+ * @returns {JSX.Element} Card with one section per zone
+ */
+export default function ZonePricesCard(props) {
+  const [zones, setZones] = useState((props.zones || []).map(toForm));
+  const [loading, setLoading] = useState(false);
+
+  const updateZone = (index, patch) => setZones(zones.map((zone, i) => (i === index ? { ...zone, ...patch } : zone)));
+
+  const levelOf = (zone, code) => zone.service_levels[code] || { price: "", bands: [] };
+  const updateLevel = (index, code, patch) =>
+    updateZone(index, {
+      service_levels: { ...zones[index].service_levels, [code]: { ...levelOf(zones[index], code), ...patch } },
+    });
+  const updateBand = (index, code, bandIndex, patch) =>
+    updateLevel(index, code, {
+      bands: levelOf(zones[index], code).bands.map((band, i) => (i === bandIndex ? { ...band, ...patch } : band)),
+    });
+
+  const addZone = () => setZones([...zones, toForm({})]);
+  const removeZone = (index) => setZones(zones.filter((_, i) => i !== index));
+  const moveZone = (index, offset) => {
+    let next = [...zones];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setZones(next);
+  };
+
+  const save = async () => {
+    setLoading(true);
+    await props.onSave({ zone_prices: zones.map(fromForm) });
+    setLoading(false);
+  };
+
+  return (
+    <Card
+      primaryFooterAction={{ content: "Save", onAction: save, loading }}
+      secondaryFooterActions={[{ content: "Add zone", onAction: addZone }]}
+    >
+      {zones.length === 0 && (
+        <Card.Section>
+          <TextStyle variation="subdued">No zones yet. Every rate is quoted by the Deliveright calculator.</TextStyle>
+        </Card.Section>
+      )}
+      {zones.map((zone, index) => (
+        <Card.Section
+          key={index}
+          title={`Zone ${index + 1}${zone.name ? `: ${zone.name}` : ""}`}
+          actions={[
+            ...(index > 0 ? [{ content: "Move up", onAction: () => moveZone(index, -1) }] : []),
+            ...(index < zones.length - 1 ? [{ content: "Move down", onAction: () => moveZone(index, 1) }] : []),
+            { content: "Remove", destructive: true, onAction: () => removeZone(index) },
+          ]}
+        >
+          <FormLayout>
+            <TextField
+              label="Name"
+              value={zone.name}
+              onChange={(name) => updateZone(index, { name })}
+              placeholder="NYC metro"
+              autoComplete="off"
+            />
+            <FormLayout.Group>
+              <TextField
+                label="Zip prefixes"
+                value={zone.zip_prefixes}
+                onChange={(zip_prefixes) => updateZone(index, { zip_prefixes })}
+                placeholder="100, 112"
+                autoComplete="off"
+              />
+              <TextField
+                label="Zip codes"
+                value={zone.zips}
+                onChange={(zips) => updateZone(index, { zips })}
+                placeholder="07030, 07302"
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+            {Object.entries(props.serviceLevels).map(([code, level]) => (
+              <Stack vertical spacing="tight" key={code}>
+                <TextField
+                  label={`${level.service_name} (${code})`}
+                  type="number"
+                  prefix="$"
+                  min={0}
+                  value={levelOf(zone, code).price}
+                  onChange={(price) => updateLevel(index, code, { price })}
+                  helpText="Used when no weight band matches. Leave empty and without bands to use the calculator."
+                  autoComplete="off"
+                />
+                {levelOf(zone, code).bands.map((band, bandIndex) => (
+                  <FormLayout.Group key={bandIndex} condensed>
+                    <TextField
+                      label="From (lb)"
+                      type="number"
+                      min={0}
+                      value={band.min_weight}
+                      onChange={(min_weight) => updateBand(index, code, bandIndex, { min_weight })}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Up to (lb)"
+                      type="number"
+                      min={0}
+                      value={band.max_weight}
+                      placeholder="No limit"
+                      onChange={(max_weight) => updateBand(index, code, bandIndex, { max_weight })}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Price"
+                      type="number"
+                      prefix="$"
+                      min={0}
+                      value={band.price}
+                      onChange={(price) => updateBand(index, code, bandIndex, { price })}
+                      connectedRight={
+                        <Button
+                          onClick={() =>
+                            updateLevel(index, code, {
+                              bands: levelOf(zone, code).bands.filter((_, i) => i !== bandIndex),
+                            })
+                          }
+                        >
+                          Remove
+                        </Button>
+                      }
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                ))}
+                <Button
+                  plain
+                  onClick={() =>
+                    updateLevel(index, code, {
+                      bands: [...levelOf(zone, code).bands, { min_weight: "", max_weight: "", price: "" }],
+                    })
+                  }
+                >
+                  Add weight band
+                </Button>
+              </Stack>
+            ))}
+          </FormLayout>
+        </Card.Section>
+      ))}
+    </Card>
+  );
+}
@@ -6,5 +6,4 @@
  * @module components
  */
 
-export { ProductsCard } from "./ProductsCard";
 export * from "./providers";
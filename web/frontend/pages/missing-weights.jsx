@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Missing Weights Page
+ *
+ * Lists the Deliveright products with variants saved without a weight, so
+ * the merchant can fix them in Shopify admin. Each product shows the default
+ * weight quotes and orders use meanwhile. The catalog is scanned one page at
+ * a time from /api/weights/missing.
+ *
+ * @module pages/missing-weights
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ */
+
+import { useEffect, useState } from "react";
+import { Badge, Banner, Card, DataTable, Page, Stack, TextStyle } from "@shopify/polaris";
+import { useAuthenticatedFetch } from "../hooks";
+
+/**
+ * Missing Weights Page Component
+ *
+ * @component
+ * @returns {JSX.Element} Table of products missing a weight
+ */
+export default function MissingWeights() {
+  const fetch = useAuthenticatedFetch();
+  const [products, setProducts] = useState([]);
+  const [scanned, setScanned] = useState(0);
+  const [cursor, setCursor] = useState(null);
+  const [hasNext, setHasNext] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const scan = async () => {
+    setLoading(true);
+    setError(null);
+    const response = await fetch(`/api/weights/missing${cursor ? `?after=${encodeURIComponent(cursor)}` : ""}`);
+    const body = await response.json().catch(() => ({}));
+    setLoading(false);
+
+    if (!response.ok) {
+      setError(body.error || "An error has occurred, please try again.");
+      return;
+    }
+    setProducts((current) => [...current, ...body.products]);
+    setScanned((current) => current + body.scanned);
+    setCursor(body.end_cursor);
+    setHasNext(body.has_next);
+  };
+
+  useEffect(() => {
+    scan();
+  }, []);
+
+  const rows = products.map((product) => [
+    product.title,
+    product.levels.join(", "),
+    product.variants.map((variant) => variant.sku || variant.title).join(", "),
+    product.default_weight ? (
+      `${product.default_weight.pounds} lb (${product.default_weight.source.replace(/[_:]/g, " ")})`
+    ) : (
+      <Badge status="critical">None, quoted at 0 lb</Badge>
+    ),
+  ]);
+
+  return (
+    <Page
+      title="Products missing a weight"
+      breadcrumbs={[{ content: "Settings", url: "/settings" }]}
+      primaryAction={{ content: "Scan more products", onAction: scan, loading, disabled: !hasNext }}
+    >
+      <Stack vertical>
+        {error && <Banner status="critical">{error}</Banner>}
+        <Card>
+          <DataTable
+            columnContentTypes={["text", "text", "text", "text"]}
+            headings={["Product", "Service levels", "Variants without weight", "Default weight used"]}
+            rows={rows}
+            footerContent={
+              <TextStyle variation="subdued">
+                {loading
+                  ? "Scanning..."
+                  : `${products.length} products missing a weight in ${scanned} scanned${hasNext ? "" : ", whole catalog scanned"}`}
+              </TextStyle>
+            }
+          />
+        </Card>
+      </Stack>
+    </Page>
+  );
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Order Sync Page
+ *
+ * Shows which Shopify orders reached Deliveright. Every Deliveright order is
+ * queued before it is sent; this page lists the queue from /api/orders with
+ * each order's send status, Deliveright order ID and last error, and opens
+ * an order to view its payload or resend it.
+ *
+ * @module pages/orders
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ */
+
+import { useState } from "react";
+import { Badge, Card, DataTable, FormLayout, Link, Page, Pagination, Select, TextField, TextStyle } from "@shopify/polaris";
+import { useAppQuery } from "../hooks";
+import OrderSyncDetails, { STATUS_BADGES, date } from "../components/OrderSyncDetails.jsx";
+
+/**
+ * Send status filter choices
+ * @constant {Array<Object>}
+ */
+const STATUS_OPTIONS = [
+  { label: "All statuses", value: "" },
+  { label: "Sent", value: "sent" },
+  { label: "Pending", value: "pending" },
+  { label: "Failed, retrying", value: "failed" },
+  { label: "Gave up", value: "dead" },
+  { label: "Cancelled", value: "cancelled" },
+];
+
+/**
+ * Order Sync Page Component
+ *
+ * @component
+ * @returns {JSX.Element} Searchable list of orders sent to Deliveright
+ */
+export default function Orders() {
+  const [search, setSearch] = useState("");
+  const [status, setStatus] = useState("");
+  const [serviceLevel, setServiceLevel] = useState("");
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+
+  const { data: settings } = useAppQuery({ url: "/api/settings" });
+
+  const params = new URLSearchParams({ page: String(page) });
+  if (search) params.set("search", search);
+  if (status) params.set("status", status);
+  if (serviceLevel) params.set("service_level", serviceLevel);
+  const { data, isLoading, refetch } = useAppQuery({ url: `/api/orders?${params}` });
+
+  // Any filter change starts again from the first page
+  const setFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const levelOptions = [
+    { label: "All service levels", value: "" },
+    ...Object.entries(settings?.serviceLevels || {}).map(([code, level]) => ({
+      label: `${level.service_name} (${code})`,
+      value: code,
+    })),
+  ];
+
+  const rows = (data?.orders || []).map((order) => [
+    <Link removeUnderline onClick={() => setSelected(order.order_id)}>
+      {order.order_name || order.order_id}
+    </Link>,
+    order.service_level || "—",
+    <Badge status={STATUS_BADGES[order.status]?.status}>{STATUS_BADGES[order.status]?.label || order.status}</Badge>,
+    order.deliveright_order_id || "—",
+    order.last_error ? <TextStyle variation="negative">{order.last_error.slice(0, 80)}</TextStyle> : "—",
+    date(order.created_at),
+    date(order.sent_at || order.updated_at),
+  ]);
+
+  return (
+    <Page title="Order sync" breadcrumbs={[{ content: "Home", url: "/" }]}>
+      <Card sectioned>
+        <FormLayout>
+          <FormLayout.Group>
+            <TextField
+              label="Search"
+              value={search}
+              onChange={setFilter(setSearch)}
+              placeholder="Order name or ID"
+              clearButton
+              onClearButtonClick={() => setFilter(setSearch)("")}
+              autoComplete="off"
+            />
+            <Select label="Status" options={STATUS_OPTIONS} value={status} onChange={setFilter(setStatus)} />
+            <Select label="Service level" options={levelOptions} value={serviceLevel} onChange={setFilter(setServiceLevel)} />
+          </FormLayout.Group>
+        </FormLayout>
+      </Card>
+      <Card>
+        <DataTable
+          columnContentTypes={["text", "text", "text", "text", "text", "text", "text"]}
+          headings={["Order", "Service level", "Status", "Deliveright order", "Last error", "Queued", "Last update"]}
+          rows={rows}
+          footerContent={isLoading ? "Loading..." : rows.length === 0 ? "No orders found" : undefined}
+        />
+        <Card.Section>
+          <Pagination
+            hasPrevious={page > 1}
+            onPrevious={() => setPage(page - 1)}
+            hasNext={!!data?.has_more}
+            onNext={() => setPage(page + 1)}
+          />
+        </Card.Section>
+      </Card>
+      {selected && <OrderSyncDetails id={selected} onClose={() => setSelected(null)} onResent={refetch} />}
+    </Page>
+  );
+}
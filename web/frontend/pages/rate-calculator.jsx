@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Rate Calculator Page
+ *
+ * Lets the merchant see what Deliveright will charge for a cart without going
+ * through the storefront checkout. Products are picked from the store, the
+ * destination is entered by hand, and /api/rates/preview prices the cart
+ * through the same pipeline as checkout, step by step, with the reasons
+ * products or service levels got no rate.
+ *
+ * @module pages/rate-calculator
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires @shopify/app-bridge-react
+ * @requires ../hooks
+ */
+
+import { useState } from "react";
+import {
+  Banner,
+  Card,
+  DataTable,
+  FormLayout,
+  Layout,
+  List,
+  Page,
+  ResourceItem,
+  ResourceList,
+  Stack,
+  TextField,
+  TextStyle,
+} from "@shopify/polaris";
+import { ResourcePicker } from "@shopify/app-bridge-react";
+import { useAuthenticatedFetch } from "../hooks";
+import QuoteBreakdown, { json, money } from "../components/QuoteBreakdown.jsx";
+import RateDiagnostics from "../components/RateDiagnostics.jsx";
+import RateWarnings from "../components/RateWarnings.jsx";
+
+/**
+ * Empty destination form
+ * @constant {Object}
+ */
+const EMPTY_DESTINATION = { postal_code: "", province: "", country: "US", address1: "" };
+
+const numericId = (gid) => gid.split("/").pop();
+
+/**
+ * Rate Calculator Page Component
+ *
+ * @component
+ * @returns {JSX.Element} Cart and destination form with the rate breakdown
+ */
+export default function RateCalculator() {
+  const fetch = useAuthenticatedFetch();
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [lines, setLines] = useState([]);
+  const [destination, setDestination] = useState(EMPTY_DESTINATION);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // Picked variants are added to the cart, variants already in it are kept
+  const addVariants = ({ selection }) => {
+    setPickerOpen(false);
+    const known = new Set(lines.map((line) => line.variant_id));
+    const added = selection
+      .filter((variant) => !known.has(numericId(variant.id)))
+      .map((variant) => ({
+        variant_id: numericId(variant.id),
+        name: variant.displayName || variant.title,
+        quantity: "1",
+      }));
+    setLines([...lines, ...added]);
+  };
+
+  const setQuantity = (variant_id) => (quantity) =>
+    setLines(lines.map((line) => (line.variant_id === variant_id ? { ...line, quantity } : line)));
+
+  const removeLine = (variant_id) => setLines(lines.filter((line) => line.variant_id !== variant_id));
+
+  const setField = (field) => (value) => setDestination({ ...destination, [field]: value });
+
+  const calculate = async () => {
+    setLoading(true);
+    setError(null);
+    const response = await fetch("/api/rates/preview", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        items: lines.map(({ variant_id, quantity }) => ({ variant_id, quantity: Number(quantity) })),
+        destination,
+      }),
+    });
+    const body = await response.json().catch(() => ({}));
+    setLoading(false);
+
+    if (!response.ok) {
+      setResult(null);
+      setError(body.error || "An error has occurred, please try again.");
+      return;
+    }
+    setResult(body);
+  };
+
+  const rateRows = (result?.rates || []).map((rate) => [
+    rate.service_name,
+    rate.service_code,
+    [rate.min_delivery_date, rate.max_delivery_date].filter(Boolean).map((d) => d.slice(0, 10)).join(" – ") || "—",
+    money(rate.total_price),
+  ]);
+
+  return (
+    <Page title="Rate calculator" breadcrumbs={[{ content: "Home", url: "/" }]}>
+      <ResourcePicker
+        resourceType="ProductVariant"
+        open={pickerOpen}
+        onSelection={addVariants}
+        onCancel={() => setPickerOpen(false)}
+      />
+      <Layout>
+        <Layout.Section>
+          <Card
+            title="Cart"
+            actions={[{ content: "Add products", onAction: () => setPickerOpen(true) }]}
+          >
+            {lines.length === 0 ? (
+              <Card.Section>
+                <TextStyle variation="subdued">No products added yet</TextStyle>
+              </Card.Section>
+            ) : (
+              <ResourceList
+                items={lines}
+                renderItem={(line) => (
+                  <ResourceItem id={line.variant_id} shortcutActions={[{ content: "Remove", onAction: () => removeLine(line.variant_id) }]}>
+                    <Stack alignment="center">
+                      <Stack.Item fill>{line.name}</Stack.Item>
+                      <TextField
+                        label="Quantity"
+                        labelHidden
+                        type="number"
+                        min={1}
+                        value={line.quantity}
+                        onChange={setQuantity(line.variant_id)}
+                        autoComplete="off"
+                      />
+                    </Stack>
+                  </ResourceItem>
+                )}
+              />
+            )}
+          </Card>
+          <Card
+            title="Destination"
+            sectioned
+            primaryFooterAction={{
+              content: "Calculate rates",
+              onAction: calculate,
+              loading,
+              disabled: lines.length === 0 || !destination.postal_code.trim(),
+            }}
+          >
+            <FormLayout>
+              <FormLayout.Group condensed>
+                <TextField label="Zip code" value={destination.postal_code} onChange={setField("postal_code")} autoComplete="off" />
+                <TextField label="State" value={destination.province} onChange={setField("province")} placeholder="NY" autoComplete="off" />
+                <TextField label="Country" value={destination.country} onChange={setField("country")} autoComplete="off" />
+              </FormLayout.Group>
+              <TextField
+                label="Address"
+                value={destination.address1}
+                onChange={setField("address1")}
+                helpText="Optional, only used by the PO box rule."
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Card>
+        </Layout.Section>
+        {error && (
+          <Layout.Section>
+            <Banner status="critical">{error}</Banner>
+          </Layout.Section>
+        )}
+        {result && (
+          <Layout.Section>
+            {result.missing.length > 0 && (
+              <Banner status="warning" title="Some products were not found">
+                <List>
+                  {result.missing.map((line) => (
+                    <List.Item key={line.variant_id}>Variant {line.variant_id}</List.Item>
+                  ))}
+                </List>
+              </Banner>
+            )}
+            <RateDiagnostics diagnostics={result.diagnostics} noRates={result.rates.length === 0} />
+            <RateWarnings warnings={result.warnings} />
+            <Card title={`Rates shown at checkout (${result.duration_ms} ms)`}>
+              <DataTable
+                columnContentTypes={["text", "text", "text", "numeric"]}
+                headings={["Service", "Code", "Delivery window", "Price"]}
+                rows={rateRows}
+                footerContent={rateRows.length === 0 ? "No Deliveright rates for this cart" : undefined}
+              />
+            </Card>
+            {result.quotes.map((quote) => (
+              <Card key={quote.service_level} title={`Service level ${quote.service_level}`} sectioned>
+                <QuoteBreakdown quote={quote} />
+              </Card>
+            ))}
+            <Card title="Rate request" sectioned>
+              <Stack vertical>
+                <TextStyle variation="subdued">
+                  Origin: {[result.request.origin.city, result.request.origin.province, result.request.origin.postal_code].filter(Boolean).join(" ") || "unknown"}
+                </TextStyle>
+                {json(result.request.items)}
+              </Stack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Rate Quote Log Page
+ *
+ * Lets the merchant (or support) search the recorded checkout rate requests
+ * to explain a rate after the fact. Records come from /api/rate-quotes and
+ * are kept for a limited number of days.
+ *
+ * @module pages/rate-quotes
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ */
+
+import { useState } from "react";
+import { Badge, Card, Checkbox, DataTable, FormLayout, Link, Page, Pagination, Select, TextField, TextStyle } from "@shopify/polaris";
+import { useAppQuery } from "../hooks";
+import RateQuoteDetails from "../components/RateQuoteDetails.jsx";
+
+/**
+ * Rate Quotes Page Component
+ *
+ * @component
+ * @returns {JSX.Element} Searchable list of rate quote records
+ */
+export default function RateQuotes() {
+  const [search, setSearch] = useState("");
+  const [serviceLevel, setServiceLevel] = useState("");
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [selected, setSelected] = useState(null);
+
+  const { data: settings } = useAppQuery({ url: "/api/settings" });
+
+  const params = new URLSearchParams({ page: String(page) });
+  if (search) params.set("search", search);
+  if (serviceLevel) params.set("service_level", serviceLevel);
+  if (errorsOnly) params.set("errors_only", "true");
+  const { data, isLoading } = useAppQuery({ url: `/api/rate-quotes?${params}` });
+
+  // Any filter change starts again from the first page
+  const setFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const levelOptions = [
+    { label: "All service levels", value: "" },
+    ...Object.entries(settings?.serviceLevels || {}).map(([code, level]) => ({
+      label: `${level.service_name} (${code})`,
+      value: code,
+    })),
+  ];
+
+  const rows = (data?.records || []).map((record) => [
+    <Link removeUnderline onClick={() => setSelected(record.id)}>
+      {new Date(record.created_at).toLocaleString()}
+    </Link>,
+    [record.destination.province, record.destination.postal_code].filter(Boolean).join(" "),
+    record.items.map((item) => item.sku || item.name).join(", "),
+    record.rates.length > 0
+      ? <>
+          {record.rates.map((rate) => `${rate.service_code} $${(rate.total_price / 100).toFixed(2)}`).join(", ")}
+          {record.warnings.length > 0 && <> <Badge status="warning">Default weight</Badge></>}
+        </>
+      : <TextStyle variation="negative">No rates{record.diagnostics[0] ? `: ${record.diagnostics[0].message}` : ""}</TextStyle>,
+    `${record.duration_ms} ms`,
+  ]);
+
+  return (
+    <Page title="Rate quote log" breadcrumbs={[{ content: "Home", url: "/" }]}>
+      <Card sectioned>
+        <FormLayout>
+          <FormLayout.Group>
+            <TextField
+              label="Search"
+              value={search}
+              onChange={setFilter(setSearch)}
+              placeholder="Zip prefix, state, product or SKU"
+              clearButton
+              onClearButtonClick={() => setFilter(setSearch)("")}
+              autoComplete="off"
+            />
+            <Select label="Service level" options={levelOptions} value={serviceLevel} onChange={setFilter(setServiceLevel)} />
+          </FormLayout.Group>
+          <Checkbox label="Only requests with errors or no rates" checked={errorsOnly} onChange={setFilter(setErrorsOnly)} />
+        </FormLayout>
+      </Card>
+      <Card>
+        <DataTable
+          columnContentTypes={["text", "text", "text", "text", "numeric"]}
+          headings={["Received", "Destination", "Items", "Rates", "Duration"]}
+          rows={rows}
+          footerContent={isLoading ? "Loading..." : rows.length === 0 ? "No rate quotes found" : undefined}
+        />
+        <Card.Section>
+          <Pagination
+            hasPrevious={page > 1}
+            onPrevious={() => setPage(page - 1)}
+            hasNext={!!data?.has_more}
+            onNext={() => setPage(page + 1)}
+          />
+        </Card.Section>
+      </Card>
+      {selected && <RateQuoteDetails id={selected} onClose={() => setSelected(null)} />}
+    </Page>
+  );
+}
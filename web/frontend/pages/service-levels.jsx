@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Service Level Tagging Page
+ *
+ * Lets the merchant assign Deliveright service levels to many products at
+ * once instead of tagging them one by one in Shopify admin. Products are
+ * listed with their current levels and filtered by vendor, product type or
+ * collection; the chosen levels are applied to or removed from the selected
+ * products (or every product matching the filters) with one Shopify bulk
+ * mutation, whose progress is shown until it finishes.
+ *
+ * @module pages/service-levels
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires ../hooks
+ */
+
+import { useEffect, useState } from "react";
+import {
+  Badge,
+  Banner,
+  Button,
+  ButtonGroup,
+  Card,
+  ChoiceList,
+  FormLayout,
+  Layout,
+  List,
+  Page,
+  Pagination,
+  ProgressBar,
+  ResourceItem,
+  ResourceList,
+  Select,
+  Stack,
+  TextField,
+  TextStyle,
+} from "@shopify/polaris";
+import { useAppQuery, useAuthenticatedFetch } from "../hooks";
+
+/**
+ * Empty filter form
+ * @constant {Object}
+ */
+const EMPTY_FILTERS = { vendor: "", product_type: "", collection_id: "" };
+
+/**
+ * Bulk operation statuses that are still in progress
+ * @constant {Array<string>}
+ */
+const RUNNING = ["CREATED", "RUNNING", "CANCELING"];
+
+/**
+ * Bulk Operation Progress
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.operation - Bulk operation from /api/tagging/bulk
+ * @param {number} [props.total] - Products in the run, when it was started from this page
+ * @returns {JSX.Element} Progress bar or the outcome of the run
+ */
+function BulkProgress({ operation, total }) {
+  const done = operation.objectCount ? Number(operation.objectCount) : 0;
+
+  if (RUNNING.includes(operation.status)) {
+    return (
+      <Card title="Updating products" sectioned>
+        <Stack vertical>
+          <ProgressBar progress={total ? Math.min(100, (done / total) * 100) : 0} size="small" />
+          <TextStyle variation="subdued">
+            {total ? `${done} of ${total} products updated` : `${done} products updated`}
+          </TextStyle>
+        </Stack>
+      </Card>
+    );
+  }
+
+  if (operation.status === "COMPLETED") {
+    return (
+      <Banner status={operation.failed ? "warning" : "success"} title={`${done} products updated`}>
+        {operation.failed > 0 && (
+          <>
+            <p>{operation.failed} products could not be changed:</p>
+            <List>
+              {operation.errors.map((message) => (
+                <List.Item key={message}>{message}</List.Item>
+              ))}
+            </List>
+          </>
+        )}
+      </Banner>
+    );
+  }
+
+  return (
+    <Banner status="critical" title="The last bulk update did not finish">
+      <p>
+        Shopify reported {operation.status.toLowerCase()}
+        {operation.errorCode ? ` (${operation.errorCode})` : ""}. Products updated before it stopped keep their change.
+      </p>
+    </Banner>
+  );
+}
+
+/**
+ * Service Levels Page Component
+ *
+ * @component
+ * @returns {JSX.Element} Filterable product list with bulk service level actions
+ */
+export default function ServiceLevels() {
+  const fetch = useAuthenticatedFetch();
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [cursors, setCursors] = useState([null]);
+  const [selected, setSelected] = useState([]);
+  const [levels, setLevels] = useState([]);
+  const [submitting, setSubmitting] = useState(null);
+  const [error, setError] = useState(null);
+  const [total, setTotal] = useState(null);
+
+  const { data: settings } = useAppQuery({ url: "/api/settings" });
+  const { data: collectionData } = useAppQuery({ url: "/api/tagging/collections" });
+
+  const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  const after = cursors[cursors.length - 1];
+  if (after) params.set("after", after);
+  const { data, isLoading, refetch } = useAppQuery({ url: `/api/tagging/products?${params}` });
+
+  const { data: bulkData, refetch: refetchBulk } = useAppQuery({
+    url: "/api/tagging/bulk",
+    reactQueryOptions: {
+      refetchInterval: (result) => (RUNNING.includes(result?.bulk_operation?.status) ? 2000 : false),
+    },
+  });
+  const operation = bulkData?.bulk_operation;
+  const running = RUNNING.includes(operation?.status);
+
+  // Show the new levels once a run finishes
+  useEffect(() => {
+    if (operation?.status === "COMPLETED") refetch();
+  }, [operation?.id, operation?.status]);
+
+  const serviceLevels = settings?.serviceLevels || {};
+  const products = data?.products || [];
+
+  const setField = (field) => (value) => setDraft({ ...draft, [field]: value });
+
+  // New filters start again from the first page, without a selection
+  const applyFilters = (next) => {
+    setFilters(next);
+    setCursors([null]);
+    setSelected([]);
+  };
+
+  const changePage = (nextCursors) => {
+    setCursors(nextCursors);
+    setSelected([]);
+  };
+
+  const runBulk = async (action) => {
+    setSubmitting(action);
+    setError(null);
+    const response = await fetch("/api/tagging/bulk", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        action,
+        levels,
+        ...(selected.length > 0 ? { product_ids: selected.map(Number) } : { filters }),
+      }),
+    });
+    const body = await response.json().catch(() => ({}));
+    setSubmitting(null);
+
+    if (!response.ok) {
+      setError(body.error || "An error has occurred, please try again.");
+      return;
+    }
+    if (!body.bulk_operation) {
+      setError("No products match the filters.");
+      return;
+    }
+    setTotal(body.total);
+    setSelected([]);
+    refetchBulk();
+  };
+
+  const collectionOptions = [
+    { label: "All collections", value: "" },
+    ...(collectionData?.collections || []).map((collection) => ({ label: collection.title, value: String(collection.id) })),
+  ];
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    applyFilters(EMPTY_FILTERS);
+  };
+
+  const target = selected.length > 0 ? `${selected.length} selected products` : "every product matching the filters";
+
+  return (
+    <Page title="Service level tagging" breadcrumbs={[{ content: "Home", url: "/" }]}>
+      <Layout>
+        {operation && (
+          <Layout.Section>
+            <BulkProgress operation={operation} total={total} />
+          </Layout.Section>
+        )}
+        {data && !data.editable && (
+          <Layout.Section>
+            <Banner status="info" title="Service levels come from your settings">
+              <p>
+                Products get their service levels from their {data.source === "collection" ? "collections" : "product type"}.
+                Change the mapping under Product eligibility in the settings page.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card
+            sectioned
+            primaryFooterAction={{ content: "Filter", onAction: () => applyFilters(draft) }}
+            secondaryFooterActions={[{ content: "Clear", onAction: clearFilters }]}
+          >
+            <FormLayout>
+              <FormLayout.Group condensed>
+                <TextField label="Vendor" value={draft.vendor} onChange={setField("vendor")} autoComplete="off" />
+                <TextField label="Product type" value={draft.product_type} onChange={setField("product_type")} autoComplete="off" />
+                <Select label="Collection" options={collectionOptions} value={draft.collection_id} onChange={setField("collection_id")} />
+              </FormLayout.Group>
+            </FormLayout>
+          </Card>
+          <Card>
+            <ResourceList
+              resourceName={{ singular: "product", plural: "products" }}
+              items={products}
+              loading={isLoading}
+              selectable={!!data?.editable}
+              selectedItems={selected}
+              onSelectionChange={(ids) => setSelected(ids === "All" ? products.map((p) => String(p.product_id)) : ids)}
+              idForItem={(product) => String(product.product_id)}
+              emptyState={<Card.Section><TextStyle variation="subdued">No products found</TextStyle></Card.Section>}
+              renderItem={(product) => (
+                <ResourceItem id={String(product.product_id)}>
+                  <Stack alignment="center">
+                    <Stack.Item fill>
+                      <Stack vertical spacing="extraTight">
+                        <TextStyle variation="strong">{product.title}</TextStyle>
+                        <TextStyle variation="subdued">
+                          {[product.vendor, product.product_type].filter(Boolean).join(" · ")}
+                        </TextStyle>
+                      </Stack>
+                    </Stack.Item>
+                    {product.levels.length > 0 ? (
+                      product.levels.map((code) => (
+                        <Badge key={code} status="info">{code}</Badge>
+                      ))
+                    ) : (
+                      <Badge>No service level</Badge>
+                    )}
+                  </Stack>
+                </ResourceItem>
+              )}
+            />
+            <Card.Section>
+              <Pagination
+                hasPrevious={cursors.length > 1}
+                onPrevious={() => changePage(cursors.slice(0, -1))}
+                hasNext={!!data?.has_next}
+                onNext={() => changePage([...cursors, data.end_cursor])}
+              />
+            </Card.Section>
+          </Card>
+        </Layout.Section>
+        {data?.editable && (
+          <Layout.Section secondary>
+            <Card title="Change service levels" sectioned>
+              <Stack vertical>
+                <ChoiceList
+                  allowMultiple
+                  title="Service levels"
+                  choices={Object.entries(serviceLevels).map(([code, level]) => ({
+                    label: `${level.service_name} (${code})`,
+                    value: code,
+                  }))}
+                  selected={levels}
+                  onChange={setLevels}
+                />
+                <TextStyle variation="subdued">Changes apply to {target}.</TextStyle>
+                {error && <Banner status="critical">{error}</Banner>}
+                <ButtonGroup>
+                  <Button
+                    primary
+                    onClick={() => runBulk("add")}
+                    loading={submitting === "add"}
+                    disabled={levels.length === 0 || running || !!submitting}
+                  >
+                    Apply
+                  </Button>
+                  <Button
+                    destructive
+                    onClick={() => runBulk("remove")}
+                    loading={submitting === "remove"}
+                    disabled={levels.length === 0 || running || !!submitting}
+                  >
+                    Remove
+                  </Button>
+                </ButtonGroup>
+              </Stack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
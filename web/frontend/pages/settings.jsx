@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Delivery Settings Page
+ *
+ * Lets the merchant manage the per-shop settings used when Deliveright rates
+ * are shown at checkout. Settings are loaded from and saved to /api/settings,
+ * which stores them with the shop's record in Deliveright.
+ *
+ * Sections:
+ * - EnabledServiceLevelsCard: Which service levels are offered at checkout
+ * - ServiceOverridesCard: Custom service names, descriptions and order
+ * - PricingRulesCard: Conditional payment strategies (promos, thresholds)
+ * - DeliveryEstimatesCard: Lead times and blackout dates for delivery windows
+ * - MultiOriginCard: Quote carts per warehouse
+ * - MixedCartPolicyCard: How carts mixing service levels are quoted
+ * - DestinationRulesCard: Where each service level can be delivered
+ * - ProductEligibilityCard: Where product service levels are read from
+ * - DefaultWeightsCard: Weights used for products saved without one
+ * - ZonePricesCard: Contracted prices per zip zone
+ * - FallbackRatesCard: Prices used when the calculator fails
+ * - OrderTriggerCard: When orders are sent to Deliveright
+ *
+ * @module pages/settings
+ * @requires react
+ * @requires @shopify/polaris
+ * @requires @shopify/app-bridge-react
+ * @requires ../hooks
+ */
+
+import { useState } from "react";
+import { Layout, Page } from "@shopify/polaris";
+import { Toast } from "@shopify/app-bridge-react";
+import { useAppQuery, useAuthenticatedFetch } from "../hooks";
+import LoadingSkeleton from "../components/Loading.jsx";
+import EnabledServiceLevelsCard from "../components/EnabledServiceLevelsCard.jsx";
+import ServiceOverridesCard from "../components/ServiceOverridesCard.jsx";
+import PricingRulesCard from "../components/PricingRulesCard.jsx";
+import DeliveryEstimatesCard from "../components/DeliveryEstimatesCard.jsx";
+import MultiOriginCard from "../components/MultiOriginCard.jsx";
+import MixedCartPolicyCard from "../components/MixedCartPolicyCard.jsx";
+import DestinationRulesCard from "../components/DestinationRulesCard.jsx";
+import ProductEligibilityCard from "../components/ProductEligibilityCard.jsx";
+import DefaultWeightsCard from "../components/DefaultWeightsCard.jsx";
+import ZonePricesCard from "../components/ZonePricesCard.jsx";
+import FallbackRatesCard from "../components/FallbackRatesCard.jsx";
+import OrderTriggerCard from "../components/OrderTriggerCard.jsx";
+
+/**
+ * Settings Page Component
+ *
+ * Fetches the shop's settings and passes a shared save handler to each
+ * settings card. Each card saves only the keys it owns.
+ *
+ * @component
+ * @returns {JSX.Element} Settings page
+ */
+export default function Settings() {
+  const emptyToastProps = { content: null };
+  const [toastProps, setToastProps] = useState(emptyToastProps);
+  const fetch = useAuthenticatedFetch();
+
+  const { data, isLoading, refetch } = useAppQuery({ url: "/api/settings" });
+
+  const toastMarkup = toastProps.content && (
+    <Toast {...toastProps} onDismiss={() => setToastProps(emptyToastProps)} />
+  );
+
+  /**
+   * Save a partial settings update
+   *
+   * @async
+   * @param {Object} patch - Settings keyed by setting name
+   * @returns {Promise<boolean>} True if the settings were saved
+   */
+  const saveSettings = async (patch) => {
+    const response = await fetch("/api/settings", {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(patch),
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      setToastProps({
+        content: body.error || "An error has occurred, please try again.",
+        error: true,
+      });
+      return false;
+    }
+
+    setToastProps({ content: "Settings saved" });
+    await refetch();
+    return true;
+  };
+
+  if (isLoading || !data) return <LoadingSkeleton />;
+
+  return (
+    <Page title="Delivery settings" breadcrumbs={[{ content: "Home", url: "/" }]}>
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Product eligibility"
+          description="Choose how products are assigned to Deliveright service levels: tags, a metafield, collections or product types. Products without a level get no Deliveright rate."
+        >
+          <ProductEligibilityCard
+            eligibility={data.settings.eligibility}
+            eligibilitySources={data.eligibilitySources}
+            serviceLevels={data.serviceLevels}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Default weights"
+          description="Deliveright prices by weight. Products saved without a weight are quoted and ordered with these weights instead of zero; the rate quote log flags every quote that used one."
+        >
+          <DefaultWeightsCard
+            defaultWeights={data.settings.default_weights}
+            serviceLevels={data.serviceLevels}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Offered service levels"
+          description="Turn off service levels you don't want to offer, without reassigning products. Products left without an enabled level get no Deliveright rate."
+        >
+          <EnabledServiceLevelsCard
+            enabledServiceLevels={data.settings.enabled_service_levels}
+            serviceLevels={data.serviceLevels}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Service names and order"
+          description="Change how each Deliveright service level is named, described and ordered at checkout. Leave a field empty to use the default."
+        >
+          <ServiceOverridesCard
+            overrides={data.settings.service_overrides}
+            serviceLevels={data.serviceLevels}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Pricing rules"
+          description="Change who pays for delivery based on the service level, cart subtotal or destination state. Rules are checked in order and the first match is used; otherwise your global payment strategy applies."
+        >
+          <PricingRulesCard
+            rules={data.settings.pricing_rules}
+            serviceLevels={data.serviceLevels}
+            paymentStrategies={data.paymentStrategies}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Contracted zone prices"
+          description="Charge fixed local delivery prices in the zip codes you have contracted, instead of the Deliveright calculator's. Zone prices are shown as is, without your payment strategy or pricing rules, and the rate quote log marks every rate priced from a zone."
+        >
+          <ZonePricesCard zones={data.settings.zone_prices} serviceLevels={data.serviceLevels} onSave={saveSettings} />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Fallback rates"
+          description="Keep offering a service level when the Deliveright calculator returns an error. Fallback prices are shown as is, without your payment strategy or pricing rules, and the rate quote log marks every rate priced from them. Without one, the level is left out of checkout."
+        >
+          <FallbackRatesCard rates={data.settings.fallback_rates} serviceLevels={data.serviceLevels} onSave={saveSettings} />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Delivery estimates"
+          description="Show customers an estimated delivery window for each service level. Used when Deliveright doesn't report one. Product handling times (deliveright.handling_days metafield) are added on top."
+        >
+          <DeliveryEstimatesCard
+            leadTimes={data.settings.lead_times}
+            blackoutDates={data.settings.blackout_dates}
+            serviceLevels={data.serviceLevels}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Shipping origins"
+          description="Quote items from each warehouse separately and combine them into one rate. Items ship from the deliveright.origin_zip product metafield when set, otherwise from the location that has them in stock."
+        >
+          <MultiOriginCard enabled={data.settings.multi_origin} onSave={saveSettings} />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Mixed carts"
+          description="Choose which rates customers see when the products in their cart are tagged with different service levels."
+        >
+          <MixedCartPolicyCard
+            policy={data.settings.mixed_cart_policy}
+            mixedCartPolicies={data.mixedCartPolicies}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Delivery destinations"
+          description="Hide Deliveright rates for addresses that can't be served, such as other countries, remote states or PO boxes. Service levels can use their own rules."
+        >
+          <DestinationRulesCard
+            rules={data.settings.destination_rules}
+            serviceLevels={data.serviceLevels}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Order booking"
+          description="Choose when Deliveright orders are created. Booking at payment lets Deliveright start scheduling earlier. Each order is sent once, whatever happens afterwards."
+        >
+          <OrderTriggerCard
+            trigger={data.settings.order_trigger}
+            orderTriggers={data.orderTriggers}
+            onSave={saveSettings}
+          />
+        </Layout.AnnotatedSection>
+      </Layout>
+      {toastMarkup}
+    </Page>
+  );
+}
@@ -47,6 +47,7 @@ import serveStatic from "serve-static";
 import shopify from "./shopify.js";
 import GDPRWebhookHandlers from "./webhook_handlers/gdpr.js";
 import OrderWebhookHandlers from "./webhook_handlers/order.js";
+import ProductWebhookHandlers from "./webhook_handlers/product.js";
 
 // ============================================================================
 // IMPORTS - Internal Modules
@@ -58,7 +59,26 @@ import createCarrier from "./utils/createCarrier.js";
 import config from "./config.js";
 import * as util from "util";
 import isCarrierConfigured from "./utils/isCarrierConfigured.js";
-import filterDeliverightProducts from "./utils/filterDeliverightProducts.js";
+import buildCarrierRates from "./utils/carrierRates.js";
+import { buildPreviewRequest, validatePreviewInput } from "./utils/ratePreview.js";
+import { invalidateShop } from "./utils/rateCache.js";
+import { clearShopProducts } from "./utils/productCache.js";
+import { warmProductCache } from "./utils/filterDeliverightProducts.js";
+import { pickShopSettings, sanitizeShopSettings } from "./utils/shopSettings.js";
+import { getProductsByServiceLevel } from "./utils/serviceLevelProducts.js";
+import {
+  getBulkTaggingStatus,
+  listCollections,
+  listTaggingProducts,
+  startBulkTagging,
+  validateBulkTaggingInput,
+} from "./utils/bulkTagging.js";
+import { recordRateQuote, listRateQuotes, getRateQuote } from "./utils/rateAudit.js";
+import { diagnoseRates } from "./utils/rateDiagnostics.js";
+import { findMissingWeights } from "./utils/defaultWeights.js";
+import { resendOrder, startOrderQueue } from "./utils/orderQueue.js";
+import { seedLegacyServiceOverrides } from "./utils/serviceOverrides.js";
+import { ORDER_STATUS, getOrderJob, listOrderJobs } from "./utils/processedOrders.js";
 import dotenv from "dotenv";
 
 // ============================================================================
@@ -232,15 +252,18 @@ app.get(
  * - customers/data_request (GDPR)
  * - customers/redact (GDPR)
  * - shop/redact (GDPR)
- * - orders/create (Order processing)
- * - orders/updated (Order updates)
+ * - orders/create, orders/paid, fulfillments/create, orders/fulfilled
+ *   (Order processing, on the event chosen in the shop's order_trigger)
+ * - orders/cancelled (Cancels the Deliveright order)
+ * - orders/updated, orders/edited (Pushes changes to the Deliveright order)
+ * - products/create, products/update, products/delete (Product eligibility cache)
  * 
  * @route POST /api/webhooks
  */
 app.post(
   shopify.config.webhooks.path,
   shopify.processWebhooks({
-    webhookHandlers: { ...GDPRWebhookHandlers, ...OrderWebhookHandlers },
+    webhookHandlers: { ...GDPRWebhookHandlers, ...OrderWebhookHandlers, ...ProductWebhookHandlers },
   })
 );
 
@@ -457,6 +480,546 @@ app.get("/api/store", async (_req, res) => {
   res.status(status).send(response);
 });
 
+// ============================================================================
+// ROUTES - Shop Settings
+// ============================================================================
+
+/**
+ * Get editable shop settings endpoint
+ * Returns the per-shop settings managed from the embedded admin, together
+ * with the default service level definitions, payment strategies and mixed-cart
+ * policies they customize.
+ * 
+ * @route GET /api/settings
+ * @returns {Object} response.settings - Editable settings (see utils/shopSettings)
+ * @returns {Object} response.serviceLevels - Default service levels from config
+ * @returns {Object} response.paymentStrategies - Payment strategy codes from config
+ * @returns {Object} response.mixedCartPolicies - Mixed-cart policy values from config
+ * @returns {Object} response.eligibilitySources - Product eligibility source values from config
+ * @returns {Object} response.orderTriggers - Order trigger topics from config
+ * 
+ * @example
+ * // Success Response
+ * {
+ *   "settings": {
+ *     "service_overrides": { "wg": { "service_name": "White Glove (Standard)", "position": 1 } }
+ *   },
+ *   "serviceLevels": { "wg": {...}, "thr": {...} },
+ *   "paymentStrategies": { "PAID_BY_CUSTOMER": 0, ... },
+ *   "mixedCartPolicies": { "UNION": "union", ... },
+ *   "eligibilitySources": { "TAGS": "tags", ... },
+ *   "orderTriggers": { "ORDERS_PAID": "orders/paid", ... }
+ * }
+ */
+app.get("/api/settings", async (_req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Settings GET: Fetching settings for shop", shop);
+  
+  try {
+    // Settings are stored with the store record in Deliveright
+    const retailer = await deliveright.getStore(shop);
+    
+    res.status(200).json({
+      settings: pickShopSettings(retailer.settings),
+      serviceLevels: config.serviceLevels,
+      paymentStrategies: config.paymentStrategies,
+      mixedCartPolicies: config.mixedCartPolicies,
+      eligibilitySources: config.eligibilitySources,
+      orderTriggers: config.orderTriggers,
+    });
+  } catch (err) {
+    console.error("API Settings GET: Error fetching settings", err);
+    res.status(400).json({ error: err.message || "Something went wrong" });
+  }
+});
+
+/**
+ * Update shop settings endpoint
+ * Validates a partial settings update and saves it with the store record
+ * in Deliveright. Only keys listed in utils/shopSettings are accepted.
+ * 
+ * @route PATCH /api/settings
+ * @param {Object} req.body - Partial settings keyed by setting name
+ * @returns {Object} response.settings - Editable settings after the update
+ * 
+ * @example
+ * // Request Body
+ * {
+ *   "service_overrides": {
+ *     "rocpa": { "service_name": "White Glove (Room of Choice)", "position": 1 }
+ *   }
+ * }
+ * 
+ * @example
+ * // Error Response (Validation)
+ * {
+ *   "error": "service_overrides contains unknown service levels: xyz"
+ * }
+ */
+app.patch("/api/settings", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Settings PATCH: Updating settings for shop", shop);
+  
+  let patch;
+  try {
+    // Reject unknown keys and invalid values before touching Deliveright
+    patch = sanitizeShopSettings(req.body);
+  } catch (err) {
+    console.warn("API Settings PATCH: Invalid settings", err.message);
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    await deliveright.updateStore(shop, patch);
+    const retailer = await deliveright.getStore(shop);
+    
+    // Cached carts and quotes were built with the previous settings
+    invalidateShop(shop);
+    
+    // Cached products hold the fields the previous eligibility rules needed
+    // Refilled in the background, checkout falls back to live lookups meanwhile
+    if (patch.eligibility) {
+      const session = res.locals.shopify.session;
+      clearShopProducts(shop)
+        .then(() => warmProductCache(session, patch.eligibility))
+        .catch((err) => console.error("API Settings PATCH: Error refilling product cache", err));
+    }
+    
+    console.log("API Settings PATCH: Settings updated for shop", shop);
+    res.status(200).json({ settings: pickShopSettings(retailer.settings) });
+  } catch (err) {
+    console.error("API Settings PATCH: Error updating settings", err);
+    res.status(err.response?.status || 400).json({ error: "An error has occurred, please try again." });
+  }
+});
+
+/**
+ * Service level products endpoint
+ * Lists the products supporting a service level under the shop's eligibility
+ * source, so the admin can show which products are affected before the level
+ * is turned off.
+ * 
+ * @route GET /api/service-levels/:code/products
+ * @param {string} req.params.code - Service level code from config.serviceLevels
+ * @returns {Array<Object>} response.products - Products ({ product_id, title, tags }), `tags` holding
+ *   their service level codes
+ * @returns {boolean} response.has_more - True if more products support the level
+ * @returns {boolean} response.supported - False when the eligibility source can't be searched (metafield)
+ * 
+ * @example
+ * // Success Response
+ * {
+ *   "products": [{ "product_id": 123, "title": "Sofa", "tags": ["curb", "wg"] }],
+ *   "has_more": false,
+ *   "supported": true
+ * }
+ */
+app.get("/api/service-levels/:code/products", async (req, res) => {
+  const session = res.locals.shopify.session;
+  const { code } = req.params;
+  
+  console.log("API Service Level Products: Fetching products for level", code);
+  
+  if (!config.serviceLevels[code]) {
+    return res.status(404).json({ error: `Unknown service level: ${code}` });
+  }
+  
+  try {
+    const retailer = await deliveright.getStore(session.shop);
+    const result = await getProductsByServiceLevel(session, code, retailer.settings.eligibility);
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("API Service Level Products: Error fetching products", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Missing weight report endpoint
+ * Lists Deliveright-eligible products with variants that have no weight,
+ * scanning one page of the catalog per call, with the default weight that
+ * will be used for them (null when none applies).
+ * 
+ * @route GET /api/weights/missing
+ * @param {string} [req.query.after] - Cursor of the page to scan (end_cursor)
+ * @returns {Array<Object>} response.products - [{ product_id, title, product_type, levels,
+ *   variants: [{ variant_id, title, sku }], default_weight: { pounds, source } | null }]
+ * @returns {number} response.scanned - Products scanned in this page
+ * @returns {boolean} response.has_next - True if more of the catalog remains
+ * @returns {string} response.end_cursor - Cursor of the next page
+ */
+app.get("/api/weights/missing", async (req, res) => {
+  const session = res.locals.shopify.session;
+  
+  console.log("API Missing Weights: Scanning products for shop", session.shop);
+  
+  try {
+    const retailer = await deliveright.getStore(session.shop);
+    const result = await findMissingWeights(session, retailer.settings, req.query.after);
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("API Missing Weights: Error scanning products", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+// ============================================================================
+// ROUTES - Bulk Service Level Tagging
+// ============================================================================
+
+/**
+ * Tagging product list endpoint
+ * Lists the shop's products with the service levels they get under its
+ * eligibility source, one page at a time.
+ * 
+ * @route GET /api/tagging/products
+ * @param {string} [req.query.vendor] - Only products of this vendor
+ * @param {string} [req.query.product_type] - Only products of this type
+ * @param {number} [req.query.collection_id] - Only products in this collection
+ * @param {string} [req.query.after] - Cursor of the next page (end_cursor)
+ * @returns {Array<Object>} response.products - [{ product_id, title, vendor, product_type, levels }]
+ * @returns {boolean} response.has_next - True if another page exists
+ * @returns {string} response.end_cursor - Cursor for the next page
+ * @returns {string} response.source - Eligibility source
+ * @returns {boolean} response.editable - False when levels can't be changed from this page
+ *   (collection and product type sources)
+ */
+app.get("/api/tagging/products", async (req, res) => {
+  const session = res.locals.shopify.session;
+  
+  console.log("API Tagging: Listing products for shop", session.shop);
+  
+  try {
+    const retailer = await deliveright.getStore(session.shop);
+    const result = await listTaggingProducts(session, retailer.settings.eligibility, {
+      vendor: req.query.vendor,
+      product_type: req.query.product_type,
+      collection_id: req.query.collection_id,
+      after: req.query.after,
+    });
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("API Tagging: Error listing products", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Tagging collections endpoint
+ * Lists the shop's collections for the collection filter.
+ * 
+ * @route GET /api/tagging/collections
+ * @returns {Array<Object>} response.collections - [{ id, title }]
+ */
+app.get("/api/tagging/collections", async (_req, res) => {
+  const session = res.locals.shopify.session;
+  
+  try {
+    const collections = await listCollections(session);
+    res.status(200).json({ collections });
+  } catch (err) {
+    console.error("API Tagging: Error listing collections", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Start bulk tagging endpoint
+ * Applies or removes service levels on the picked products, or on every
+ * product matching the filters, with one Shopify bulk mutation.
+ * 
+ * @route POST /api/tagging/bulk
+ * @param {string} req.body.action - "add" or "remove"
+ * @param {Array<string>} req.body.levels - Service level codes
+ * @param {Array<number>} [req.body.product_ids] - Picked products
+ * @param {Object} [req.body.filters] - { vendor?, product_type?, collection_id? } used when no products are picked
+ * @returns {Object} response.bulk_operation - { id, status, objectCount, ... } (null when no product matched)
+ * @returns {number} response.total - Products being changed
+ * 
+ * @example
+ * // Request
+ * { "action": "add", "levels": ["wg"], "filters": { "vendor": "Acme" } }
+ */
+app.post("/api/tagging/bulk", async (req, res) => {
+  const session = res.locals.shopify.session;
+  
+  console.log("API Tagging: Starting bulk tagging for shop", session.shop);
+  
+  try {
+    const retailer = await deliveright.getStore(session.shop);
+    const eligibility = retailer.settings.eligibility;
+    
+    let input;
+    try {
+      input = validateBulkTaggingInput(req.body, eligibility);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const result = await startBulkTagging(session, eligibility, input);
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("API Tagging: Error starting bulk tagging", err);
+    // Shopify refuses a second bulk mutation while one is running
+    if (err.userErrors) return res.status(409).json({ error: err.message });
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Bulk tagging progress endpoint
+ * Reports the shop's latest bulk mutation, with the number of products
+ * Shopify could not change once it completed.
+ * 
+ * @route GET /api/tagging/bulk
+ * @returns {Object} response.bulk_operation - { id, status, errorCode, objectCount, createdAt,
+ *   completedAt, failed?, errors? } or null
+ */
+app.get("/api/tagging/bulk", async (_req, res) => {
+  const session = res.locals.shopify.session;
+  
+  try {
+    const bulk_operation = await getBulkTaggingStatus(session);
+    res.status(200).json({ bulk_operation });
+  } catch (err) {
+    console.error("API Tagging: Error reading bulk tagging status", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+// ============================================================================
+// ROUTES - Rate Preview
+// ============================================================================
+
+/**
+ * Rate preview endpoint
+ * Prices a cart through the same pipeline as the /carrier callback
+ * (destination rules, product filtering, quoting, payment strategy and
+ * service overrides) and returns every step, so merchants can check what
+ * Deliveright will charge without going through their storefront checkout.
+ * Previews are not saved to the rate quote audit log.
+ * 
+ * @route POST /api/rates/preview
+ * @param {Array<Object>} req.body.items - Cart lines: [{ variant_id | product_id, quantity }]
+ * @param {Object} req.body.destination - { postal_code, province?, country? (default US), city?, address1? }
+ * @returns {Object} response.request - Rate request built from the variants
+ * @returns {Array<Object>} response.missing - Lines whose product or variant was not found
+ * @returns {Array<Object>} response.blocked_levels - Levels the destination rules removed: [{ serviceLevel, reason }]
+ * @returns {Array<Object>} response.items - Deliveright-eligible items with their service level tags
+ * @returns {Array<string>} response.service_levels - Levels quoted
+ * @returns {Array<Object>} response.quotes - Per level: source, calculator responses and pricing steps
+ * @returns {Array<Object>} response.rates - Rates checkout would show
+ * @returns {Array<Object>} response.warnings - Assumptions the rates were priced on, e.g. default weights
+ * @returns {Array<Object>} response.diagnostics - Why levels or products got no rate (see utils/rateDiagnostics)
+ * 
+ * @example
+ * // Request
+ * { "items": [{ "variant_id": 987654321, "quantity": 2 }], "destination": { "postal_code": "10001", "province": "NY" } }
+ */
+app.post("/api/rates/preview", async (req, res) => {
+  const startedAt = Date.now();
+  const session = res.locals.shopify.session;
+  
+  console.log("API Rate Preview: Previewing rates for shop", session.shop);
+  
+  let input;
+  try {
+    input = validatePreviewInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  try {
+    const retailer = await deliveright.getStore(session.shop);
+    const { rate, missing } = await buildPreviewRequest(session, input);
+    
+    let audit = { items: [], serviceLevels: [], blockedLevels: [], warnings: [], quotes: [], rates: [] };
+    await buildCarrierRates({ shop: session.shop, retailer, session, rate, startedAt, audit });
+    const duration_ms = Date.now() - startedAt;
+    
+    // Checkout runs on the offline session, report when it is missing
+    const offlineSession = await shopify.config.sessionStorage.loadSession(
+      shopify.api.session.getOfflineId(session.shop)
+    );
+    const diagnostics = await diagnoseRates({
+      session,
+      retailer,
+      rate,
+      audit,
+      offlineSession: !!offlineSession?.accessToken,
+    });
+    
+    res.status(200).json({
+      request: rate,
+      missing,
+      blocked_levels: audit.blockedLevels,
+      items: audit.items,
+      service_levels: audit.serviceLevels,
+      quotes: audit.quotes,
+      rates: audit.rates,
+      warnings: audit.warnings,
+      diagnostics,
+      duration_ms,
+    });
+  } catch (err) {
+    console.error("API Rate Preview: Error previewing rates", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+// ============================================================================
+// ROUTES - Rate Quote Audit Log
+// ============================================================================
+
+/**
+ * Rate quote search endpoint
+ * Lists the shop's recorded /carrier calls, newest first.
+ * 
+ * @route GET /api/rate-quotes
+ * @param {string} [req.query.search] - Text matched against destination, items, rates and diagnostics
+ * @param {string} [req.query.service_level] - Only calls that quoted this level
+ * @param {string} [req.query.errors_only] - "true" to only list calls with an error or no rates
+ * @param {number} [req.query.page=1] - Page number
+ * @returns {Array<Object>} response.records - Records without per-level quote details
+ * @returns {boolean} response.has_more - True if another page exists
+ */
+app.get("/api/rate-quotes", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Rate Quotes: Searching rate quotes for shop", shop);
+  
+  try {
+    const result = await listRateQuotes(shop, {
+      search: req.query.search,
+      serviceLevel: req.query.service_level,
+      errorsOnly: req.query.errors_only === "true",
+      page: req.query.page,
+    });
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("API Rate Quotes: Error searching rate quotes", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Rate quote details endpoint
+ * Returns one recorded /carrier call with the raw calculator responses and
+ * every pricing step per service level.
+ * 
+ * @route GET /api/rate-quotes/:id
+ * @param {number} req.params.id - Record ID
+ * @returns {Object} response.record - Full record
+ */
+app.get("/api/rate-quotes/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Rate Quotes: Fetching rate quote", req.params.id, "for shop", shop);
+  
+  try {
+    const record = await getRateQuote(shop, Number(req.params.id));
+    if (!record) return res.status(404).json({ error: "Rate quote not found" });
+    res.status(200).json({ record });
+  } catch (err) {
+    console.error("API Rate Quotes: Error fetching rate quote", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+// ============================================================================
+// ROUTES - Order Sync
+// ============================================================================
+
+/**
+ * Order sync search endpoint
+ * Lists the shop's orders queued for Deliveright with their send status,
+ * newest first.
+ * 
+ * @route GET /api/orders
+ * @param {string} [req.query.search] - Text matched against the order name and ID
+ * @param {string} [req.query.status] - pending, sent, failed or dead
+ * @param {string} [req.query.service_level] - Service level code
+ * @param {number} [req.query.page=1] - Page number
+ * @returns {Array<Object>} response.orders - Orders without payloads
+ * @returns {boolean} response.has_more - True if another page exists
+ */
+app.get("/api/orders", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Orders: Searching orders for shop", shop);
+  
+  try {
+    const result = await listOrderJobs(shop, {
+      search: req.query.search,
+      status: req.query.status,
+      serviceLevel: req.query.service_level,
+      page: req.query.page,
+    });
+    res.status(200).json(result);
+  } catch (err) {
+    console.error("API Orders: Error searching orders", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Order sync details endpoint
+ * Returns one order with the payload sent to Deliveright and its response.
+ * 
+ * @route GET /api/orders/:id
+ * @param {string} req.params.id - Shopify order ID
+ * @returns {Object} response.order - Full order job
+ */
+app.get("/api/orders/:id", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Orders: Fetching order", req.params.id, "for shop", shop);
+  
+  try {
+    const order = await getOrderJob(shop, req.params.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    res.status(200).json({ order });
+  } catch (err) {
+    console.error("API Orders: Error fetching order", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
+/**
+ * Order resend endpoint
+ * Rebuilds the Deliveright payload of an order that was not accepted and
+ * sends it again. Failures go back to the retry queue.
+ * 
+ * @route POST /api/orders/:id/resend
+ * @param {string} req.params.id - Shopify order ID
+ * @returns {Object} response.order - Order job after the attempt
+ */
+app.post("/api/orders/:id/resend", async (req, res) => {
+  const { shop } = res.locals.shopify.session;
+  
+  console.log("API Orders: Resending order", req.params.id, "for shop", shop);
+  
+  try {
+    const existing = await getOrderJob(shop, req.params.id);
+    if (!existing) return res.status(404).json({ error: "Order not found" });
+
+    const status = await resendOrder(shop, req.params.id);
+    if (!status) {
+      let error = "This order is being sent, please try again shortly";
+      if (existing.status === ORDER_STATUS.SENT) error = "This order was already accepted by Deliveright";
+      else if (existing.status === ORDER_STATUS.CANCELLED) error = "This order was cancelled and can't be resent";
+      else if (!existing.order_payload) error = "This order was sent before orders were stored and can't be resent";
+      return res.status(409).json({ error });
+    }
+    res.status(200).json({ order: await getOrderJob(shop, req.params.id) });
+  } catch (err) {
+    console.error("API Orders: Error resending order", err);
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+
 // ============================================================================
 // ROUTES - Carrier Service (Shipping Rate Calculation)
 // ============================================================================
@@ -471,9 +1034,15 @@ app.get("/api/store", async (_req, res) => {
  * Flow:
  * 1. Receive rate request from Shopify
  * 2. Authenticate using store's access token
- * 3. Filter items eligible for Deliveright shipping
- * 4. Calculate rates for each service level
- * 5. Return available shipping options to Shopify
+ * 3. Filter items eligible for Deliveright shipping (cached per cart signature)
+ * 4. Quote all service levels concurrently under the checkout time budget
+ *    (cached per destination and weights)
+ * 5. Apply the shop's service name, description and order overrides
+ * 6. Return available shipping options to Shopify
+ * 7. Record the call in the rate quote audit log (see utils/rateAudit), with
+ *    diagnostics when no rate was returned (see utils/rateDiagnostics)
+ * 
+ * Steps 3-5 are shared with the rate preview (see utils/carrierRates).
  * 
  * @route POST /carrier
  * @param {Object} req.body.rate - Rate request from Shopify
@@ -537,20 +1106,34 @@ app.get("/api/store", async (_req, res) => {
  * }
  */
 app.post("/carrier", async (_req, res) => {
+  // Record arrival time; the quoting deadline is measured from here
+  const startedAt = Date.now();
+  
+  // Filled in as the request is processed, saved to the audit log at the end
+  let audit = {
+    shop: _req.headers["x-shopify-shop-domain"],
+    destination: _req.body?.rate?.destination,
+    items: [],
+    serviceLevels: [],
+    warnings: [],
+    quotes: [],
+    rates: [],
+  };
+  let retailer;
+  let session;
+  let offlineSession = false;
+  
   try {
-    // Initialize empty rates array
-    let rates = [];
-    
     // Extract shop domain from Shopify's custom header
     const IDENTIFIER = _req.headers["x-shopify-shop-domain"];
     
     console.log("Carrier POST: Fetching retailer for shop", IDENTIFIER);
     
     // Fetch store configuration from Deliveright
-    const retailer = await deliveright.getStore(IDENTIFIER);
+    retailer = await deliveright.getStore(IDENTIFIER);
     
     // Initialize session with basic shop info and stored access token
-    let session = {
+    session = {
       shop: IDENTIFIER,
       accessToken: retailer.settings.auth.access_token,
     };
@@ -565,6 +1148,7 @@ app.post("/carrier", async (_req, res) => {
         console.log("Carrier POST: Using offline token for shop", IDENTIFIER);
         
         // Use the most recent access token from session storage
+        offlineSession = true;
         session.accessToken = storedSession.accessToken;
 
         // Sync token with Deliveright if it has changed
@@ -579,91 +1163,16 @@ app.post("/carrier", async (_req, res) => {
       console.error("Carrier POST: Error loading offline session", error);
     }
     
-    // Handle last-mile only delivery type
-    // For last-mile, use 'fob' (free on board) as origin postal code
-    const LAST_MILE_ONLY = 1;
-    if (retailer.settings.delivery_type == LAST_MILE_ONLY)
-      _req.body.rate.origin.postal_code = "fob";
-
-    console.log("Carrier POST: Filtering products for shop", IDENTIFIER);
-    
-    // Filter items to only include products configured for Deliveright
-    // This checks product tags and metafields to determine eligibility
-    let filtered_items = await filterDeliverightProducts(shopify, session, _req.body.rate.items);
-    
-    // Create modified rate request with filtered items
-    let filtered_request = { rate: { ..._req.body.rate, items: filtered_items } };
-    
-    // Only calculate rates if there are eligible items
-    if (filtered_request.rate.items.length > 0) {
-      // Extract all tags from all items
-      let all_tags = filtered_request.rate.items.flatMap((i) => i.tags);
-      
-      // Get unique service levels from item tags
-      // Service level tags format: 'deliveright-standard', 'deliveright-express', etc.
-      const service_levels = [...new Set(all_tags)];
-
-      // Calculate rates for each service level
-      for (let s of service_levels) {
-        console.log("Carrier POST: Processing shipping rate for service level", s);
-        
-        // Check if service level is configured
-        if (!config.serviceLevels[s]) {
-          console.log("Carrier POST: Service level not supported", s);
-          continue; // Skip unsupported service levels
-        }
-
-        // Initialize price variable
-        let totalPrice = null;
-        
-        try {
-          // Call Deliveright API to calculate shipping rate
-          totalPrice = await deliveright.calculateShippingRate(IDENTIFIER, filtered_request, s, retailer);
-          console.log("Carrier POST: Shipping rate calculated", totalPrice);
-        } catch (err) {
-          // Log error but continue processing other service levels
-          console.error("Carrier POST: Error calculating shipping rate", err);
-        }
-        
-        // Add calculated price to service level configuration
-        config.serviceLevels[s].total_price = totalPrice;
-        
-        // Add service level to rates array
-        rates.push(config.serviceLevels[s]);
-      }
-    }
-
-    /**
-     * Custom Rate Transformation for Business Pleasure Co.
-     * Target: business-pleasure-co.myshopify.com
-     * Logic: Maps 'rocpa' and 'wg' to a unified "White Glove" branding 
-     * while differentiating via tier descriptors.
-     */
-    if (IDENTIFIER === "business-pleasure-co.myshopify.com") {
-      rates = rates.map((rate) => {
-        
-        // Tier 1: Room of Choice with Assembly (ROCPA)
-        if (rate.service_code === "rocpa") {
-          return {
-            ...rate,
-            service_name: "White Glove (Room of Choice)",
-            description: "Premium delivery to your room of choice, including full assembly and debris removal.",
-          };
-        }
-
-        // Tier 2: Standard White Glove (WG)
-        if (rate.service_code === "wg") {
-          return {
-            ...rate,
-            service_name: "White Glove (Standard)",
-            // Note: Retains original technical constraints (no gas/electric hookups) 
-            // to manage customer expectations accurately.
-          };
-        }
-
-        return rate;
-      });
-    }
+    // Destination rules, product filtering and concurrent quoting
+    // Shared with the rate preview so both price carts the same way
+    const rates = await buildCarrierRates({
+      shop: IDENTIFIER,
+      retailer,
+      session,
+      rate: _req.body.rate,
+      startedAt,
+      audit,
+    });
     
     console.log("Carrier POST: Responding with shipping rates");
     
@@ -673,7 +1182,17 @@ app.post("/carrier", async (_req, res) => {
   } catch (err) {
     // Log error and return 400 to Shopify
     console.error("Carrier POST: Error processing request", err);
+    audit.error = err?.message || String(err);
     res.status(400).send();
+  } finally {
+    // Saved after responding so the audit log never delays checkout
+    // Empty responses get diagnostics explaining why no rate was offered
+    const durationMs = Date.now() - startedAt;
+    const diagnostics =
+      audit.rates.length === 0 && retailer
+        ? await diagnoseRates({ session, retailer, rate: _req.body?.rate, audit, offlineSession })
+        : [];
+    recordRateQuote({ ...audit, diagnostics, durationMs });
   }
 });
 
@@ -814,4 +1333,16 @@ app.use("/*", shopify.ensureInstalledOnShop(), async (_req, res, _next) => {
  * Server will listen for HTTP requests on all network interfaces
  */
 app.listen(PORT);
+
+/**
+ * Send queued Deliveright orders that are due, including failed submissions
+ * waiting for a retry and jobs left pending by a restart
+ */
+startOrderQueue();
+
+/**
+ * Save service wording that used to be hardcoded per shop into those shops'
+ * service overrides, once (see utils/serviceOverrides)
+ */
+seedLegacyServiceOverrides();
 console.log("Server: Starting on port", PORT);
\ No newline at end of file
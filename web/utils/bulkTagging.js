@@ -0,0 +1,449 @@
+/**
+ * @fileoverview Bulk Service Level Tagging
+ *
+ * This module backs the service level tagging admin, which replaces tagging
+ * products one by one in Shopify admin during onboarding. It lists products
+ * with the service levels they currently get under the shop's eligibility
+ * source, filtered by vendor, product type or collection, and applies or
+ * removes levels on many products at once.
+ *
+ * Changes run as one Shopify bulk mutation:
+ * 1. The product IDs (picked, or every product matching the filters) are
+ *    written as JSONL variables and uploaded with `stagedUploadsCreate`
+ * 2. `bulkOperationRunMutation` runs `tagsAdd` / `tagsRemove` per product,
+ *    or `metafieldsSet` with the new level list when levels come from the
+ *    eligibility metafield
+ * 3. `currentBulkOperation` reports progress; the product webhooks update
+ *    the product cache as Shopify changes each product
+ *
+ * Collection and product type sources are edited in the settings page, so
+ * products can't be changed here with those sources. Shopify runs one bulk
+ * mutation per shop at a time.
+ *
+ * @module utils/bulkTagging
+ * @requires ../config
+ * @requires ../shopify
+ * @requires ./productEligibility
+ * @requires ./filterDeliverightProducts
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import shopify from "../shopify.js";
+import { productLevelCandidates, resolveEligibility } from "./productEligibility.js";
+import { refreshProducts, searchProducts } from "./filterDeliverightProducts.js";
+
+/**
+ * Bulk actions
+ * @constant {Array<string>}
+ */
+const ACTIONS = ["add", "remove"];
+
+/**
+ * Product IDs per lookup when reading current metafield values
+ * (the Admin API `nodes` query accepts at most 250 IDs)
+ * @constant {number}
+ */
+const LOOKUP_CHUNK = 250;
+
+/**
+ * Bulk operation fields reported to the admin
+ * @constant {string}
+ */
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  objectCount
+  createdAt
+  completedAt
+  url
+`;
+
+/**
+ * Build a Shopify product search from the admin filters
+ *
+ * @function buildProductSearch
+ * @param {Object} filters - { vendor?, product_type?, collection_id? }
+ * @returns {string} Search query, "" when no filter is set
+ */
+export function buildProductSearch({ vendor, product_type, collection_id } = {}) {
+    const quote = (value) => JSON.stringify(String(value).trim());
+    let terms = [];
+    if (vendor && String(vendor).trim()) terms.push(`vendor:${quote(vendor)}`);
+    if (product_type && String(product_type).trim()) terms.push(`product_type:${quote(product_type)}`);
+    if (collection_id) terms.push(`collection_id:${parseInt(String(collection_id).split("/").pop(), 10)}`);
+    return terms.join(" AND ");
+}
+
+/**
+ * Whether the eligibility source can be edited from the tagging admin
+ *
+ * @function isEditableSource
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {boolean} True for tags and the eligibility metafield
+ */
+const isEditableSource = (rules) =>
+    [config.eligibilitySources.TAGS, config.eligibilitySources.METAFIELD].includes(rules.source);
+
+/**
+ * Service level codes of a product record
+ *
+ * @function productLevels
+ * @param {Object} product - Product record (see filterDeliverightProducts)
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {Array<string>} Codes that exist in config.serviceLevels
+ */
+const productLevels = (product, rules) =>
+    productLevelCandidates(product, rules).filter((code) => config.serviceLevels[code]);
+
+/**
+ * List one page of products with their service levels
+ *
+ * @async
+ * @function listTaggingProducts
+ * @param {Object} session - Shopify session
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @param {Object} [filters] - { vendor?, product_type?, collection_id?, after? }
+ * @returns {Promise<Object>} { products: [{ product_id, title, vendor, product_type, levels }],
+ *   has_next, end_cursor, source, editable }
+ */
+export async function listTaggingProducts(session, eligibility, filters = {}) {
+    const rules = resolveEligibility(eligibility);
+    const page = await searchProducts(
+        session,
+        buildProductSearch(filters),
+        { first: config.bulkTagging.pageSize, after: filters.after },
+        rules
+    );
+    console.log("listTaggingProducts: Listed", page.products.length, "products for shop", session.shop); // Logs listing result
+    return {
+        products: page.products.map((product) => ({
+            product_id: product.product_id,
+            title: product.title,
+            vendor: product.vendor,
+            product_type: product.product_type,
+            levels: productLevels(product, rules),
+        })),
+        has_next: page.has_next,
+        end_cursor: page.end_cursor,
+        source: rules.source,
+        editable: isEditableSource(rules),
+    };
+}
+
+/**
+ * List the shop's collections for the collection filter
+ *
+ * @async
+ * @function listCollections
+ * @param {Object} session - Shopify session
+ * @returns {Promise<Array<Object>>} [{ id, title }] sorted by title (first 250)
+ */
+export async function listCollections(session) {
+    const client = new shopify.api.clients.Graphql({ session });
+    const response = await client.query({
+        data: {
+            query: `
+      query TaggingCollections {
+        collections(first: 250, sortKey: TITLE) {
+          nodes {
+            id
+            title
+          }
+        }
+      }
+    `,
+        },
+    });
+    return (response.body.data?.collections?.nodes || []).map((node) => ({
+        id: parseInt(node.id.split("/").pop(), 10),
+        title: node.title,
+    }));
+}
+
+/**
+ * Validate a bulk tagging request
+ *
+ * @function validateBulkTaggingInput
+ * @param {Object} body - Request body
+ * @param {string} body.action - "add" or "remove"
+ * @param {Array<string>} body.levels - Service level codes
+ * @param {Array<number>} [body.product_ids] - Picked products
+ * @param {Object} [body.filters] - Every product matching these filters, when no products are picked
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @returns {Object} { action, levels, productIds, filters }
+ * @throws {Error} With a message suitable for the merchant when input is invalid
+ */
+export function validateBulkTaggingInput({ action, levels, product_ids, filters } = {}, eligibility) {
+    const rules = resolveEligibility(eligibility);
+    if (!isEditableSource(rules)) {
+        throw new Error("Service levels come from the settings page for this eligibility source, edit them there");
+    }
+    if (!ACTIONS.includes(action)) throw new Error(`action must be one of: ${ACTIONS.join(", ")}`);
+    if (!Array.isArray(levels) || levels.length === 0) throw new Error("Choose at least one service level");
+    const unknown = levels.filter((code) => !config.serviceLevels[code]);
+    if (unknown.length > 0) throw new Error(`Unknown service levels: ${unknown.join(", ")}`);
+
+    let productIds = null;
+    if (Array.isArray(product_ids) && product_ids.length > 0) {
+        productIds = [...new Set(product_ids.map((id) => parseInt(String(id).split("/").pop(), 10)))];
+        if (productIds.some((id) => !Number.isInteger(id) || id <= 0)) throw new Error("product_ids must be product IDs");
+        if (productIds.length > config.bulkTagging.maxProducts) {
+            throw new Error(`A bulk change can update at most ${config.bulkTagging.maxProducts} products`);
+        }
+    }
+    return { action, levels: [...new Set(levels)], productIds, filters: filters || {} };
+}
+
+/**
+ * Collect every product matching the filters
+ *
+ * @async
+ * @function collectMatchingProducts
+ * @param {Object} session - Shopify session
+ * @param {Object} filters - Admin filters
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {Promise<Array<Object>>} Product records, at most config.bulkTagging.maxProducts
+ */
+async function collectMatchingProducts(session, filters, rules) {
+    const search = buildProductSearch(filters);
+    let products = [];
+    let after = null;
+    do {
+        const page = await searchProducts(session, search, { first: 250, after }, rules);
+        products = products.concat(page.products);
+        after = page.has_next ? page.end_cursor : null;
+    } while (after && products.length < config.bulkTagging.maxProducts);
+    return products.slice(0, config.bulkTagging.maxProducts);
+}
+
+/**
+ * Build the bulk mutation and its JSONL variables
+ *
+ * Tags are added or removed as-is. The eligibility metafield holds the whole
+ * list, so each product gets its current levels plus or minus the chosen
+ * ones, written as a list.single_line_text_field.
+ *
+ * @function buildBulkMutation
+ * @param {Object} input - Validated input ({ action, levels })
+ * @param {Array<Object>} products - Product records
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {Object} { mutation, lines }
+ */
+function buildBulkMutation({ action, levels }, products, rules) {
+    const gid = (id) => `gid://shopify/Product/${id}`;
+
+    if (rules.source === config.eligibilitySources.TAGS) {
+        const field = action === "add" ? "tagsAdd" : "tagsRemove";
+        return {
+            mutation: `mutation call($id: ID!, $tags: [String!]!) { ${field}(id: $id, tags: $tags) { userErrors { field message } } }`,
+            lines: products.map((product) => JSON.stringify({ id: gid(product.product_id), tags: levels })),
+        };
+    }
+
+    return {
+        mutation: `mutation call($metafields: [MetafieldsSetInput!]!) { metafieldsSet(metafields: $metafields) { userErrors { field message } } }`,
+        lines: products.map((product) => {
+            const current = productLevels(product, rules);
+            const next = action === "add"
+                ? [...new Set([...current, ...levels])]
+                : current.filter((code) => !levels.includes(code));
+            return JSON.stringify({
+                metafields: [{
+                    ownerId: gid(product.product_id),
+                    namespace: rules.metafield.namespace,
+                    key: rules.metafield.key,
+                    type: "list.single_line_text_field",
+                    value: JSON.stringify(next),
+                }],
+            });
+        }),
+    };
+}
+
+/**
+ * Upload the JSONL variables of a bulk mutation
+ *
+ * @async
+ * @function uploadVariables
+ * @param {Object} client - GraphQL client
+ * @param {Array<string>} lines - JSONL lines
+ * @returns {Promise<string>} Staged upload path for bulkOperationRunMutation
+ * @throws {Error} If the upload target can't be created or the upload fails
+ */
+async function uploadVariables(client, lines) {
+    const response = await client.query({
+        data: {
+            query: `
+      mutation StageTaggingVariables($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+            variables: {
+                input: [{
+                    resource: "BULK_MUTATION_VARIABLES",
+                    filename: "service_levels.jsonl",
+                    mimeType: "text/jsonl",
+                    httpMethod: "POST",
+                }],
+            },
+        },
+    });
+    const result = response.body.data?.stagedUploadsCreate;
+    const target = result?.stagedTargets?.[0];
+    if (!target || result.userErrors.length > 0) {
+        throw new Error(`Could not stage the bulk variables: ${result?.userErrors.map((e) => e.message).join(", ")}`);
+    }
+
+    // The file has to be the last form field
+    const form = new FormData();
+    target.parameters.forEach(({ name, value }) => form.append(name, value));
+    form.append("file", new Blob([lines.join("\n")], { type: "text/jsonl" }), "service_levels.jsonl");
+    const upload = await fetch(target.url, { method: "POST", body: form });
+    console.log("uploadVariables: Uploaded bulk variables, status", upload.status); // Logs upload status
+    if (!upload.ok) throw new Error(`Bulk variables upload failed with status ${upload.status}`);
+
+    return target.parameters.find((param) => param.name === "key").value;
+}
+
+/**
+ * Apply or remove service levels on many products
+ *
+ * @async
+ * @function startBulkTagging
+ * @param {Object} session - Shopify session
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @param {Object} input - Output of validateBulkTaggingInput
+ * @returns {Promise<Object>} { bulk_operation, total } (bulk_operation is null when no product matched)
+ * @throws {Error} If Shopify rejects the bulk mutation (e.g. one is already running);
+ *   the error has `userErrors` set in that case
+ */
+export async function startBulkTagging(session, eligibility, input) {
+    const rules = resolveEligibility(eligibility);
+    console.log("startBulkTagging:", input.action, input.levels, "for shop", session.shop); // Logs bulk start
+
+    let products;
+    if (input.productIds) {
+        // Tags don't need the current values, the metafield list does
+        products = input.productIds.map((product_id) => ({ product_id }));
+        if (rules.source === config.eligibilitySources.METAFIELD) {
+            products = [];
+            for (let i = 0; i < input.productIds.length; i += LOOKUP_CHUNK) {
+                products = products.concat(await refreshProducts(session, input.productIds.slice(i, i + LOOKUP_CHUNK), rules));
+            }
+        }
+    } else {
+        products = await collectMatchingProducts(session, input.filters, rules);
+    }
+    console.log("startBulkTagging: Products to update", products.length); // Logs product count
+    if (products.length === 0) return { bulk_operation: null, total: 0 };
+
+    const client = new shopify.api.clients.Graphql({ session });
+    const { mutation, lines } = buildBulkMutation(input, products, rules);
+    const stagedUploadPath = await uploadVariables(client, lines);
+
+    const response = await client.query({
+        data: {
+            query: `
+      mutation RunTaggingMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            ${BULK_OPERATION_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+            variables: { mutation, stagedUploadPath },
+        },
+    });
+    const result = response.body.data?.bulkOperationRunMutation;
+    if (!result?.bulkOperation) {
+        const error = new Error(result?.userErrors.map((e) => e.message).join(", ") || "Bulk mutation was not started");
+        error.userErrors = result?.userErrors || [];
+        throw error;
+    }
+
+    console.log("startBulkTagging: Started bulk operation", result.bulkOperation.id); // Logs bulk operation ID
+    return { bulk_operation: result.bulkOperation, total: products.length };
+}
+
+/**
+ * Count the products a finished bulk mutation could not change
+ *
+ * @async
+ * @function summarizeResults
+ * @param {string} url - Result JSONL URL of the bulk operation
+ * @returns {Promise<Object>} { failed, errors } with up to 5 distinct messages
+ */
+async function summarizeResults(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Bulk results download failed with status ${response.status}`);
+
+    let failed = 0;
+    let errors = new Set();
+    (await response.text()).split("\n").filter(Boolean).forEach((line) => {
+        const data = JSON.parse(line).data || {};
+        const userErrors = Object.values(data).flatMap((result) => result?.userErrors || []);
+        if (userErrors.length > 0) {
+            failed++;
+            userErrors.forEach((e) => errors.size < 5 && errors.add(e.message));
+        }
+    });
+    return { failed, errors: [...errors] };
+}
+
+/**
+ * Report the shop's latest bulk mutation
+ *
+ * @async
+ * @function getBulkTaggingStatus
+ * @param {Object} session - Shopify session
+ * @returns {Promise<Object|null>} Bulk operation ({ id, status, errorCode, objectCount,
+ *   createdAt, completedAt, failed?, errors? }) or null when the shop never ran one
+ */
+export async function getBulkTaggingStatus(session) {
+    const client = new shopify.api.clients.Graphql({ session });
+    const response = await client.query({
+        data: {
+            query: `
+      query TaggingStatus {
+        currentBulkOperation(type: MUTATION) {
+          ${BULK_OPERATION_FIELDS}
+        }
+      }
+    `,
+        },
+    });
+    const operation = response.body.data?.currentBulkOperation;
+    if (!operation) return null;
+
+    const { url, ...status } = operation;
+    if (status.status === "COMPLETED" && url) {
+        try {
+            Object.assign(status, await summarizeResults(url));
+        } catch (err) {
+            console.error("getBulkTaggingStatus: Error reading bulk results", err.message); // Logs results error
+        }
+    }
+    return status;
+}
+console.log("bulkTagging: Exporting bulk service level tagging functions"); // Logs module export
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Carrier Rate Pipeline
+ *
+ * This module turns a Shopify carrier rate request into the rates offered at
+ * checkout. It is shared by the /carrier callback and the admin rate preview
+ * (/api/rates/preview) so a preview always prices a cart exactly like
+ * checkout does.
+ *
+ * Workflow:
+ * 1. Use 'fob' as origin for last-mile only shops
+ * 2. Drop the service levels the destination rules don't allow
+ *    (see ./destinationRules)
+ * 3. Filter items to Deliveright-eligible products, assign origins,
+ *    attach dimensions and fill in default weights (cached per cart signature)
+ * 4. Quote all service levels concurrently (see ./quoteServiceLevels)
+ * 5. Apply the shop's service name, description and order overrides
+ *
+ * Callers pass an `audit` object that is filled in as the request goes
+ * through the pipeline (see ./rateAudit for the fields).
+ *
+ * @module utils/carrierRates
+ * @requires ../shopify
+ * @requires ./filterDeliverightProducts
+ * @requires ./quoteServiceLevels
+ * @requires ./rateCache
+ * @requires ./serviceOverrides
+ * @requires ./shopSettings
+ * @requires ./itemOrigins
+ * @requires ./itemDimensions
+ * @requires ./destinationRules
+ * @requires ./defaultWeights
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import shopify from "../shopify.js";
+import filterDeliverightProducts from "./filterDeliverightProducts.js";
+import quoteServiceLevels from "./quoteServiceLevels.js";
+import { buildCartKey, getCached, setCached } from "./rateCache.js";
+import { applyServiceOverrides, shopServiceOverrides } from "./serviceOverrides.js";
+import { enabledServiceLevels } from "./shopSettings.js";
+import { assignItemOrigins } from "./itemOrigins.js";
+import { attachItemDimensions } from "./itemDimensions.js";
+import { filterLevelsByDestination } from "./destinationRules.js";
+import { applyDefaultWeights, defaultWeightWarnings } from "./defaultWeights.js";
+
+/**
+ * Delivery type code for last-mile only shops
+ * Their rates are quoted with 'fob' (free on board) as origin postal code
+ * @constant {number}
+ */
+const LAST_MILE_ONLY = 1;
+
+/**
+ * Price a carrier rate request
+ *
+ * @async
+ * @function buildCarrierRates
+ * @param {Object} params - Pipeline parameters
+ * @param {string} params.shop - Shop domain
+ * @param {Object} params.retailer - Deliveright retailer (with settings)
+ * @param {Object} params.session - Shopify session for API authentication
+ * @param {Object} params.rate - Rate request in Shopify carrier format
+ *   ({ origin, destination, items, currency })
+ * @param {number} params.startedAt - Request arrival time, the quoting deadline is measured from it
+ * @param {Object} params.audit - Filled with items, serviceLevels, blockedLevels, warnings, quotes and rates
+ * @returns {Promise<Array<Object>>} Rates in Shopify carrier format
+ */
+export default async function buildCarrierRates({ shop, retailer, session, rate, startedAt, audit }) {
+    const settings = retailer.settings;
+    let request_rate = { ...rate, origin: { ...rate.origin } };
+
+    // For last-mile, use 'fob' (free on board) as origin postal code
+    if (settings.delivery_type == LAST_MILE_ONLY) request_rate.origin.postal_code = "fob";
+
+    // Enforce the shop's destination rules before anything is quoted
+    // Levels Deliveright can't deliver to this address are never offered
+    const { allowed: deliverable_levels, blocked } = filterLevelsByDestination(
+        settings,
+        request_rate.destination,
+        enabledServiceLevels(settings)
+    );
+    audit.blockedLevels = blocked;
+    if (deliverable_levels.length === 0) {
+        console.log("buildCarrierRates: Destination not served by any service level for shop", shop); // Logs blocked destination
+        audit.rates = [];
+        return [];
+    }
+
+    // Filter items to only include products configured for Deliveright
+    // This checks the shop's eligibility source (tags by default) against the
+    // service levels the shop has enabled and the destination allows
+    // Unchanged carts reuse the previous result from the rate cache
+    const cartKey = buildCartKey(shop, request_rate.items, deliverable_levels);
+    let filtered_items = getCached(shop, cartKey);
+    if (!filtered_items) {
+        console.log("buildCarrierRates: Filtering products for shop", shop); // Logs product filtering
+        filtered_items = await filterDeliverightProducts(shopify, session, request_rate.items, {
+            serviceLevels: deliverable_levels,
+            mixedCartPolicy: settings.mixed_cart_policy,
+            eligibility: settings.eligibility,
+            variantDetails: true,
+        });
+
+        // Origins and dimensions come from the product cache where known,
+        // so these only look up variants it couldn't provide
+        // Multi-origin shops quote each warehouse separately
+        // Last-mile only carts have no real origin to split on
+        if (settings.multi_origin && request_rate.origin.postal_code !== "fob") {
+            filtered_items = await assignItemOrigins(session, filtered_items);
+        }
+
+        // Freight dimensions and box counts for cube-priced quotes
+        if (filtered_items.length > 0) {
+            filtered_items = await attachItemDimensions(session, filtered_items);
+        }
+
+        // Items saved without weight are quoted with the shop's default weight
+        filtered_items = applyDefaultWeights(filtered_items, settings.default_weights);
+        setCached(shop, cartKey, filtered_items);
+    }
+    audit.items = filtered_items;
+    audit.warnings = defaultWeightWarnings(filtered_items);
+
+    let rates = [];
+
+    // Only calculate rates if there are eligible items
+    if (filtered_items.length > 0) {
+        // Get unique service levels from item tags
+        // Under the intersection policy, items only carry the levels they all share
+        const service_levels = [...new Set(filtered_items.flatMap((i) => i.tags))];
+        audit.serviceLevels = service_levels;
+
+        // Quote all service levels concurrently within the checkout time budget
+        rates = await quoteServiceLevels({
+            shop,
+            retailer,
+            // Pricing rule subtotals are of the whole cart, not only eligible items
+            request: { rate: { ...request_rate, items: filtered_items }, cart_items: request_rate.items },
+            serviceLevels: service_levels,
+            mixedCartPolicy: settings.mixed_cart_policy,
+            startedAt,
+            audit: audit.quotes,
+        });
+    }
+
+    // Apply the shop's own service names, descriptions and display order
+    rates = applyServiceOverrides(rates, shopServiceOverrides(shop, settings));
+    audit.rates = rates;
+    return rates;
+}
+console.log("carrierRates: Exporting carrier rate pipeline"); // Logs module export
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview App Database Connection
+ *
+ * This module owns the single SQLite connection used by the app's own tables
+ * (processed orders, rate quote audit log...). Shopify sessions live in the
+ * same file but are managed by SQLiteSessionStorage (see ../shopify.js).
+ *
+ * The promise helpers wrap the callback API of sqlite3 so callers can use
+ * async/await.
+ *
+ * @module utils/database
+ * @requires sqlite3
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import sqlite3 from 'sqlite3'
+
+/**
+ * Path to SQLite database file
+ * @constant {string}
+ */
+const DB_PATH = `${process.cwd()}/database.sqlite`
+sqlite3.verbose()
+
+/**
+ * Database connection instance
+ * @type {sqlite3.Database}
+ */
+export const db = new sqlite3.Database(DB_PATH)
+
+/**
+ * Run a statement that returns no rows (CREATE, INSERT, UPDATE, DELETE)
+ *
+ * @function run
+ * @param {string} sql - SQL statement
+ * @param {Array} [params=[]] - Bound parameters
+ * @returns {Promise<Object>} { changes, lastID }
+ */
+export function run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) reject(err)
+            else resolve({ changes: this.changes, lastID: this.lastID })
+        })
+    })
+}
+
+/**
+ * Fetch every row of a query
+ *
+ * @function all
+ * @param {string} sql - SQL query
+ * @param {Array} [params=[]] - Bound parameters
+ * @returns {Promise<Array<Object>>} Rows
+ */
+export function all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+    })
+}
+
+/**
+ * Fetch the first row of a query
+ *
+ * @function get
+ * @param {string} sql - SQL query
+ * @param {Array} [params=[]] - Bound parameters
+ * @returns {Promise<Object|undefined>} Row, or undefined when none match
+ */
+export function get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)))
+    })
+}
+console.log("database: Exporting database connection and helpers")
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Default Item Weights
+ *
+ * Both the rate calculator and Deliveright orders are priced by weight, so a
+ * product saved without one is quoted far too low and sent with `weight: 0`.
+ * This module fills in a per-shop default weight for Deliveright items whose
+ * variant has no weight, and finds the eligible products that are missing one
+ * so the merchant can fix them.
+ *
+ * Settings shape (`settings.default_weights`, weights in pounds like the
+ * other merchant-facing settings):
+ * ```
+ * {
+ *   "service_levels": { "wg": 150, "thr": 60 },
+ *   "product_types": { "Sofa": 180 }
+ * }
+ * ```
+ *
+ * Resolution for an item without weight:
+ * 1. Its product type's default (matched without regard to case)
+ * 2. The highest default among its service levels, so a heavy-goods level
+ *    is never undercut by a lighter one
+ * 3. None: the item keeps a zero weight (reported by ./rateDiagnostics)
+ *
+ * Items that got a default carry `default_weight: { pounds, source }`, which
+ * the rate audit records as a warning.
+ *
+ * @module utils/defaultWeights
+ * @requires ../config
+ * @requires ./productEligibility
+ * @requires ./filterDeliverightProducts
+ * @requires ./measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { productLevelCandidates, resolveEligibility } from "./productEligibility.js";
+import { searchProducts } from "./filterDeliverightProducts.js";
+import { itemGrams, poundsToGrams } from "./measurement.js";
+
+/**
+ * Products scanned per page of the missing-weight report
+ * @constant {number}
+ */
+const REPORT_PAGE_SIZE = 100;
+
+/**
+ * Variant weight fields read by the missing-weight report
+ * @constant {string}
+ */
+const VARIANT_WEIGHT_FIELDS = `
+    weightVariants: variants(first: 100) {
+      nodes {
+        id
+        title
+        sku
+        inventoryItem {
+          measurement {
+            weight {
+              value
+            }
+          }
+        }
+      }
+    }
+`;
+
+/**
+ * Default weights when the shop has not saved any
+ * @constant {Object}
+ */
+export const DEFAULT_DEFAULT_WEIGHTS = {
+    service_levels: {},
+    product_types: {},
+};
+
+/**
+ * Validate a map of names to weights in pounds
+ *
+ * @function sanitizeWeightMap
+ * @param {Object} value - { name: pounds }
+ * @param {string} name - Setting name used in error messages
+ * @returns {Object} Cleaned map without empty entries
+ * @throws {Error} If the map or a weight is invalid
+ */
+const sanitizeWeightMap = (value, name) => {
+    if (value === undefined || value === null) return {};
+    if (typeof value !== "object" || Array.isArray(value)) throw new Error(`${name} must be an object`);
+    let clean = {};
+    for (const [key, pounds] of Object.entries(value)) {
+        const trimmed = key.trim();
+        // Empty entries remove the default
+        if (!trimmed || pounds === "" || pounds === null) continue;
+        const weight = Number(pounds);
+        if (!Number.isFinite(weight) || weight <= 0) throw new Error(`${name}.${trimmed} must be a weight above 0`);
+        clean[trimmed] = weight;
+    }
+    return clean;
+};
+
+/**
+ * Validate the default weights setting
+ *
+ * @function sanitizeDefaultWeights
+ * @param {Object} value - { service_levels, product_types }
+ * @returns {Object} Cleaned default weights
+ * @throws {Error} With a merchant-readable message when invalid
+ */
+export function sanitizeDefaultWeights(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("default_weights must be an object");
+    const service_levels = sanitizeWeightMap(value.service_levels, "default_weights.service_levels");
+    const unknown = Object.keys(service_levels).filter((code) => !config.serviceLevels[code]);
+    if (unknown.length > 0) {
+        throw new Error(`default_weights.service_levels contains unknown service levels: ${unknown.join(", ")}`);
+    }
+    return {
+        service_levels,
+        product_types: sanitizeWeightMap(value.product_types, "default_weights.product_types"),
+    };
+}
+
+/**
+ * Find the default weight for an item
+ *
+ * @function defaultWeightFor
+ * @param {Object} item - Item with `tags` (service levels) and `product_type`
+ * @param {Object} [defaultWeights] - settings.default_weights
+ * @returns {Object|null} { pounds, source } where source is "product_type:<type>"
+ *   or "service_level:<code>", null when no default applies
+ */
+export function defaultWeightFor(item, defaultWeights) {
+    const { service_levels, product_types } = { ...DEFAULT_DEFAULT_WEIGHTS, ...(defaultWeights || {}) };
+
+    const type = (item.product_type || "").trim().toLowerCase();
+    const typeMatch = type && Object.keys(product_types).find((t) => t.toLowerCase() === type);
+    if (typeMatch) return { pounds: product_types[typeMatch], source: `product_type:${typeMatch}` };
+
+    const levels = (item.tags || []).filter((code) => service_levels[code]);
+    if (levels.length === 0) return null;
+    const heaviest = levels.reduce((best, code) => (service_levels[code] > service_levels[best] ? code : best));
+    return { pounds: service_levels[heaviest], source: `service_level:${heaviest}` };
+}
+
+/**
+ * Fill in default weights for items without one
+ *
+ * @function applyDefaultWeights
+ * @param {Array<Object>} items - Filtered Deliveright items (`grams`, `tags`, `product_type`)
+ * @param {Object} [defaultWeights] - settings.default_weights
+ * @returns {Array<Object>} Items, the defaulted ones with `grams` and `default_weight` set
+ */
+export function applyDefaultWeights(items, defaultWeights) {
+    return items.map((item) => {
+        if (itemGrams(item) > 0) return item;
+        const fallback = defaultWeightFor(item, defaultWeights);
+        if (!fallback) return item;
+        console.log("applyDefaultWeights: Using default weight for product", item.product_id, fallback); // Logs default weight
+        return { ...item, grams: poundsToGrams(fallback.pounds), default_weight: fallback };
+    });
+}
+
+/**
+ * Rate audit warnings for items priced with a default weight
+ *
+ * @function defaultWeightWarnings
+ * @param {Array<Object>} items - Items from applyDefaultWeights
+ * @returns {Array<Object>} [{ reason: "default_weight", message, product_id, details }]
+ */
+export const defaultWeightWarnings = (items = []) =>
+    items
+        .filter((item) => item.default_weight)
+        .map((item) => ({
+            reason: "default_weight",
+            message: `${item.name || item.sku || item.product_id} has no weight, quoted with the default of ${item.default_weight.pounds} lb (${item.default_weight.source.replace(/[_:]/g, " ")})`,
+            product_id: item.product_id,
+            details: item.default_weight,
+        }));
+
+/**
+ * Report eligible products with variants that have no weight
+ *
+ * Scans one page of the catalog; the caller continues with `end_cursor`.
+ *
+ * @async
+ * @function findMissingWeights
+ * @param {Object} session - Shopify session
+ * @param {Object} settings - retailer.settings (eligibility, default_weights)
+ * @param {string} [after] - Cursor of the page to scan
+ * @returns {Promise<Object>} { products: [{ product_id, title, product_type, levels,
+ *   variants: [{ variant_id, title, sku }], default_weight }], scanned, has_next, end_cursor }
+ */
+export async function findMissingWeights(session, settings, after) {
+    const rules = resolveEligibility(settings?.eligibility);
+    const page = await searchProducts(session, "", { first: REPORT_PAGE_SIZE, after, fields: VARIANT_WEIGHT_FIELDS }, rules);
+
+    const products = page.products
+        .map((product) => {
+            const levels = productLevelCandidates(product, rules).filter((code) => config.serviceLevels[code]);
+            const variants = (product.node.weightVariants?.nodes || [])
+                .filter((variant) => !(variant.inventoryItem?.measurement?.weight?.value > 0))
+                .map((variant) => ({
+                    variant_id: parseInt(variant.id.split("/").pop(), 10),
+                    title: variant.title,
+                    sku: variant.sku,
+                }));
+            return {
+                product_id: product.product_id,
+                title: product.title,
+                product_type: product.product_type,
+                levels,
+                variants,
+                default_weight: defaultWeightFor({ tags: levels, product_type: product.product_type }, settings?.default_weights),
+            };
+        })
+        // Only products that get a Deliveright level (variant overrides are not considered)
+        .filter((product) => product.levels.length > 0 && product.variants.length > 0);
+
+    console.log("findMissingWeights: Found", products.length, "products without weight in", page.products.length, "scanned"); // Logs report result
+    return { products, scanned: page.products.length, has_next: page.has_next, end_cursor: page.end_cursor };
+}
+console.log("defaultWeights: Exporting default weight helpers"); // Logs module export
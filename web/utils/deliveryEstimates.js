@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Delivery Date Estimates
+ *
+ * This module works out the delivery window (`min_delivery_date` and
+ * `max_delivery_date`) returned with each carrier rate, so customers can
+ * compare lead times between service levels at checkout.
+ *
+ * Resolution Order:
+ * 1. The window reported by the Deliveright calculator, when the response
+ *    contains one (see `calculatorWindow`)
+ * 2. Otherwise an estimate built from the shop's settings:
+ *    - `lead_times[level]`: { min_days, max_days } in business days
+ *    - the longest `handling_days` of the cart items (product metafield
+ *      `deliveright.handling_days`), added before the lead time
+ *    - `blackout_dates`: days ("YYYY-MM-DD") that are never counted,
+ *      in addition to weekends
+ * 3. No window, when the level has no lead time configured
+ *
+ * Dates are counted in UTC and returned in the format Shopify expects for
+ * carrier service responses ("YYYY-MM-DD HH:mm:ss +0000").
+ *
+ * @module utils/deliveryEstimates
+ * @requires ../config
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+
+/**
+ * Milliseconds in one day
+ * @constant {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date for a Shopify carrier service response
+ *
+ * @function formatDeliveryDate
+ * @param {Date} date - Date to format
+ * @returns {string} Date such as "2024-05-14 00:00:00 +0000"
+ */
+const formatDeliveryDate = (date) => `${date.toISOString().slice(0, 10)} 00:00:00 +0000`;
+
+/**
+ * Add business days to a date, skipping weekends and blackout dates
+ *
+ * @function addBusinessDays
+ * @param {Date} start - Date to count from (not counted itself)
+ * @param {number} days - Business days to add
+ * @param {Array<string>} blackoutDates - Days to skip ("YYYY-MM-DD")
+ * @returns {Date} The resulting date
+ */
+const addBusinessDays = (start, days, blackoutDates) => {
+    let date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+    let counted = 0;
+    while (counted < days) {
+        date = new Date(date.getTime() + DAY);
+        const weekday = date.getUTCDay();
+        const isWeekend = weekday === 0 || weekday === 6;
+        if (!isWeekend && !blackoutDates.includes(date.toISOString().slice(0, 10))) counted++;
+    }
+    return date;
+};
+
+/**
+ * Read the delivery window from a Deliveright calculator result
+ *
+ * The calculator may report either explicit dates (`min_delivery_date` /
+ * `max_delivery_date`) or a transit range in days (`min_days` / `max_days`).
+ *
+ * @function calculatorWindow
+ * @param {Object} result - `res.data.data` from the rate calculator
+ * @param {Date} [now=new Date()] - Date the transit range counts from
+ * @returns {Object|null} { min_delivery_date, max_delivery_date }, or null when absent
+ */
+export function calculatorWindow(result, now = new Date()) {
+    const minDate = result?.min_delivery_date ? new Date(result.min_delivery_date) : null;
+    const maxDate = result?.max_delivery_date ? new Date(result.max_delivery_date) : null;
+    if (minDate && maxDate && !isNaN(minDate) && !isNaN(maxDate)) {
+        return { min_delivery_date: formatDeliveryDate(minDate), max_delivery_date: formatDeliveryDate(maxDate) };
+    }
+
+    if (Number.isFinite(result?.min_days) && Number.isFinite(result?.max_days)) {
+        return {
+            min_delivery_date: formatDeliveryDate(addBusinessDays(now, result.min_days, [])),
+            max_delivery_date: formatDeliveryDate(addBusinessDays(now, result.max_days, [])),
+        };
+    }
+    return null;
+}
+
+/**
+ * Estimate the delivery window from the shop's lead time settings
+ *
+ * @function estimateDeliveryWindow
+ * @param {Object} params - Estimate parameters
+ * @param {Object} params.settings - retailer.settings from Deliveright
+ * @param {string} params.serviceLevel - Service level code being quoted
+ * @param {Array<Object>} params.items - Rate request items (with optional handling_days)
+ * @param {Date} [params.now=new Date()] - Date the estimate counts from
+ * @returns {Object|null} { min_delivery_date, max_delivery_date }, or null without a lead time
+ */
+export function estimateDeliveryWindow({ settings, serviceLevel, items, now = new Date() }) {
+    const leadTime = settings?.lead_times?.[serviceLevel];
+    if (!leadTime) return null;
+
+    const blackoutDates = settings.blackout_dates || [];
+    const handlingDays = Math.max(0, ...(items || []).map((i) => Number(i.handling_days) || 0));
+
+    console.log("estimateDeliveryWindow: Estimating window for", serviceLevel, leadTime, "handling days:", handlingDays); // Logs estimate inputs
+    return {
+        min_delivery_date: formatDeliveryDate(addBusinessDays(now, handlingDays + leadTime.min_days, blackoutDates)),
+        max_delivery_date: formatDeliveryDate(addBusinessDays(now, handlingDays + leadTime.max_days, blackoutDates)),
+    };
+}
+
+/**
+ * Validate and clean per-level lead times
+ *
+ * Used by the shop settings sanitizer before lead times are saved.
+ *
+ * @function sanitizeLeadTimes
+ * @param {Object} value - Lead times keyed by service level code
+ * @returns {Object} Cleaned lead times (levels with empty fields are dropped)
+ * @throws {Error} If a level is unknown or a range is invalid
+ */
+export function sanitizeLeadTimes(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("lead_times must be an object");
+
+    let leadTimes = {};
+    for (const [code, range] of Object.entries(value)) {
+        if (!config.serviceLevels[code]) throw new Error(`lead_times contains unknown service level: ${code}`);
+        if (range?.min_days === "" && range?.max_days === "") continue;
+
+        const min_days = Number(range?.min_days);
+        const max_days = Number(range?.max_days);
+        if (!Number.isInteger(min_days) || !Number.isInteger(max_days) || min_days < 0 || max_days < min_days) {
+            throw new Error(`lead_times.${code} must be whole days with min_days <= max_days`);
+        }
+        leadTimes[code] = { min_days, max_days };
+    }
+    return leadTimes;
+}
+
+/**
+ * Validate and clean blackout dates
+ *
+ * @function sanitizeBlackoutDates
+ * @param {Array<string>} value - Dates in "YYYY-MM-DD" format
+ * @returns {Array<string>} Sorted, de-duplicated dates
+ * @throws {Error} If a date is malformed
+ */
+export function sanitizeBlackoutDates(value) {
+    if (!Array.isArray(value)) throw new Error("blackout_dates must be a list");
+    const dates = value.map((d) => String(d).trim()).filter(Boolean);
+    const invalid = dates.filter((d) => !/^\d{4}-\d{2}-\d{2}$/.test(d) || isNaN(new Date(d)));
+    if (invalid.length > 0) throw new Error(`blackout_dates contains invalid dates: ${invalid.join(", ")}`);
+    return [...new Set(dates)].sort();
+}
+console.log("deliveryEstimates: Exporting delivery estimate functions"); // Logs module export
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Destination Restrictions
+ *
+ * This module decides which service levels can be offered for a checkout
+ * destination, so customers are never shown a rate Deliveright cannot deliver
+ * (foreign addresses, Alaska/Hawaii, PO boxes...). Orders placed on such rates
+ * would otherwise fail later in newOrder.
+ *
+ * Rules are stored per shop in `retailer.settings.destination_rules`. Any rule
+ * field set under `service_levels[level]` replaces the shop-wide value for
+ * that level only.
+ *
+ * Rules Shape:
+ * ```
+ * destination_rules: {
+ *   allowed_countries: ["US"],        // empty list allows every country
+ *   blocked_states: ["AK", "HI"],
+ *   blocked_zip_prefixes: ["006", "007"],
+ *   block_po_boxes: true,
+ *   service_levels: {
+ *     prcl: { block_po_boxes: false, blocked_states: [] }
+ *   }
+ * }
+ * ```
+ *
+ * @module utils/destinationRules
+ * @requires ../config
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+
+/**
+ * Rules used when a shop has not saved any
+ * Nothing is restricted until the merchant opts in, so shops keep every
+ * destination they were quoted for before destination rules existed.
+ * @constant {Object}
+ */
+export const DEFAULT_DESTINATION_RULES = {
+    allowed_countries: [],
+    blocked_states: [],
+    blocked_zip_prefixes: [],
+    block_po_boxes: false,
+    service_levels: {},
+};
+
+/**
+ * Rule fields that can be set shop-wide and per service level
+ * @constant {Array<string>}
+ */
+const RULE_FIELDS = ["allowed_countries", "blocked_states", "blocked_zip_prefixes", "block_po_boxes"];
+
+/**
+ * Matches "PO Box", "P.O. Box", "P O Box", "POB" and "Post Office Box"
+ * @constant {RegExp}
+ */
+const PO_BOX = /\b(p\.?\s*o\.?\s*b(ox)?|post\s+office\s+box)\b\.?\s*\d*/i;
+
+/**
+ * Effective rules for one service level
+ *
+ * @function rulesForLevel
+ * @param {Object} settings - retailer.settings from Deliveright
+ * @param {string} serviceLevel - Service level code
+ * @returns {Object} Shop-wide rules with the level's fields applied
+ */
+const rulesForLevel = (settings, serviceLevel) => {
+    const rules = { ...DEFAULT_DESTINATION_RULES, ...settings?.destination_rules };
+    return { ...rules, ...rules.service_levels?.[serviceLevel] };
+};
+
+/**
+ * Check a destination against a set of rules
+ *
+ * @function checkDestination
+ * @param {Object} rules - Effective rules (see rulesForLevel)
+ * @param {Object} destination - Rate request destination
+ * @returns {string|null} Why the destination is blocked, or null when allowed
+ */
+export function checkDestination(rules, destination = {}) {
+    const country = (destination.country || "").toUpperCase();
+    const state = (destination.province || "").toUpperCase();
+    const zip = String(destination.postal_code || "").trim();
+
+    if (rules.allowed_countries?.length && !rules.allowed_countries.includes(country)) {
+        return `country ${country || "(none)"} is not served`;
+    }
+    if (rules.blocked_states?.includes(state)) return `state ${state} is blocked`;
+
+    const prefix = rules.blocked_zip_prefixes?.find((p) => zip.startsWith(p));
+    if (prefix) return `zip prefix ${prefix} is blocked`;
+
+    if (rules.block_po_boxes && [destination.address1, destination.address2].some((line) => PO_BOX.test(line || ""))) {
+        return "PO box addresses are blocked";
+    }
+    return null;
+}
+
+/**
+ * Split service levels into those the destination allows and those it blocks
+ *
+ * @function filterLevelsByDestination
+ * @param {Object} settings - retailer.settings from Deliveright
+ * @param {Object} destination - Rate request destination
+ * @param {Array<string>} serviceLevels - Service level codes to check
+ * @returns {Object} { allowed: [codes], blocked: [{ serviceLevel, reason }] }
+ */
+export function filterLevelsByDestination(settings, destination, serviceLevels) {
+    let allowed = [];
+    let blocked = [];
+    for (const serviceLevel of serviceLevels) {
+        const reason = checkDestination(rulesForLevel(settings, serviceLevel), destination);
+        if (reason) blocked.push({ serviceLevel, reason });
+        else allowed.push(serviceLevel);
+    }
+    if (blocked.length > 0) {
+        console.log("filterLevelsByDestination: Blocked service levels", JSON.stringify(blocked)); // Logs blocked levels
+    }
+    return { allowed, blocked };
+}
+
+/**
+ * Validate and clean one set of rule fields
+ *
+ * @function sanitizeRuleFields
+ * @param {Object} value - Rule fields
+ * @param {string} name - Setting name used in error messages
+ * @param {boolean} partial - Keep only the fields present (per-level rules)
+ * @returns {Object} Cleaned rule fields
+ * @throws {Error} If a field has the wrong type
+ */
+const sanitizeRuleFields = (value, name, partial) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error(`${name} must be an object`);
+
+    let clean = {};
+    for (const field of RULE_FIELDS) {
+        if (value[field] === undefined || value[field] === null) {
+            if (!partial) clean[field] = DEFAULT_DESTINATION_RULES[field];
+            continue;
+        }
+        if (field === "block_po_boxes") {
+            if (typeof value[field] !== "boolean") throw new Error(`${name}.${field} must be true or false`);
+            clean[field] = value[field];
+            continue;
+        }
+        if (!Array.isArray(value[field])) throw new Error(`${name}.${field} must be a list`);
+        clean[field] = [...new Set(value[field].map((v) => String(v).trim().toUpperCase()).filter(Boolean))];
+    }
+    return clean;
+};
+
+/**
+ * Validate and clean destination rules
+ *
+ * Used by the shop settings sanitizer before rules are saved.
+ *
+ * @function sanitizeDestinationRules
+ * @param {Object} value - Rules from the admin
+ * @returns {Object} Cleaned rules
+ * @throws {Error} If the rules are malformed or name unknown service levels
+ */
+export function sanitizeDestinationRules(value) {
+    const rules = sanitizeRuleFields(value, "destination_rules", false);
+
+    rules.service_levels = {};
+    for (const [code, levelRules] of Object.entries(value.service_levels || {})) {
+        if (!config.serviceLevels[code]) throw new Error(`destination_rules contains unknown service level: ${code}`);
+        const clean = sanitizeRuleFields(levelRules, `destination_rules.service_levels.${code}`, true);
+        if (Object.keys(clean).length > 0) rules.service_levels[code] = clean;
+    }
+    return rules;
+}
+console.log("destinationRules: Exporting destination rule functions"); // Logs module export
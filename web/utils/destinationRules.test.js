@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Destination Restrictions Tests
+ *
+ * Covers the destination rule sanitizer and matcher.
+ * Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/destinationRules.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ./destinationRules
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_DESTINATION_RULES,
+    checkDestination,
+    filterLevelsByDestination,
+    sanitizeDestinationRules,
+} from "./destinationRules.js";
+
+const destination = (fields) => ({ country: "US", province: "NY", postal_code: "10001", address1: "1 Main St", ...fields });
+
+describe("checkDestination", () => {
+    it("allows every destination with the default rules", () => {
+        assert.equal(checkDestination(DEFAULT_DESTINATION_RULES, destination({ country: "CA", province: "ON" })), null);
+    });
+
+    it("blocks countries outside allowed_countries", () => {
+        const rules = { allowed_countries: ["US"] };
+        assert.equal(checkDestination(rules, destination({ country: "ca" })), "country CA is not served");
+        assert.equal(checkDestination(rules, destination({ country: "" })), "country (none) is not served");
+        assert.equal(checkDestination(rules, destination()), null);
+    });
+
+    it("blocks states and zip prefixes", () => {
+        const rules = { blocked_states: ["AK"], blocked_zip_prefixes: ["006"] };
+        assert.equal(checkDestination(rules, destination({ province: "ak" })), "state AK is blocked");
+        assert.equal(checkDestination(rules, destination({ postal_code: " 00601" })), "zip prefix 006 is blocked");
+    });
+
+    it("recognizes PO box spellings on either address line", () => {
+        const rules = { block_po_boxes: true };
+        for (const line of ["PO Box 12", "P.O. Box 12", "p o box 12", "POB 12", "Post Office Box 12"]) {
+            assert.equal(checkDestination(rules, destination({ address2: line })), "PO box addresses are blocked", line);
+        }
+        assert.equal(checkDestination(rules, destination({ address1: "12 Pobson Rd" })), null);
+    });
+});
+
+describe("filterLevelsByDestination", () => {
+    it("applies per-level rules over the shop-wide ones", () => {
+        const settings = {
+            destination_rules: sanitizeDestinationRules({
+                block_po_boxes: true,
+                service_levels: { prcl: { block_po_boxes: false } },
+            }),
+        };
+        const { allowed, blocked } = filterLevelsByDestination(settings, destination({ address1: "PO Box 5" }), ["wg", "prcl"]);
+        assert.deepEqual(allowed, ["prcl"]);
+        assert.deepEqual(blocked, [{ serviceLevel: "wg", reason: "PO box addresses are blocked" }]);
+    });
+
+    it("allows every level for shops without rules", () => {
+        assert.deepEqual(filterLevelsByDestination({}, destination({ country: "MX" }), ["wg"]), { allowed: ["wg"], blocked: [] });
+    });
+});
+
+describe("sanitizeDestinationRules", () => {
+    it("fills in defaults and normalizes lists", () => {
+        assert.deepEqual(sanitizeDestinationRules({ allowed_countries: [" us", "US", ""], blocked_states: ["hi"] }), {
+            ...DEFAULT_DESTINATION_RULES,
+            allowed_countries: ["US"],
+            blocked_states: ["HI"],
+        });
+    });
+
+    it("keeps only the fields set per level and drops empty levels", () => {
+        const rules = sanitizeDestinationRules({ service_levels: { wg: { blocked_states: ["ak"] }, thr: {} } });
+        assert.deepEqual(rules.service_levels, { wg: { blocked_states: ["AK"] } });
+    });
+
+    it("rejects malformed rules and unknown service levels", () => {
+        assert.throws(() => sanitizeDestinationRules([]), /destination_rules must be an object/);
+        assert.throws(() => sanitizeDestinationRules({ blocked_states: "AK" }), /blocked_states must be a list/);
+        assert.throws(() => sanitizeDestinationRules({ block_po_boxes: "yes" }), /must be true or false/);
+        assert.throws(() => sanitizeDestinationRules({ service_levels: { nope: {} } }), /unknown service level: nope/);
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Merchant-Defined Fallback Rates
+ *
+ * This module resolves a backup price for a service level when the Deliveright
+ * calculator cannot produce one (network error, `errorCode` in the response,
+ * or "Calculator was not able to calculate cost").
+ *
+ * Each shop keeps its own fallback table in `retailer.settings.fallback_rates`,
+ * keyed by service level code from `config.serviceLevels`. A level can define a
+ * flat price, weight/zip bands, or both. Prices are in dollars, like the other
+ * merchant-facing payment settings, and weights are in pounds.
+ *
+ * Table Shape:
+ * ```
+ * fallback_rates: {
+ *   wg: {
+ *     flat: 199,
+ *     bands: [
+ *       { zip_prefixes: ["100", "112"], min_weight: 0, max_weight: 150, price: 149 },
+ *       { zip_prefixes: [], min_weight: 150, price: 249 }
+ *     ]
+ *   }
+ * }
+ * ```
+ *
+ * Resolution Order:
+ * 1. First band whose zip prefixes and weight range match the request
+ *    (an empty or missing `zip_prefixes` list matches any destination,
+ *    `max_weight` is exclusive and optional)
+ * 2. The level's flat price
+ * 3. No fallback (null)
+ *
+ * Every use is logged with the shop, level and reason so it can be tracked.
+ * The table is edited from the settings page and validated by
+ * sanitizeFallbackRates before it is saved.
+ *
+ * @module utils/fallbackRates
+ * @requires ../config
+ * @requires ./measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { totalPounds } from "./measurement.js";
+
+/**
+ * Check whether a band applies to a destination and weight
+ *
+ * @function bandMatches
+ * @param {Object} band - Fallback band
+ * @param {string} zip - Destination postal code
+ * @param {number} weight - Cart weight in pounds
+ * @returns {boolean} True if the band applies
+ */
+export const bandMatches = (band, zip, weight) => {
+    const prefixes = band.zip_prefixes || [];
+    if (prefixes.length > 0 && !prefixes.some((prefix) => zip.startsWith(String(prefix)))) return false;
+    if (band.min_weight != null && weight < band.min_weight) return false;
+    if (band.max_weight != null && weight >= band.max_weight) return false;
+    return true;
+};
+
+/**
+ * Resolve the fallback price for a service level
+ *
+ * @function resolveFallbackRate
+ * @param {Object} params - Resolution parameters
+ * @param {string} params.shop - Shop domain
+ * @param {Object} params.retailer - Store configuration from Deliveright
+ * @param {Object} params.rate - Filtered rate request (destination, items)
+ * @param {string} params.serviceLevel - Service level code
+ * @param {string} params.reason - Why the fallback is needed (logged)
+ * @returns {number|null} Price in cents, or null if the shop has no fallback for the level
+ *
+ * @example
+ * const price = resolveFallbackRate({
+ *   shop: 'example.myshopify.com',
+ *   retailer,
+ *   rate: filtered_request.rate,
+ *   serviceLevel: 'wg',
+ *   reason: 'calculator_error',
+ * });
+ */
+export function resolveFallbackRate({ shop, retailer, rate, serviceLevel, reason }) {
+    const table = retailer.settings?.fallback_rates?.[serviceLevel];
+    if (!table || !config.serviceLevels[serviceLevel]) return null;
+
+    const zip = String(rate.destination?.postal_code || "");
+    const weight = totalPounds(rate.items);
+    const band = (table.bands || []).find((b) => bandMatches(b, zip, weight));
+    const price = band ? band.price : table.flat;
+
+    if (price == null || isNaN(Number(price))) {
+        console.warn("resolveFallbackRate: No fallback rate matched", { shop, serviceLevel, reason, zip, weight }); // Logs fallback miss
+        return null;
+    }
+
+    const totalPrice = Math.round(Number(price) * 100);
+    console.warn("resolveFallbackRate: Fallback rate used", {
+        shop,
+        serviceLevel,
+        reason,
+        source: band ? "band" : "flat",
+        total_price: totalPrice,
+    }); // Logs every fallback use
+    return totalPrice;
+}
+/**
+ * Validate a weight in pounds
+ *
+ * @function pounds
+ * @param {*} value - Value from the admin
+ * @param {string} name - Setting name used in the error message
+ * @returns {number|undefined} Pounds, undefined when empty
+ * @throws {Error} If the value is not a number of 0 or more
+ */
+const pounds = (value, name) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`${name} must be a number of 0 or more`);
+    return number;
+};
+
+/**
+ * Validate a price in dollars
+ *
+ * @function dollars
+ * @param {*} value - Value from the admin
+ * @param {string} name - Setting name used in the error message
+ * @returns {number|undefined} Dollars, undefined when empty
+ * @throws {Error} If the value is negative or not in whole cents
+ */
+const dollars = (value, name) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`${name} must be a price of 0 or more`);
+    if (Math.abs(number * 100 - Math.round(number * 100)) > 1e-6) {
+        throw new Error(`${name} must be in whole cents`);
+    }
+    return number;
+};
+
+/**
+ * Validate a band's zip prefixes
+ *
+ * @function zipPrefixes
+ * @param {*} value - List from the admin
+ * @param {string} name - Setting name used in the error message
+ * @returns {Array<string>} Trimmed, unique prefixes
+ * @throws {Error} If the value is not a list of 1 to 5 digit prefixes
+ */
+const zipPrefixes = (value, name) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error(`${name} must be a list`);
+    const prefixes = [...new Set(value.map((v) => String(v).trim()).filter(Boolean))];
+    const invalid = prefixes.filter((prefix) => !/^\d{1,5}$/.test(prefix));
+    if (invalid.length > 0) throw new Error(`${name} must be 1 to 5 digit zip prefixes: ${invalid.join(", ")}`);
+    return prefixes;
+};
+
+/**
+ * Validate the fallback rate table
+ *
+ * Used by the shop settings sanitizer before the table is saved. Levels
+ * without a flat price or band are dropped.
+ *
+ * @function sanitizeFallbackRates
+ * @param {Object} value - Fallback tables keyed by service level code
+ * @returns {Object} Cleaned table
+ * @throws {Error} With a merchant-readable message when invalid
+ */
+export function sanitizeFallbackRates(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("fallback_rates must be an object");
+
+    let table = {};
+    for (const [code, level] of Object.entries(value)) {
+        const name = `fallback_rates.${code}`;
+        if (!config.serviceLevels[code]) throw new Error(`fallback_rates contains unknown service level: ${code}`);
+        if (!level || typeof level !== "object" || Array.isArray(level)) throw new Error(`${name} must be an object`);
+        if (!Array.isArray(level.bands ?? [])) throw new Error(`${name}.bands must be a list`);
+
+        const bands = (level.bands || []).map((band, index) => {
+            const bandName = `${name}.bands[${index}]`;
+            if (!band || typeof band !== "object") throw new Error(`${bandName} must be an object`);
+            const clean = {
+                zip_prefixes: zipPrefixes(band.zip_prefixes, `${bandName}.zip_prefixes`),
+                min_weight: pounds(band.min_weight, `${bandName}.min_weight`) ?? 0,
+                max_weight: pounds(band.max_weight, `${bandName}.max_weight`),
+                price: dollars(band.price, `${bandName}.price`),
+            };
+            if (clean.price === undefined) throw new Error(`${bandName}.price is required`);
+            if (clean.max_weight !== undefined && clean.max_weight <= clean.min_weight) {
+                throw new Error(`${bandName}.max_weight must be above min_weight`);
+            }
+            return JSON.parse(JSON.stringify(clean));
+        });
+        const flat = dollars(level.flat, `${name}.flat`);
+
+        if (flat === undefined && bands.length === 0) continue;
+        table[code] = flat === undefined ? { bands } : { flat, bands };
+    }
+    return table;
+}
+console.log("fallbackRates: Exporting fallback rate resolver, band matcher and sanitizer"); // Logs module export
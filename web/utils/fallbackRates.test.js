@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Fallback Rates Tests
+ *
+ * Covers the fallback table sanitizer and price resolution.
+ * Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/fallbackRates.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ../config
+ * @requires ./fallbackRates
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config.js";
+import { resolveFallbackRate, sanitizeFallbackRates } from "./fallbackRates.js";
+
+const level = Object.keys(config.serviceLevels)[0];
+
+describe("sanitizeFallbackRates", () => {
+    it("keeps flat prices and bands, filling in defaults", () => {
+        const table = sanitizeFallbackRates({
+            [level]: {
+                flat: "199.99",
+                bands: [{ zip_prefixes: [" 100", "100", "112"], max_weight: "150", price: 149 }],
+            },
+        });
+        assert.deepEqual(table, {
+            [level]: {
+                flat: 199.99,
+                bands: [{ zip_prefixes: ["100", "112"], min_weight: 0, max_weight: 150, price: 149 }],
+            },
+        });
+    });
+
+    it("drops levels without a flat price or band", () => {
+        assert.deepEqual(sanitizeFallbackRates({ [level]: { flat: "", bands: [] } }), {});
+    });
+
+    it("rejects unknown service levels", () => {
+        assert.throws(() => sanitizeFallbackRates({ nope: { flat: 10 } }), /unknown service level: nope/);
+    });
+
+    it("rejects prices that are not whole cents", () => {
+        assert.throws(() => sanitizeFallbackRates({ [level]: { flat: 10.005 } }), /whole cents/);
+        assert.throws(() => sanitizeFallbackRates({ [level]: { flat: -1 } }), /price of 0 or more/);
+    });
+
+    it("rejects invalid zip prefixes", () => {
+        assert.throws(
+            () => sanitizeFallbackRates({ [level]: { bands: [{ zip_prefixes: ["10a"], price: 10 }] } }),
+            /zip prefixes: 10a/
+        );
+    });
+
+    it("rejects bands without a price or with an empty weight range", () => {
+        assert.throws(() => sanitizeFallbackRates({ [level]: { bands: [{ min_weight: 5 }] } }), /price is required/);
+        assert.throws(
+            () => sanitizeFallbackRates({ [level]: { bands: [{ min_weight: 50, max_weight: 50, price: 10 }] } }),
+            /max_weight must be above min_weight/
+        );
+    });
+});
+
+describe("resolveFallbackRate", () => {
+    const retailer = {
+        settings: {
+            fallback_rates: sanitizeFallbackRates({
+                [level]: {
+                    flat: 19.99,
+                    bands: [{ zip_prefixes: ["100"], max_weight: 100, price: 9.95 }],
+                },
+            }),
+        },
+    };
+    const rate = (postal_code, grams) => ({ destination: { postal_code }, items: [{ grams, quantity: 1 }] });
+    const resolve = (r) => resolveFallbackRate({ shop: "s", retailer, rate: r, serviceLevel: level, reason: "test" });
+
+    it("uses the first matching band, in integer cents", () => {
+        assert.equal(resolve(rate("10001", 1000)), 995);
+    });
+
+    it("uses the flat price when no band matches", () => {
+        assert.equal(resolve(rate("90210", 1000)), 1999);
+        assert.equal(resolve(rate("10001", 100000)), 1999);
+    });
+
+    it("returns null for levels without a table", () => {
+        assert.equal(resolveFallbackRate({ shop: "s", retailer: { settings: {} }, rate: rate("1", 1), serviceLevel: level }), null);
+    });
+});
@@ -2,17 +2,33 @@
  * @fileoverview Product Filtering and Tag Analysis Utility
  *
  * This module filters cart items to identify which products are eligible for
- * Deliveright shipping services. Eligibility is determined by product tags
- * that match configured service level codes (e.g., 'wg', 'rocpa').
+ * Deliveright shipping services. Eligibility is read from the shop's
+ * eligibility source: product tags that match configured service level codes
+ * (e.g., 'wg', 'rocpa', the default), a product metafield, collection
+ * membership or product type, with optional variant overrides
+ * (see ./productEligibility).
  *
  * Workflow:
- * 1. Extract product IDs from cart items
- * 2. Fetch product details (including tags) from Shopify GraphQL API
- * 3. Filter products that contain valid service level tags
- * 4. Attach relevant tags to the items for rate calculation
+ * 1. Extract product and variant IDs from cart items
+ * 2. Load products (tags, type, collections, metafields, variant overrides)
+ *    from the local product cache, fetching only cache misses from Shopify
+ *    in one batched GraphQL query (see ./productCache)
+ * 3. Resolve each item's service levels, keeping valid codes
+ *    (optionally restricted to the levels a shop has enabled)
+ * 4. Attach the levels (as `tags`), the product handling time (metafield
+ *    `deliveright.handling_days`), origin mapping (metafield
+ *    `deliveright.origin_zip`) and product type (for default weights) to the
+ *    items for rate calculation
+ * 5. On request (checkout rates), attach each eligible variant's dimensions
+ *    and stocked locations from its cached product record (see ./variantDetails)
+ * 6. Apply the shop's mixed-cart policy: with "intersection", every item
+ *    keeps only the levels all items share (no items when none are shared)
  *
  * @module utils/filterDeliverightProducts
  * @requires ../config
+ * @requires ./productEligibility
+ * @requires ./productCache
+ * @requires ./variantDetails
  * @requires node-fetch
  * @requires @shopify/shopify-api
  *
@@ -21,6 +37,9 @@
  */
 
 import config from "../config.js";
+import { productLevelCandidates, parseLevelList, resolveEligibility } from "./productEligibility.js";
+import { deleteProducts, getCachedProducts, saveProducts } from "./productCache.js";
+import { attachVariantDetails, fetchVariantDetails } from "./variantDetails.js";
 import fetch from 'node-fetch';
 import { LATEST_API_VERSION } from '@shopify/shopify-api'; // You can adjust the version if needed
 
@@ -34,156 +53,436 @@ const level_codes = Object.keys(config.serviceLevels)
 console.log("filterDeliverightProducts: Initialized service level codes", level_codes.length); // Logs service level codes initialization
 
 /**
- * Filter tags to keep only valid service level codes
+ * Product fields eligibility depends on
+ * Collections, the eligibility metafield and variant overrides are only
+ * requested when the shop's rules use them.
  *
- * @function productFilterTags
- * @param {Object} p - Product object
- * @param {number} p.product_id - Product ID
- * @param {Array<string>} p.tags - Product tags
- * @returns {Object} Product with filtered tags
+ * @constant {string}
  */
-let productFilterTags = (p) => {
-    console.log("productFilterTags: Filtering tags for product ID", p.product_id); // Logs tag filtering start
-    const tags = p.tags
-    let new_tags = tags.filter(s => level_codes.includes(s))
-    console.log("productFilterTags: Filtered tags", new_tags); // Logs filtered tags
-    return {...p, tags: new_tags}
+const PRODUCT_FIELDS = `
+  fragment EligibilityProduct on Product {
+    id
+    title
+    tags
+    productType
+    levelsMetafield: metafield(namespace: $namespace, key: $key) @include(if: $withMetafield) {
+      value
+    }
+    collections(first: 25) @include(if: $withCollections) {
+      nodes {
+        handle
+      }
+    }
+    variants(first: 100) @include(if: $withVariants) {
+      nodes {
+        id
+        levelsOverride: metafield(namespace: $namespace, key: $key) {
+          value
+        }
+      }
+    }
+    handlingDays: metafield(namespace: "deliveright", key: "handling_days") {
+      value
+    }
+    originZip: metafield(namespace: "deliveright", key: "origin_zip") {
+      value
+    }
+  }
+`;
+
+/**
+ * Extract numeric ID from Shopify Global ID
+ *
+ * @function fromGlobalId
+ * @param {string} globalId - Global ID string
+ * @returns {number|null} Numeric ID or null if invalid
+ */
+function fromGlobalId(globalId) {
+    const match = globalId.match(/\/(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
 }
 
 /**
- * Higher-order function to attach tags to cart items
+ * Send a query to the Shopify Admin GraphQL API
  *
- * @function addServiceTags
- * @param {Array<Object>} products - List of products with tags
- * @returns {Function} Mapper function for cart items
+ * @async
+ * @function adminGraphql
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Response `data`
+ * @throws {Error} If the request fails
  */
-let addServiceTags = (products) => {
-    return (item) => {
-        console.log("addServiceTags: Adding tags to item with product ID", item.product_id); // Logs tag addition
-        let product = products.find(p => p.product_id === item.product_id)
-        console.log("addServiceTags: Tags added", product?.tags || []); // Logs added tags
-        return {...item, tags: product.tags}
+async function adminGraphql(session, query, variables) {
+    // Send the GraphQL request to Shopify's Admin API
+    const response = await fetch(`https://${session.shop}/admin/api/${LATEST_API_VERSION}/graphql.json`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': session.accessToken, // Access token for authentication
+        },
+        body: JSON.stringify({ query, variables }),
+    });
+
+    // Check if the response is successful
+    console.log("adminGraphql: Received response, status", response.status); // Logs response status
+    if (!response.ok) {
+        const error = await response.text();
+        console.error("adminGraphql: Request failed", error); // Logs fetch error
+        throw new Error(`Failed to fetch products: ${error}`);
     }
+    return (await response.json()).data;
 }
 
+/**
+ * Variables selecting the fields the shop's rules need
+ *
+ * @function fieldVariables
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {Object} Fragment variables
+ */
+const fieldVariables = (rules) => ({
+    namespace: rules.metafield.namespace,
+    key: rules.metafield.key,
+    withMetafield: rules.source === config.eligibilitySources.METAFIELD,
+    withCollections: rules.source === config.eligibilitySources.COLLECTION,
+    withVariants: rules.variant_overrides,
+});
+
+/**
+ * Convert a product node to a cached product record
+ *
+ * @function toProductRecord
+ * @param {Object} node - Product node (EligibilityProduct fragment)
+ * @returns {Object} { product_id, title, tags, product_type, collections,
+ *   levels_metafield, variant_levels, handling_days, origin_zip }
+ */
+const toProductRecord = (node) => {
+    let variant_levels = {};
+    (node.variants?.nodes || []).forEach((variant) => {
+        if (variant.levelsOverride) variant_levels[fromGlobalId(variant.id)] = variant.levelsOverride.value;
+    });
+    return {
+        product_id: fromGlobalId(node.id),
+        title: node.title,
+        tags: node.tags,
+        product_type: node.productType,
+        collections: node.collections?.nodes.map((c) => c.handle) || [],
+        levels_metafield: node.levelsMetafield?.value,
+        variant_levels,
+        handling_days: Number(node.handlingDays?.value) || 0,
+        origin_zip: node.originZip?.value?.trim() || undefined,
+    };
+};
+
 /**
  * Fetch product details from Shopify via GraphQL
  *
- * Retrieves product tags for a list of product IDs using the Admin GraphQL API.
+ * Retrieves everything eligibility can depend on (tags, product type,
+ * collections, the eligibility metafield, variant overrides), handling times
+ * and origin mappings for a list of product IDs in a single `nodes` query
+ * using the Admin GraphQL API.
  * This is necessary because cart items in the checkout webhook might not
- * include all tags needed for service level determination.
+ * include the product data needed for service level determination.
  *
  * @async
  * @function getProducts
  * @param {Object} session - Shopify session
  * @param {Array<number>} productIds - List of product IDs to fetch
- * @returns {Promise<Array<Object>>} List of products with IDs and tags
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {Promise<Array<Object>>} Product records (see toProductRecord), products
+ *   that no longer exist are left out
  */
-async function getProducts(session, productIds) {
-    console.log("getProducts: Fetching products for shop", session.shop); // Logs product fetch start
-    const shop = session.shop; // Shopify store domain (e.g., 'your-store.myshopify.com')
-    const accessToken = session.accessToken; // The access token for the authenticated session
-
-    // Build the GraphQL query to fetch products by IDs and their tags
+async function getProducts(session, productIds, rules) {
+    console.log("getProducts: Fetching products for shop", session.shop, productIds); // Logs product fetch start
     const query = `
-    query getProducts($ids: [ID!]!) {
+    query getProducts($ids: [ID!]!, $namespace: String!, $key: String!, $withMetafield: Boolean!, $withCollections: Boolean!, $withVariants: Boolean!) {
       nodes(ids: $ids) {
-        ... on Product {
-          id
-          tags
-        }
+        ...EligibilityProduct
       }
     }
+    ${PRODUCT_FIELDS}
   `;
 
+    const data = await adminGraphql(session, query, {
+        ids: productIds.map((id) => `gid://shopify/Product/${id}`),
+        ...fieldVariables(rules),
+    });
+    const nodes = (data?.nodes || []).filter(Boolean);
+    console.log("getProducts: Processing product data", nodes.length); // Logs product data processing
+    return nodes.map(toProductRecord);
+}
 
-    /**
-     * Convert numeric product ID to Shopify Global ID format
-     *
-     * @param {number} id - Numeric Product ID
-     * @returns {string} Global ID (gid://shopify/Product/...)
-     */
-    function toGlobalId(id) {
-        console.log("toGlobalId: Converting product ID to global ID", id); // Logs ID conversion
-        return `gid://shopify/Product/${id}`;
+/**
+ * Load product records, from the product cache when possible
+ *
+ * Only the products missing from the cache are looked up live, and saved for
+ * the next request. Cache failures fall back to the live lookup.
+ *
+ * @async
+ * @function loadProducts
+ * @param {Object} session - Shopify session
+ * @param {Array<number>} productIds - Product IDs
+ * @param {Object} rules - Complete eligibility settings
+ * @returns {Promise<Array<Object>>} Product records
+ */
+async function loadProducts(session, productIds, rules) {
+    let cached = new Map();
+    try {
+        cached = await getCachedProducts(session.shop, productIds);
+    } catch (err) {
+        console.error("loadProducts: Error reading product cache", err.message); // Logs cache read error
     }
 
-    /**
-     * Extract numeric ID from Shopify Global ID
-     *
-     * @param {string} globalId - Global ID string
-     * @returns {number|null} Numeric ID or null if invalid
-     */
-    function fromGlobalId(globalId) {
-        console.log("fromGlobalId: Extracting numeric ID from global ID", globalId); // Logs ID extraction
-        const match = globalId.match(/Product\/(\d+)/);
-        return match ? parseInt(match[1], 10) : null;
+    const missing = productIds.filter((id) => !cached.has(id));
+    if (missing.length === 0) return [...cached.values()];
+
+    const fetched = await getProducts(session, missing, rules);
+    saveProducts(session.shop, fetched).catch((err) =>
+        console.error("loadProducts: Error writing product cache", err.message) // Logs cache write error
+    );
+    return [...cached.values(), ...fetched];
+}
+
+/**
+ * Copy cached variant details onto fresh product records
+ *
+ * Product lookups don't include variant dimensions or locations (see
+ * ./variantDetails), so records saved over cached ones keep them.
+ *
+ * @async
+ * @function keepVariantDetails
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} products - Fresh product records
+ * @returns {Promise<Array<Object>>} The same records, with `variants` where cached
+ */
+async function keepVariantDetails(shop, products) {
+    const cached = await getCachedProducts(shop, products.map((p) => p.product_id));
+    products.forEach((product) => {
+        const variants = cached.get(product.product_id)?.variants;
+        if (variants) product.variants = variants;
+    });
+    return products;
+}
+
+/**
+ * Look products up live and update the product cache
+ *
+ * Products that no longer exist are removed from the cache. Used by the
+ * product webhooks, which pass the product's variant IDs so their dimensions
+ * and stocked locations are refreshed too (see ./variantDetails); other
+ * products keep the variant details already cached.
+ *
+ * @async
+ * @function refreshProducts
+ * @param {Object} session - Shopify session
+ * @param {Array<number>} productIds - Product IDs
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @param {Object} [variantIds={}] - Product ID -> variant IDs to refresh
+ * @returns {Promise<Array<Object>>} Fresh product records
+ */
+export async function refreshProducts(session, productIds, eligibility, variantIds = {}) {
+    const products = await keepVariantDetails(session.shop, await getProducts(session, productIds, resolveEligibility(eligibility)));
+    for (const product of products) {
+        const ids = variantIds[product.product_id];
+        if (ids) product.variants = await fetchVariantDetails(session, ids);
     }
+    const found = new Set(products.map((p) => p.product_id));
+    await saveProducts(session.shop, products);
+    await deleteProducts(session.shop, productIds.filter((id) => !found.has(id)));
+    return products;
+}
 
-    // Map productIds to their corresponding global IDs
-    console.log("getProducts: Converting product IDs to global IDs", productIds); // Logs ID conversion start
-    const globalProductIds = productIds.map(toGlobalId);
+/**
+ * Fill the product cache with the whole catalog
+ *
+ * Pages through every product of the shop (config.productCache.warmPageSize
+ * per request). Called after install; a failure only means more live lookups.
+ *
+ * @async
+ * @function warmProductCache
+ * @param {Object} session - Shopify session
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @returns {Promise<number>} Number of products cached
+ */
+export async function warmProductCache(session, eligibility) {
+    console.log("warmProductCache: Filling product cache for shop", session.shop); // Logs cache fill start
+    const rules = resolveEligibility(eligibility);
+    const query = `
+    query warmProducts($first: Int!, $after: String, $namespace: String!, $key: String!, $withMetafield: Boolean!, $withCollections: Boolean!, $withVariants: Boolean!) {
+      products(first: $first, after: $after) {
+        nodes {
+          ...EligibilityProduct
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+    ${PRODUCT_FIELDS}
+  `;
 
-    // Construct the GraphQL variables
-    const variables = {
-        ids: globalProductIds,
-    };
+    let after = null;
+    let count = 0;
+    do {
+        const data = await adminGraphql(session, query, {
+            first: config.productCache.warmPageSize,
+            after,
+            ...fieldVariables(rules),
+        });
+        const products = (data?.products?.nodes || []).map(toProductRecord);
+        await saveProducts(session.shop, products);
+        count += products.length;
+        after = data?.products?.pageInfo?.hasNextPage ? data.products.pageInfo.endCursor : null;
+    } while (after);
 
-    // Send the GraphQL request to Shopify's Admin API
-    console.log("getProducts: Sending GraphQL request for products"); // Logs GraphQL request
-    const response = await fetch(`https://${shop}/admin/api/${LATEST_API_VERSION}/graphql.json`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': accessToken, // Access token for authentication
-        },
-        body: JSON.stringify({ query, variables }),
-    });
+    console.log("warmProductCache: Cached", count, "products for shop", session.shop); // Logs cache fill result
+    return count;
+}
 
-    // Check if the response is successful
-    console.log("getProducts: Received response, status", response.status); // Logs response status
-    if (!response.ok) {
-        const error = await response.text();
-        console.error("getProducts: Failed to fetch products", error); // Logs fetch error
-        throw new Error(`Failed to fetch products: ${error}`);
+/**
+ * Search products and update the product cache
+ *
+ * Runs a Shopify product search (e.g. `vendor:"Acme" product_type:"Sofa"`)
+ * and returns one page of product records with their vendor. The records are
+ * fresh, so they are saved to the cache as well. Used by the bulk tagging
+ * admin (see ./bulkTagging) and the missing-weight report (see ./defaultWeights).
+ *
+ * @async
+ * @function searchProducts
+ * @param {Object} session - Shopify session
+ * @param {string} search - Product search query ("" for every product)
+ * @param {Object} page - { first, after, fields? } where `fields` is an extra
+ *   product selection returned on `node`
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @returns {Promise<Object>} { products: [record + vendor + node], has_next, end_cursor }
+ */
+export async function searchProducts(session, search, page, eligibility) {
+    console.log("searchProducts: Searching products for shop", session.shop, search); // Logs product search start
+    const rules = resolveEligibility(eligibility);
+    const query = `
+    query searchProducts($first: Int!, $after: String, $query: String, $namespace: String!, $key: String!, $withMetafield: Boolean!, $withCollections: Boolean!, $withVariants: Boolean!) {
+      products(first: $first, after: $after, query: $query, sortKey: TITLE) {
+        nodes {
+          ...EligibilityProduct
+          vendor
+          ${page.fields || ""}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
     }
+    ${PRODUCT_FIELDS}
+  `;
+
+    const data = await adminGraphql(session, query, {
+        first: page.first,
+        after: page.after || null,
+        query: search || null,
+        ...fieldVariables(rules),
+    });
+    const nodes = data?.products?.nodes || [];
+    const records = nodes.map(toProductRecord);
+    keepVariantDetails(session.shop, records.map((record) => ({ ...record })))
+        .then((products) => saveProducts(session.shop, products))
+        .catch((err) =>
+            console.error("searchProducts: Error writing product cache", err.message) // Logs cache write error
+        );
+    return {
+        products: records.map((record, index) => ({ ...record, vendor: nodes[index].vendor, node: nodes[index] })),
+        has_next: !!data?.products?.pageInfo?.hasNextPage,
+        end_cursor: data?.products?.pageInfo?.endCursor || null,
+    };
+}
+
+/**
+ * Resolve the service levels each cart item declares
+ *
+ * A variant with the eligibility metafield set replaces its product's levels
+ * when variant overrides are on (an empty value makes it ineligible).
+ * Declared values are returned as-is, so callers can report the ones that are
+ * not service level codes.
+ *
+ * @async
+ * @function resolveItemLevels
+ * @param {Object} session - Shopify session
+ * @param {Array<Object>} items - Cart items ({ product_id, variant_id })
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @returns {Promise<Array<Object>>} One entry per item:
+ *   { item, product (null when not found), candidates, overridden }
+ */
+export async function resolveItemLevels(session, items, eligibility) {
+    const rules = resolveEligibility(eligibility);
+    const product_ids = [...new Set(items.map(p => p.product_id).filter(Boolean))]
+    console.log("resolveItemLevels: Resolving", rules.source, "eligibility for products", product_ids); // Logs eligibility source
 
-    // Parse the response and return the data
-    const data = await response.json();
-    console.log("getProducts: Processing product data", data.data.nodes.length); // Logs product data processing
-    return data.data.nodes.map((product) => ({
-        product_id: fromGlobalId(product.id),
-        tags: product.tags,
-    }));
+    const products = await loadProducts(session, product_ids, rules)
+
+    return items.map((item) => {
+        const product = products.find(p => p.product_id === item.product_id) || null
+        const override = product?.variant_levels?.[item.variant_id]
+        const overridden = rules.variant_overrides && override !== undefined
+        const candidates = overridden
+            ? parseLevelList(override)
+            : product ? productLevelCandidates(product, rules) : []
+        return { item, product, candidates, overridden }
+    })
 }
 
 /**
  * Filter items for Deliveright eligibility and attach service tags
  *
  * Main entry point for the module. Filters a list of cart items, keeping only
- * those that are eligible for Deliveright services (based on tags).
+ * those that are eligible for Deliveright services (based on the shop's
+ * eligibility source).
  *
  * @async
  * @param {Object} shopify - Shopify app instance
  * @param {Object} session - Shopify session
  * @param {Array<Object>} items - Cart items to filter
- * @returns {Promise<Array<Object>>} Filtered list of eligible items with tags
+ * @param {Object} [options={}] - Filtering options
+ * @param {Array<string>} [options.serviceLevels] - Service levels to keep (defaults to all configured levels)
+ * @param {string} [options.mixedCartPolicy="union"] - One of config.mixedCartPolicies
+ * @param {Object} [options.eligibility] - settings.eligibility (defaults to tags)
+ * @param {boolean} [options.variantDetails=false] - Attach cached dimensions and stocked
+ *   locations (see ./variantDetails)
+ * @returns {Promise<Array<Object>>} Filtered list of eligible items, `tags` holding their service levels
  */
-export default async (shopify, session, items) => {
+export default async (shopify, session, items, options = {}) => {
+    const codes = options.serviceLevels || level_codes
     console.log("filterDeliverightProducts: Starting product filtering for", items.length, "items"); // Logs filtering start
-    let product_ids = items.map(p => p.product_id)
-    console.log("filterDeliverightProducts: Extracted product IDs", product_ids); // Logs extracted IDs
-    let products = (await getProducts(session, product_ids))
-    console.log("filterDeliverightProducts: Retrieved products", products.length); // Logs retrieved products
-    if (!products) {
-        console.warn("filterDeliverightProducts: No products retrieved, returning empty array"); // Logs no products case
-        return []
+
+    const resolved = await resolveItemLevels(session, items, options.eligibility)
+
+    // Keep items declaring at least one valid level
+    const entries = resolved
+        .map(({ item, product, candidates }) => ({
+            item: {
+                ...item,
+                tags: candidates.filter(code => codes.includes(code)),
+                handling_days: product?.handling_days || 0,
+                origin_zip: product?.origin_zip,
+                product_type: product?.product_type,
+            },
+            product,
+        }))
+        .filter(({ item }) => item.tags.length > 0)
+    let eligible = options.variantDetails
+        ? await attachVariantDetails(session, entries)
+        : entries.map(({ item }) => item)
+    console.log("filterDeliverightProducts: Eligible items", eligible.length); // Logs eligible items
+
+    // Intersection policy: only levels that every eligible item supports
+    if (options.mixedCartPolicy === config.mixedCartPolicies.INTERSECTION) {
+        const shared = codes.filter(code => eligible.every(item => item.tags.includes(code)))
+        console.log("filterDeliverightProducts: Service levels shared by all items", shared); // Logs shared levels
+        if (shared.length === 0) return []
+        eligible = eligible.map(item => ({...item, tags: shared}))
     }
-    products.map(productFilterTags).filter(p => p.tags.length > 0)
-    console.log("filterDeliverightProducts: Filtered products with valid tags", products.length); // Logs filtered products
-    let filtered_ids = products.map(p => p.product_id)
-    console.log("filterDeliverightProducts: Filtered product IDs", filtered_ids); // Logs filtered IDs
-    
-    return items.filter(p => filtered_ids.includes(p.product_id)).map(addServiceTags(products))
+
+    return eligible
 }
-console.log("filterDeliverightProducts: Exporting product filtering function"); // Logs function export
\ No newline at end of file
+console.log("filterDeliverightProducts: Exporting product filtering function"); // Logs function export
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Item Dimensions and Piece Counts
+ *
+ * Bulky furniture is priced by cube and piece count, not only by weight. This
+ * module reads the freight dimensions of each variant from Shopify metafields
+ * so they can be sent to the Deliveright calculator and added to orders.
+ *
+ * Metafields (namespace `deliveright`):
+ * - length, width, height: Packed size in inches. Either a number or a
+ *   Shopify dimension metafield ({ value, unit }) in any supported unit.
+ * - boxes: Number of boxes one unit ships in (defaults to 1)
+ *
+ * A variant metafield overrides the same key on its product, so products with
+ * one size only need the product metafields.
+ *
+ * @module utils/itemDimensions
+ * @requires ../shopify
+ * @requires ./measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import shopify from "../shopify.js";
+import { toInches } from "./measurement.js";
+
+/**
+ * Metafield keys read for every variant and its product
+ * @constant {Array<string>}
+ */
+const DIMENSION_KEYS = ["length", "width", "height", "boxes"];
+
+/**
+ * GraphQL selection of the dimension metafields, aliased by key
+ * @constant {string}
+ */
+const METAFIELDS = DIMENSION_KEYS.map(
+    (key) => `${key}: metafield(namespace: "deliveright", key: "${key}") { value }`
+).join("\n");
+
+/**
+ * Parse a dimension metafield value into inches
+ *
+ * @function parseDimension
+ * @param {string} value - Metafield value (number or dimension JSON)
+ * @returns {number|undefined} Size in inches
+ */
+const parseDimension = (value) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    if (!isNaN(Number(value))) return Number(value);
+    try {
+        const dimension = JSON.parse(value);
+        return toInches(dimension.value, dimension.unit);
+    } catch (error) {
+        console.warn("parseDimension: Unreadable dimension metafield", value); // Logs invalid metafield
+        return undefined;
+    }
+};
+
+/**
+ * Fetch the dimensions of a list of variants
+ *
+ * @async
+ * @function getVariantDimensions
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Array<number>} variantIds - Numeric variant IDs
+ * @returns {Promise<Object>} Map of variant ID -> { length, width, height, boxes }
+ *   (only variants with at least one metafield are included)
+ */
+export async function getVariantDimensions(session, variantIds) {
+    const ids = [...new Set(variantIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    console.log("getVariantDimensions: Fetching dimensions for", ids.length, "variants"); // Logs lookup start
+    const client = new shopify.api.clients.Graphql({ session });
+
+    const query = `
+      query VariantDimensions($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            ${METAFIELDS}
+            product {
+              ${METAFIELDS}
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await client.query({
+        data: { query, variables: { ids: ids.map((id) => `gid://shopify/ProductVariant/${id}`) } },
+    });
+
+    let dimensions = {};
+    for (const node of response.body.data?.nodes || []) {
+        if (!node?.id) continue;
+        const value = (key) => node[key]?.value ?? node.product?.[key]?.value;
+        if (!DIMENSION_KEYS.some((key) => value(key))) continue;
+
+        dimensions[parseInt(node.id.split("/").pop(), 10)] = {
+            length: parseDimension(value("length")),
+            width: parseDimension(value("width")),
+            height: parseDimension(value("height")),
+            boxes: parseInt(value("boxes"), 10) || 1,
+        };
+    }
+    console.log("getVariantDimensions: Found dimensions for", Object.keys(dimensions).length, "variants"); // Logs lookup result
+    return dimensions;
+}
+
+/**
+ * Attach dimensions to rate request items
+ *
+ * Items already carrying `dimensions` from the product cache (null when the
+ * variant has none, see ./variantDetails) are not looked up again. Lookup
+ * errors are logged and leave the items weight-only, so a metafield problem
+ * never blocks checkout rates.
+ *
+ * @async
+ * @function attachItemDimensions
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Array<Object>} items - Filtered rate request items
+ * @returns {Promise<Array<Object>>} Items with `dimensions` set where known
+ */
+export async function attachItemDimensions(session, items) {
+    const missing = items.filter((item) => item.dimensions === undefined);
+    if (missing.length === 0) return items;
+    try {
+        const dimensions = await getVariantDimensions(session, missing.map((item) => item.variant_id));
+        return items.map((item) =>
+            item.dimensions === undefined && dimensions[item.variant_id] ? { ...item, dimensions: dimensions[item.variant_id] } : item
+        );
+    } catch (error) {
+        console.error("attachItemDimensions: Error fetching item dimensions", error.message); // Logs lookup error
+        return items;
+    }
+}
+
+/**
+ * Build the calculator query parameters for item dimensions
+ *
+ * Parameters repeat once per item in the same order as `item_weight`, so
+ * items without dimensions are sent as 0 (unknown) with one box. Nothing is
+ * added when no item has dimensions, which keeps weight-only quotes unchanged.
+ *
+ * @function dimensionParams
+ * @param {Array<Object>} items - Rate request items
+ * @returns {string} Query string fragment (e.g. "&item_length=48&...&pieces=3")
+ */
+export function dimensionParams(items) {
+    if (!items.some((item) => item.dimensions)) return "";
+
+    let params = "";
+    let pieces = 0;
+    for (const item of items) {
+        const { length = 0, width = 0, height = 0, boxes = 1 } = item.dimensions || {};
+        params += `&item_length=${length || 0}&item_width=${width || 0}&item_height=${height || 0}&item_boxes=${boxes * item.quantity}`;
+        pieces += boxes * item.quantity;
+    }
+    return `${params}&pieces=${pieces}`;
+}
+console.log("itemDimensions: Exporting item dimension functions"); // Logs module export
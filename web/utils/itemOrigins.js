@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Item Origins for Multi-Origin Rate Quoting
+ *
+ * Shopify sends a single origin with every carrier rate request, but a cart
+ * can ship from several warehouses. When a shop turns on `multi_origin`, this
+ * module works out the origin postal code of every eligible item so the cart
+ * can be quoted one origin at a time, the same way createDeliverightOrder
+ * resolves a per-line-item `origin_location` for orders.
+ *
+ * Origin Resolution (per item):
+ * 1. The product's `deliveright.origin_zip` metafield (product/location
+ *    mapping, fetched by filterDeliverightProducts)
+ * 2. The first active inventory location with enough available stock for
+ *    the item's quantity, otherwise the location with the most stock
+ *    (read from the product cache, see ./variantDetails)
+ * 3. The rate request origin
+ *
+ * @module utils/itemOrigins
+ * @requires ../shopify
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import shopify from "../shopify.js";
+
+/**
+ * Maximum number of inventory locations read per variant
+ * @constant {number}
+ */
+const LOCATIONS_LIMIT = 10;
+
+/**
+ * Fetch the stocked locations of a list of variants
+ *
+ * Used to fill the product cache (see ./variantDetails), and at checkout for
+ * items the cache has no locations for.
+ *
+ * @async
+ * @function getVariantLocations
+ * @param {Object} session - Shopify session for API authentication
+ * @param {Array<number>} variantIds - Numeric variant IDs
+ * @returns {Promise<Object>} Map of variant ID -> [{ zip, available }]
+ */
+export async function getVariantLocations(session, variantIds) {
+    console.log("getVariantLocations: Fetching inventory locations for", variantIds.length, "variants"); // Logs lookup start
+    const client = new shopify.api.clients.Graphql({ session });
+
+    const query = `
+      query VariantLocations($ids: [ID!]!, $first: Int!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            inventoryItem {
+              inventoryLevels(first: $first) {
+                edges {
+                  node {
+                    location {
+                      isActive
+                      address {
+                        zip
+                      }
+                    }
+                    quantities(names: ["available"]) {
+                      quantity
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await client.query({
+        data: {
+            query,
+            variables: {
+                ids: variantIds.map((id) => `gid://shopify/ProductVariant/${id}`),
+                first: LOCATIONS_LIMIT,
+            },
+        },
+    });
+
+    let locations = {};
+    for (const node of response.body.data?.nodes || []) {
+        if (!node?.id) continue;
+        const variantId = parseInt(node.id.split("/").pop(), 10);
+        locations[variantId] = (node.inventoryItem?.inventoryLevels?.edges || [])
+            .map(({ node: level }) => ({
+                zip: level.location?.isActive ? level.location.address?.zip : null,
+                available: level.quantities?.[0]?.quantity || 0,
+            }))
+            .filter((location) => location.zip);
+    }
+    return locations;
+}
+
+/**
+ * Pick the location an item ships from
+ *
+ * @function pickLocation
+ * @param {Array<Object>} locations - Stocked locations ({ zip, available })
+ * @param {number} quantity - Quantity ordered
+ * @returns {string|undefined} Origin postal code
+ */
+const pickLocation = (locations = [], quantity) => {
+    const stocked = locations.find((location) => location.available >= quantity);
+    if (stocked) return stocked.zip;
+    return [...locations].sort((a, b) => b.available - a.available)[0]?.zip;
+};
+
+/**
+ * Attach an origin postal code to every item
+ *
+ * Items keep their `origin_zip` mapping when present. The others are picked
+ * from their cached stocked locations (`locations`, see ./variantDetails);
+ * only items without them are looked up in inventory. Lookup errors leave
+ * those items on the rate request origin.
+ *
+ * @async
+ * @function assignItemOrigins
+ * @param {Object} session - Shopify session for API authentication
+ * @param {Array<Object>} items - Filtered rate request items
+ * @returns {Promise<Array<Object>>} Items with `origin_postal_code` set where resolved
+ */
+export async function assignItemOrigins(session, items) {
+    const unmapped = items.filter((item) => !item.origin_zip && item.variant_id && !item.locations);
+
+    let locations = {};
+    if (unmapped.length > 0) {
+        try {
+            locations = await getVariantLocations(session, [...new Set(unmapped.map((item) => item.variant_id))]);
+        } catch (error) {
+            console.error("assignItemOrigins: Error fetching inventory locations", error.message); // Logs lookup error
+        }
+    }
+
+    return items.map((item) => {
+        const origin_postal_code =
+            item.origin_zip || pickLocation(item.locations || locations[item.variant_id], item.quantity);
+        console.log("assignItemOrigins: Item", item.variant_id, "ships from", origin_postal_code || "request origin"); // Logs resolved origin
+        return origin_postal_code ? { ...item, origin_postal_code } : item;
+    });
+}
+
+/**
+ * Split a rate request into one request per origin
+ *
+ * Items without a resolved origin stay on the request origin.
+ *
+ * @function groupByOrigin
+ * @param {Object} rate - Rate request (origin, destination, items)
+ * @returns {Array<Object>} Requests ({ rate }) with a single origin each
+ */
+export function groupByOrigin(rate) {
+    let groups = new Map();
+    for (const item of rate.items) {
+        const postal_code = item.origin_postal_code || rate.origin.postal_code;
+        if (!groups.has(postal_code)) groups.set(postal_code, []);
+        groups.get(postal_code).push(item);
+    }
+
+    return [...groups].map(([postal_code, items]) => ({
+        rate: { ...rate, origin: { ...rate.origin, postal_code }, items },
+    }));
+}
+console.log("itemOrigins: Exporting item origin functions"); // Logs module export
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Weight and Dimension Units
+ *
+ * This module converts Shopify weights and dimensions into the units the
+ * Deliveright API expects: pounds and inches. Rating (calculateShippingCost,
+ * fallback rates) and order creation (createDeliverightOrder) both go through
+ * it, so a cart is always quoted with the same weight it is later ordered
+ * with.
+ *
+ * Shopify reports weights in several shapes:
+ * - `grams` on carrier rate items and order line items (whole grams)
+ * - `weight` + `weight_unit` on REST variants ("g", "kg", "oz", "lb")
+ * - `{ value, unit }` on GraphQL measurements (GRAMS, KILOGRAMS, OUNCES, POUNDS)
+ * Dimension metafields use `{ value, unit }` with INCHES, FEET, YARDS,
+ * MILLIMETERS, CENTIMETERS or METERS.
+ *
+ * Pounds and inches are rounded to 2 decimals, the precision Deliveright
+ * stores.
+ *
+ * @module utils/measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Grams per Shopify weight unit
+ * @constant {Object.<string, number>}
+ */
+export const GRAMS_PER_UNIT = {
+    GRAMS: 1,
+    KILOGRAMS: 1000,
+    OUNCES: 28.3495,
+    POUNDS: 453.592,
+};
+
+/**
+ * Inches per Shopify length unit
+ * @constant {Object.<string, number>}
+ */
+export const INCHES_PER_UNIT = {
+    INCHES: 1,
+    FEET: 12,
+    YARDS: 36,
+    MILLIMETERS: 1 / 25.4,
+    CENTIMETERS: 1 / 2.54,
+    METERS: 39.3701,
+};
+
+/**
+ * REST abbreviations of the unit names above
+ * @constant {Object.<string, string>}
+ */
+const UNIT_ALIASES = {
+    G: "GRAMS",
+    KG: "KILOGRAMS",
+    OZ: "OUNCES",
+    LB: "POUNDS",
+    LBS: "POUNDS",
+    IN: "INCHES",
+    FT: "FEET",
+    YD: "YARDS",
+    MM: "MILLIMETERS",
+    CM: "CENTIMETERS",
+    M: "METERS",
+};
+
+/**
+ * Round to the precision Deliveright stores
+ *
+ * @function round2
+ * @param {number} value - Value to round
+ * @returns {number} Value with at most 2 decimals
+ */
+const round2 = (value) => Number(value.toFixed(2));
+
+/**
+ * Normalize a unit name to its GraphQL enum form
+ *
+ * @function normalizeUnit
+ * @param {string} unit - "kg", "KILOGRAMS", "lb"...
+ * @returns {string} Upper-case enum name
+ */
+const normalizeUnit = (unit) => {
+    const upper = String(unit || "").trim().toUpperCase();
+    return UNIT_ALIASES[upper] || upper;
+};
+
+/**
+ * Convert a weight to whole grams
+ *
+ * @function toGrams
+ * @param {number} value - Weight
+ * @param {string} [unit="GRAMS"] - Weight unit, enum or REST abbreviation
+ * @returns {number|undefined} Grams, undefined for an unknown unit
+ */
+export function toGrams(value, unit = "GRAMS") {
+    const factor = GRAMS_PER_UNIT[normalizeUnit(unit)];
+    if (!factor) {
+        console.warn("toGrams: Unknown weight unit", unit); // Logs unknown unit
+        return undefined;
+    }
+    return Math.round((Number(value) || 0) * factor);
+}
+
+/**
+ * Convert grams to pounds
+ *
+ * @function gramsToPounds
+ * @param {number} grams - Weight in grams
+ * @returns {number} Pounds, rounded to 2 decimals
+ */
+export const gramsToPounds = (grams) => round2((Number(grams) || 0) / GRAMS_PER_UNIT.POUNDS);
+
+/**
+ * Convert pounds to whole grams
+ *
+ * @function poundsToGrams
+ * @param {number} pounds - Weight in pounds
+ * @returns {number} Grams
+ */
+export const poundsToGrams = (pounds) => Math.round(pounds * GRAMS_PER_UNIT.POUNDS);
+
+/**
+ * Weight of one unit of an item in grams
+ *
+ * Uses `grams` when set, otherwise `weight` in `weight_unit` (REST variant
+ * fields). Missing weights are 0.
+ *
+ * @function itemGrams
+ * @param {Object} item - Rate item, order line item or variant
+ * @returns {number} Grams
+ */
+export function itemGrams(item) {
+    if (item?.grams > 0) return item.grams;
+    if (item?.weight > 0 && item.weight_unit) return toGrams(item.weight, item.weight_unit) || 0;
+    return 0;
+}
+
+/**
+ * Weight of one unit of an item in pounds
+ *
+ * @function itemPounds
+ * @param {Object} item - Rate item, order line item or variant
+ * @returns {number} Pounds, rounded to 2 decimals
+ */
+export const itemPounds = (item) => gramsToPounds(itemGrams(item));
+
+/**
+ * Weight of every unit of an item in pounds
+ *
+ * Rounded per unit first, like the order line item, then multiplied.
+ *
+ * @function linePounds
+ * @param {Object} item - Item with `quantity`
+ * @returns {number} Pounds, rounded to 2 decimals
+ */
+export const linePounds = (item) => round2(itemPounds(item) * (item.quantity || 0));
+
+/**
+ * Total weight of items in pounds
+ *
+ * @function totalPounds
+ * @param {Array<Object>} items - Items with `quantity`
+ * @returns {number} Pounds, rounded to 2 decimals
+ */
+export const totalPounds = (items) => round2((items || []).reduce((sum, item) => sum + linePounds(item), 0));
+
+/**
+ * Convert a length to inches
+ *
+ * @function toInches
+ * @param {number} value - Length
+ * @param {string} [unit="INCHES"] - Length unit, enum or REST abbreviation
+ * @returns {number|undefined} Inches rounded to 2 decimals, undefined for an unknown unit
+ */
+export function toInches(value, unit = "INCHES") {
+    const factor = INCHES_PER_UNIT[normalizeUnit(unit)];
+    if (!factor) {
+        console.warn("toInches: Unknown length unit", unit); // Logs unknown unit
+        return undefined;
+    }
+    return round2(Number(value) * factor);
+}
+console.log("measurement: Exporting unit conversion helpers"); // Logs module export
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Weight and Dimension Unit Tests
+ *
+ * Covers unit conversion and the per-item weights rates and orders share.
+ * Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/measurement.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ./measurement
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { itemGrams, itemPounds, linePounds, toGrams, toInches, totalPounds } from "./measurement.js";
+
+describe("toGrams", () => {
+    it("converts enum units and REST abbreviations to whole grams", () => {
+        assert.equal(toGrams(2, "KILOGRAMS"), 2000);
+        assert.equal(toGrams(2, "kg"), 2000);
+        assert.equal(toGrams(1, "lb"), 454);
+        assert.equal(toGrams(1, "LBS"), 454);
+        assert.equal(toGrams(1, " oz "), 28);
+        assert.equal(toGrams(150), 150);
+    });
+
+    it("returns undefined for unknown units", () => {
+        assert.equal(toGrams(1, "stone"), undefined);
+    });
+});
+
+describe("itemGrams", () => {
+    it("uses grams when set", () => {
+        assert.equal(itemGrams({ grams: 1200, weight: 5, weight_unit: "kg" }), 1200);
+    });
+
+    it("falls back to weight and weight_unit", () => {
+        assert.equal(itemGrams({ grams: 0, weight: 2.5, weight_unit: "kg" }), 2500);
+        assert.equal(itemGrams({ weight: 10, weight_unit: "lb" }), 4536);
+    });
+
+    it("is 0 without a usable weight", () => {
+        assert.equal(itemGrams({}), 0);
+        assert.equal(itemGrams({ weight: 3 }), 0);
+        assert.equal(itemGrams({ weight: 3, weight_unit: "stone" }), 0);
+        assert.equal(itemGrams(undefined), 0);
+    });
+});
+
+describe("linePounds", () => {
+    it("rounds one unit before multiplying by the quantity", () => {
+        // 1000 g is 2.2046 lb: 2.2 per unit, 6.6 for three (not 6.61)
+        assert.equal(itemPounds({ grams: 1000 }), 2.2);
+        assert.equal(linePounds({ grams: 1000, quantity: 3 }), 6.6);
+    });
+
+    it("is 0 without a quantity", () => {
+        assert.equal(linePounds({ grams: 1000 }), 0);
+    });
+});
+
+describe("totalPounds", () => {
+    it("sums line weights", () => {
+        assert.equal(totalPounds([{ grams: 1000, quantity: 3 }, { weight: 10, weight_unit: "lb", quantity: 1 }]), 16.6);
+        assert.equal(totalPounds(undefined), 0);
+    });
+});
+
+describe("toInches", () => {
+    it("converts lengths to inches, rounded to 2 decimals", () => {
+        assert.equal(toInches(2, "FEET"), 24);
+        assert.equal(toInches(10, "cm"), 3.94);
+        assert.equal(toInches(84), 84);
+        assert.equal(toInches(1, "furlong"), undefined);
+    });
+});
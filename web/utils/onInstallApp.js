@@ -9,10 +9,13 @@
  * 1. Verify store existence in Deliveright
  * 2. Update Deliveright with new Shopify access token
  * 3. Initialize carrier service for shipping rates
+ * 4. Fill the product eligibility cache in the background
  *
  * @module utils/onInstallApp
  * @requires ../classes/deliveright
  * @requires ./createCarrier
+ * @requires ./productCache
+ * @requires ./filterDeliverightProducts
  *
  * @author Deliveright Development Team
  * @version 1.0.0
@@ -20,6 +23,8 @@
 
 import deliveright from "../classes/deliveright.js"
 import createCarrier from "./createCarrier.js"
+import { clearShopProducts } from "./productCache.js"
+import { warmProductCache } from "./filterDeliverightProducts.js"
 
 /**
  * Perform post-installation setup tasks
@@ -29,6 +34,7 @@ import createCarrier from "./createCarrier.js"
  * Key Actions:
  * - Syncs authentication tokens: Updates Deliveright with the new Shopify access token
  * - Creates carrier service: Ensures shipping rates can be calculated
+ * - Fills the product cache: Checkout can skip live product lookups
  *
  * Pre-conditions:
  * - Valid Shopify session
@@ -62,6 +68,11 @@ export default async function onInstallApp(session) {
         console.log("onInstallApp: Store updated, creating carrier"); // Logs successful store update
         await createCarrier(session)
         console.log("onInstallApp: Carrier creation completed for shop", shop); // Logs carrier creation completion
+
+        // Not awaited: large catalogs take a while, and misses are looked up live
+        clearShopProducts(shop)
+            .then(() => warmProductCache(session, retailer.settings.eligibility))
+            .catch((err) => console.error("onInstallApp: Error filling product cache", err.message)) // Logs cache fill error
     } else {
         console.warn("onInstallApp: No retailer found, skipping store update and carrier creation"); // Logs missing retailer case
     }
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Order Cancellation
+ *
+ * This module propagates Shopify order cancellations to Deliveright, so a
+ * cancelled delivery is not dispatched.
+ *
+ * Workflow:
+ * 1. Find the order's job in the order queue (see ./processedOrders);
+ *    orders never queued were not Deliveright orders
+ * 2. Sent orders are cancelled with DeliverightApi.cancelOrder
+ * 3. Orders not sent yet (pending, failed or dead) are only marked
+ *    cancelled, which stops their retries; if an attempt was in flight and
+ *    Deliveright accepts it, ./orderQueue cancels it there
+ * 4. The outcome is recorded on the job and tagged on the Shopify order
+ *    (see ./orderTags); a failed cancellation keeps the job sent, with the
+ *    error, for the merchant to follow up with Deliveright
+ *
+ * @module utils/orderCancellation
+ * @requires ../classes/deliveright
+ * @requires ./processedOrders
+ * @requires ./orderQueue
+ * @requires ./orderTags
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import deliveright from "../classes/deliveright.js";
+import { ORDER_STATUS, deliverightOrderId, getOrderJob, markCancelled, recordOrderError } from "./processedOrders.js";
+import { describeError } from "./orderQueue.js";
+import { ORDER_TAGS, tagOrder } from "./orderTags.js";
+
+/**
+ * Cancel the Deliveright order of a cancelled Shopify order
+ *
+ * @async
+ * @function cancelDeliverightOrder
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Object} order - Cancelled Shopify order (orders/cancelled webhook payload)
+ * @returns {Promise<string>} "cancelled", "not_sent" (retries stopped),
+ *   "failed", or "skipped" (not a Deliveright order, or already cancelled)
+ */
+export async function cancelDeliverightOrder(session, order) {
+    const { shop } = session;
+    const job = await getOrderJob(shop, order.id);
+    if (!job || job.status === ORDER_STATUS.CANCELLED) {
+        console.log("cancelDeliverightOrder: Nothing to cancel for order", order.id, job?.status); // Logs skipped order
+        return "skipped";
+    }
+
+    if (job.status !== ORDER_STATUS.SENT) {
+        await markCancelled(shop, order.id);
+        await tagOrder(session, order.id, [ORDER_TAGS.CANCELLED]);
+        console.log("cancelDeliverightOrder: Order", order.id, "was not sent, retries stopped"); // Logs unsent order
+        return "not_sent";
+    }
+
+    try {
+        const response = await deliveright.cancelOrder(order, shop, deliverightOrderId(job.response));
+        await markCancelled(shop, order.id, response);
+        await tagOrder(session, order.id, [ORDER_TAGS.CANCELLED]);
+        console.log("cancelDeliverightOrder: Order", order.id, "cancelled in Deliveright"); // Logs cancellation
+        return "cancelled";
+    } catch (err) {
+        console.error("cancelDeliverightOrder: Error cancelling order", order.id, err.message); // Logs cancellation error
+        await recordOrderError(shop, order.id, `Cancellation failed: ${describeError(err)}`);
+        await tagOrder(session, order.id, [ORDER_TAGS.CANCEL_FAILED]);
+        return "failed";
+    }
+}
+console.log("orderCancellation: Exporting order cancellation function"); // Logs module export
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Order Submission Queue
+ *
+ * This module sends queued orders (see ./processedOrders) to Deliveright and
+ * retries the ones that fail, so an order is never lost because the
+ * Deliveright API was down or returned an error.
+ *
+ * Workflow:
+ * 1. The order webhook queues the prepared Shopify order and attempts it
+ *    right away
+ * 2. An attempt builds the Deliveright payload with createDeliverightOrder
+ *    (once, later attempts resend the same payload) and submits it
+ * 3. Accepted orders are marked sent with Deliveright's response; orders
+ *    cancelled in Shopify while the attempt was in flight are cancelled in
+ *    Deliveright right away instead (cancelAcceptedOrder)
+ * 4. Failed attempts are retried after baseDelaySeconds, doubling after
+ *    each failure up to maxDelaySeconds (`config.orderQueue`)
+ * 5. After maxAttempts failures the job is marked dead and left for the
+ *    merchant to resend from the order sync page (resendOrder)
+ *
+ * A poller started with the server picks up due jobs, including those left
+ * pending by a restart.
+ *
+ * @module utils/orderQueue
+ * @requires ../config
+ * @requires ../classes/deliveright
+ * @requires ./processedOrders
+ * @requires ./orderTags
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import deliveright from "../classes/deliveright.js";
+import {
+    ORDER_STATUS,
+    deliverightOrderId,
+    getOrderJob,
+    listDueJobs,
+    markCancelled,
+    markFailed,
+    markSent,
+    recordOrderError,
+    requeueOrder,
+} from "./processedOrders.js";
+import { ORDER_TAGS, tagOrder } from "./orderTags.js";
+
+/**
+ * Longest error text kept on a job
+ * @constant {number}
+ */
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Jobs being attempted by this process, keyed by "shop/order_id"
+ * Keeps the poller from sending an order the webhook is already sending.
+ * @type {Set<string>}
+ */
+const inFlight = new Set();
+
+/**
+ * Whether a poll is running
+ * @type {boolean}
+ */
+let polling = false;
+
+/**
+ * Delay before the next attempt
+ *
+ * @function retryDelayMs
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds to wait
+ */
+export function retryDelayMs(attempts) {
+    const { baseDelaySeconds, maxDelaySeconds } = config.orderQueue;
+    return Math.min(baseDelaySeconds * 2 ** (attempts - 1), maxDelaySeconds) * 1000;
+}
+
+/**
+ * Describe a failed attempt, including Deliveright's response when there is one
+ *
+ * @function describeError
+ * @param {Error} err - Error thrown by createDeliverightOrder or sendOrder
+ * @returns {string} Error text
+ */
+export const describeError = (err) => {
+    const text = err?.response
+        ? `HTTP ${err.response.status}: ${JSON.stringify(err.response.data)}`
+        : err?.message || String(err);
+    return text.slice(0, MAX_ERROR_LENGTH);
+};
+
+/**
+ * Cancel an order Deliveright accepted after it was cancelled in Shopify
+ *
+ * The orders/cancelled webhook only marks an order cancelled while it is
+ * being sent (see ./orderCancellation), so the accepted order is cancelled
+ * here. A failed cancellation is recorded on the job and tagged on the
+ * Shopify order, with the Deliveright order ID, for the merchant to follow up.
+ *
+ * @async
+ * @function cancelAcceptedOrder
+ * @param {string} shop - Shop domain
+ * @param {Object} job - Order job (see ./processedOrders)
+ * @param {Object} store - Store from Deliveright
+ * @param {Object} response - Deliveright response to the accepted order
+ * @returns {Promise<void>}
+ */
+async function cancelAcceptedOrder(shop, job, store, response) {
+    const session = { shop, accessToken: store.settings.auth.access_token };
+    const orderId = deliverightOrderId(response);
+    console.log("cancelAcceptedOrder: Order", job.order_id, "was cancelled while sending, cancelling", orderId); // Logs late cancellation
+    try {
+        const cancelResponse = await deliveright.cancelOrder(job.order_payload, shop, orderId);
+        await markCancelled(shop, job.order_id, cancelResponse);
+    } catch (err) {
+        console.error("cancelAcceptedOrder: Error cancelling order", job.order_id, err?.message); // Logs cancellation error
+        await recordOrderError(
+            shop,
+            job.order_id,
+            `Accepted by Deliveright after cancellation (order ${orderId}), cancellation failed: ${describeError(err)}`
+        );
+        await tagOrder(session, job.order_id, [ORDER_TAGS.CANCEL_FAILED]);
+    }
+}
+
+/**
+ * Attempt to send one queued order
+ *
+ * Never throws: failures are recorded on the job.
+ *
+ * @async
+ * @function submitOrder
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @returns {Promise<string|null>} Job status after the attempt, null when the
+ *   order is not queued, is already sent or dead, or is being sent
+ */
+export async function submitOrder(shop, orderId) {
+    const key = `${shop}/${orderId}`;
+    if (inFlight.has(key)) return null;
+    inFlight.add(key);
+
+    let payload;
+    let attempts = 0;
+    try {
+        const job = await getOrderJob(shop, orderId);
+        if (!job || ![ORDER_STATUS.PENDING, ORDER_STATUS.FAILED].includes(job.status)) return null;
+        attempts = job.attempts + 1;
+        console.log("submitOrder: Sending order", orderId, "for shop", shop, "attempt", attempts); // Logs attempt
+
+        const store = await deliveright.getStore(shop);
+        payload = job.payload || (await deliveright.createDeliverightOrder(job.order_payload, store, shop));
+        const response = await deliveright.sendOrder(payload);
+
+        console.log("submitOrder: Order", orderId, "accepted by Deliveright"); // Logs accepted order
+        if (!(await markSent(shop, orderId, { payload, response, attempts }))) {
+            await cancelAcceptedOrder(shop, job, store, response);
+            return ORDER_STATUS.CANCELLED;
+        }
+        return ORDER_STATUS.SENT;
+    } catch (err) {
+        // The job could not be read, so there is no attempt to record
+        if (attempts === 0) {
+            console.error("submitOrder: Error loading order", orderId, err?.message); // Logs lookup error
+            return null;
+        }
+        const dead = attempts >= config.orderQueue.maxAttempts;
+        const status = dead ? ORDER_STATUS.DEAD : ORDER_STATUS.FAILED;
+        const next_attempt_at = dead ? null : Date.now() + retryDelayMs(attempts);
+        console.error("submitOrder: Order", orderId, "failed, status", status, "attempt", attempts, err?.message); // Logs failed attempt
+
+        try {
+            await markFailed(shop, orderId, { status, error: describeError(err), attempts, next_attempt_at, payload });
+        } catch (e) {
+            console.error("submitOrder: Error recording failed attempt", e.message); // Logs storage error
+        }
+        return status;
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+/**
+ * Rebuild an order's Deliveright payload and send it again
+ *
+ * Resets the job's attempts, so a dead order gets a full set of retries.
+ *
+ * @async
+ * @function resendOrder
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @returns {Promise<string|null>} Job status after the attempt, null when the
+ *   order cannot be resent (already sent, or sent before the queue existed)
+ */
+export async function resendOrder(shop, orderId) {
+    console.log("resendOrder: Resending order", orderId, "for shop", shop); // Logs resend
+    if (!(await requeueOrder(shop, orderId))) return null;
+    return submitOrder(shop, orderId);
+}
+
+/**
+ * Attempt every due job, one at a time
+ *
+ * @async
+ * @function processOrderQueue
+ * @returns {Promise<number>} Jobs attempted
+ */
+export async function processOrderQueue() {
+    if (polling) return 0;
+    polling = true;
+    try {
+        const jobs = await listDueJobs(Date.now(), config.orderQueue.batchSize);
+        if (jobs.length > 0) console.log("processOrderQueue: Attempting", jobs.length, "due orders"); // Logs due jobs
+        for (const job of jobs) {
+            await submitOrder(job.shop, job.order_id);
+        }
+        return jobs.length;
+    } catch (err) {
+        console.error("processOrderQueue: Error processing order queue", err.message); // Logs poll error
+        return 0;
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Start polling for due jobs
+ *
+ * The timer does not keep the process alive on its own.
+ *
+ * @function startOrderQueue
+ * @returns {NodeJS.Timeout} Poll timer
+ */
+export function startOrderQueue() {
+    console.log("startOrderQueue: Polling every", config.orderQueue.pollIntervalSeconds, "seconds"); // Logs queue start
+    return setInterval(processOrderQueue, config.orderQueue.pollIntervalSeconds * 1000).unref();
+}
+console.log("orderQueue: Exporting order queue functions"); // Logs module export
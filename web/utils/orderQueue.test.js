@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Order Queue Tests
+ *
+ * Covers retry backoff and order submission (sent, failed, dead, cancelled
+ * while sending, concurrent attempts) against a stubbed Deliveright client
+ * and a temporary database. Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/orderQueue.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ../config
+ * @requires ../classes/deliveright
+ * @requires ./processedOrders
+ * @requires ./orderQueue
+ */
+
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The app database lives in the working directory (see ./database), and the
+// Shopify app (imported for order tags) needs its settings
+const dir = mkdtempSync(join(tmpdir(), "order-queue-"));
+process.chdir(dir);
+process.env.SHOPIFY_API_KEY ??= "test";
+process.env.SHOPIFY_API_SECRET ??= "test";
+process.env.SCOPES ??= "read_products";
+process.env.HOST ??= "https://app.test";
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const { default: config } = await import("../config.js");
+const { default: deliveright } = await import("../classes/deliveright.js");
+const { ORDER_STATUS, enqueueOrder, getOrderJob, markCancelled } = await import("./processedOrders.js");
+const { retryDelayMs, submitOrder } = await import("./orderQueue.js");
+
+const shop = "test.myshopify.com";
+let nextId = 1;
+
+/**
+ * Queue a new order
+ * @returns {Promise<number>} Its order ID
+ */
+const queue = async () => {
+    const id = nextId++;
+    await enqueueOrder(shop, { id, name: `#${id}` });
+    return id;
+};
+
+/**
+ * Error shaped like an axios response error
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data: { error: "no" } } });
+
+let calls;
+beforeEach(() => {
+    calls = { create: 0, send: 0, cancel: [] };
+    deliveright.getStore = async () => ({ settings: { auth: { access_token: "token" } } });
+    deliveright.createDeliverightOrder = async (order) => {
+        calls.create++;
+        return { order: { ref_order_number: String(order.id) } };
+    };
+    deliveright.sendOrder = async () => {
+        calls.send++;
+        return { data: { order_id: "D1" } };
+    };
+    deliveright.cancelOrder = async (order, store_id, orderId) => {
+        calls.cancel.push(orderId);
+        return { cancelled: true };
+    };
+});
+
+describe("retryDelayMs", () => {
+    it("doubles from the base delay up to the longest delay", () => {
+        const { baseDelaySeconds, maxDelaySeconds } = config.orderQueue;
+        assert.equal(retryDelayMs(1), baseDelaySeconds * 1000);
+        assert.equal(retryDelayMs(2), baseDelaySeconds * 2000);
+        assert.equal(retryDelayMs(3), baseDelaySeconds * 4000);
+        assert.equal(retryDelayMs(50), maxDelaySeconds * 1000);
+    });
+});
+
+describe("submitOrder", () => {
+    it("marks an accepted order sent", async () => {
+        const id = await queue();
+        assert.equal(await submitOrder(shop, id), ORDER_STATUS.SENT);
+
+        const job = await getOrderJob(shop, id);
+        assert.equal(job.status, ORDER_STATUS.SENT);
+        assert.equal(job.attempts, 1);
+        assert.deepEqual(job.response, { data: { order_id: "D1" } });
+        assert.equal(await submitOrder(shop, id), null);
+        assert.equal(calls.send, 1);
+    });
+
+    it("retries a failed order with the same payload until it is dead", async () => {
+        deliveright.sendOrder = async () => {
+            calls.send++;
+            throw httpError(500);
+        };
+        const id = await queue();
+
+        const before = Date.now();
+        assert.equal(await submitOrder(shop, id), ORDER_STATUS.FAILED);
+        let job = await getOrderJob(shop, id);
+        assert.equal(job.attempts, 1);
+        assert.match(job.last_error, /^HTTP 500/);
+        assert.ok(job.next_attempt_at >= before + retryDelayMs(1));
+
+        for (let attempt = 2; attempt < config.orderQueue.maxAttempts; attempt++) {
+            assert.equal(await submitOrder(shop, id), ORDER_STATUS.FAILED);
+        }
+        assert.equal(await submitOrder(shop, id), ORDER_STATUS.DEAD);
+        job = await getOrderJob(shop, id);
+        assert.equal(job.attempts, config.orderQueue.maxAttempts);
+        assert.equal(job.next_attempt_at, null);
+        assert.equal(calls.create, 1);
+        assert.equal(await submitOrder(shop, id), null);
+    });
+
+    it("cancels an order Deliveright accepts after it was cancelled in Shopify", async () => {
+        const id = await queue();
+        deliveright.sendOrder = async () => {
+            await markCancelled(shop, id);
+            return { data: { order_id: "D2" } };
+        };
+
+        assert.equal(await submitOrder(shop, id), ORDER_STATUS.CANCELLED);
+        const job = await getOrderJob(shop, id);
+        assert.equal(job.status, ORDER_STATUS.CANCELLED);
+        assert.deepEqual(job.cancel_response, { cancelled: true });
+        assert.deepEqual(calls.cancel, ["D2"]);
+    });
+
+    it("keeps an order cancelled when its attempt fails meanwhile", async () => {
+        const id = await queue();
+        deliveright.sendOrder = async () => {
+            await markCancelled(shop, id);
+            throw httpError(500);
+        };
+
+        await submitOrder(shop, id);
+        assert.equal((await getOrderJob(shop, id)).status, ORDER_STATUS.CANCELLED);
+    });
+
+    it("sends an order only once when attempted concurrently", async () => {
+        const id = await queue();
+        const [first, second] = await Promise.all([submitOrder(shop, id), submitOrder(shop, id)]);
+
+        assert.deepEqual([first, second].sort(), [ORDER_STATUS.SENT, null].sort());
+        assert.equal(calls.send, 1);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Shopify Order Tags
+ *
+ * This module tags Shopify orders with the outcome of Deliveright actions
+ * the merchant needs to know about, so they show in the Shopify order list
+ * and can be filtered on there.
+ *
+ * @module utils/orderTags
+ * @requires ../shopify
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import shopify from "../shopify.js";
+
+/**
+ * Tags added to Shopify orders
+ * @constant {Object.<string, string>}
+ */
+export const ORDER_TAGS = {
+    CANCELLED: "Deliveright cancelled",
+    CANCEL_FAILED: "Deliveright cancellation failed",
+    UPDATE_REJECTED: "Deliveright update rejected",
+    UPDATE_FAILED: "Deliveright update failed",
+};
+
+/**
+ * Add tags to a Shopify order
+ *
+ * Failures are logged and not thrown: a missing tag must not undo the
+ * Deliveright action it reports.
+ *
+ * @async
+ * @function tagOrder
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Array<string>} tags - Tags to add
+ * @returns {Promise<boolean>} True if the tags were added
+ */
+export async function tagOrder(session, orderId, tags) {
+    console.log("tagOrder: Tagging order", orderId, "with", tags); // Logs tagging
+    try {
+        const client = new shopify.api.clients.Graphql({ session });
+        const response = await client.query({
+            data: {
+                query: `mutation tagOrder($id: ID!, $tags: [String!]!) {
+                    tagsAdd(id: $id, tags: $tags) { userErrors { field message } }
+                }`,
+                variables: { id: `gid://shopify/Order/${orderId}`, tags },
+            },
+        });
+        const errors = response.body.data?.tagsAdd?.userErrors || [];
+        if (errors.length > 0) {
+            console.error("tagOrder: Shopify rejected the tags", JSON.stringify(errors)); // Logs user errors
+            return false;
+        }
+        return true;
+    } catch (err) {
+        console.error("tagOrder: Error tagging order", orderId, err.message); // Logs tagging error
+        return false;
+    }
+}
+console.log("orderTags: Exporting order tagging helpers"); // Logs module export
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Order Update Sync
+ *
+ * This module pushes changes made in Shopify to orders Deliveright already
+ * accepted: shipping address corrections, phone numbers added later, and
+ * line items added or removed by order editing.
+ *
+ * Workflow:
+ * 1. Only sent orders are synced; unsent ones are rebuilt from the Shopify
+ *    order when they are sent
+ * 2. The updated Shopify order is rebuilt with createDeliverightOrder and
+ *    compared with the last payload sent (the job's `payload`)
+ * 3. Changes are sent with DeliverightApi.updateOrder; the new payload is
+ *    stored so later changes are compared with it. An order left without
+ *    Deliveright items (all removed or refunded) is never sent as an update,
+ *    it would empty a live Deliveright order
+ * 4. Changes Deliveright rejects (REJECTED_STATUSES, e.g. the delivery is
+ *    already scheduled) or that could not be sent are recorded as the job's last
+ *    error and tagged on the Shopify order (see ./orderTags), so the
+ *    merchant can settle them with Deliveright
+ * 5. A rejected update is kept on the job (`rejected_payload`) and not sent
+ *    again while later webhooks rebuild the same order (unrelated edits,
+ *    redeliveries); failures other than rejections are retried by the next
+ *    webhook, including other 4xx responses (credentials, unknown path)
+ *
+ * Updates for the same order are pushed one at a time, in the order their
+ * webhooks arrive.
+ *
+ * @module utils/orderUpdates
+ * @requires lodash
+ * @requires ../classes/deliveright
+ * @requires ./processedOrders
+ * @requires ./orderQueue
+ * @requires ./orderTags
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import _ from "lodash";
+import deliveright from "../classes/deliveright.js";
+import {
+    ORDER_STATUS,
+    deliverightOrderId,
+    getOrderJob,
+    markUpdateRejected,
+    markUpdated,
+    recordOrderError,
+} from "./processedOrders.js";
+import { describeError } from "./orderQueue.js";
+import { ORDER_TAGS, tagOrder } from "./orderTags.js";
+
+/**
+ * Deliveright order fields compared to detect changes
+ * @constant {Array<string>}
+ */
+const SYNCED_FIELDS = [
+    "customer.first_name",
+    "customer.last_name",
+    "customer.email",
+    "customer.phone1.number",
+    "customer.address",
+    "service_level",
+    "line_items",
+];
+
+/**
+ * HTTP statuses with which Deliveright refuses a change it can no longer
+ * accept: 409 (order state, e.g. already scheduled) and 422 (change not
+ * allowed for the order). Other errors are failures, tried again with the
+ * next change.
+ * @constant {Array<number>}
+ */
+const REJECTED_STATUSES = [409, 422];
+
+/**
+ * Updates being pushed, keyed by "shop/order_id"
+ * @type {Map<string, Promise<string>>}
+ */
+const syncing = new Map();
+
+/**
+ * List the fields that differ between two Deliveright orders
+ *
+ * @function diffOrderPayload
+ * @param {Object} previous - Last order sent (built by createDeliverightOrder)
+ * @param {Object} next - Order rebuilt from the updated Shopify order
+ * @returns {Array<string>} Changed fields from SYNCED_FIELDS
+ */
+export function diffOrderPayload(previous, next) {
+    return SYNCED_FIELDS.filter((field) => !_.isEqual(_.get(previous?.order, field), _.get(next?.order, field)));
+}
+
+/**
+ * Push the changes of one updated order
+ *
+ * Never throws: failures are recorded on the job.
+ *
+ * @async
+ * @function pushOrderUpdate
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Object} store - Store from Deliveright
+ * @param {Object} order - Updated Shopify order, prepared like the order webhook does
+ * @returns {Promise<string>} "updated", "unchanged", "rejected", "failed",
+ *   "already_rejected" (same update as the last one rejected), "no_items"
+ *   (no Deliveright items left), or "skipped" (not a sent Deliveright order)
+ */
+async function pushOrderUpdate(session, store, order) {
+    const { shop } = session;
+    let changes = [];
+    let payload;
+    try {
+        const job = await getOrderJob(shop, order.id);
+        if (job?.status !== ORDER_STATUS.SENT || !job.payload) {
+            console.log("pushOrderUpdate: Order", order.id, "is not a sent Deliveright order, skipping"); // Logs skipped order
+            return "skipped";
+        }
+
+        payload = await deliveright.createDeliverightOrder(order, store, shop);
+        if (!payload?.order?.line_items?.length) {
+            console.log("pushOrderUpdate: Order", order.id, "has no Deliveright items left, not updating"); // Logs emptied order
+            return "no_items";
+        }
+        changes = diffOrderPayload(job.payload, payload);
+        if (changes.length === 0) {
+            console.log("pushOrderUpdate: No Deliveright changes for order", order.id); // Logs unchanged order
+            return "unchanged";
+        }
+        if (job.rejected_payload && diffOrderPayload(job.rejected_payload, payload).length === 0) {
+            console.log("pushOrderUpdate: Changes for order", order.id, "were already rejected, not resending"); // Logs repeated update
+            return "already_rejected";
+        }
+
+        console.log("pushOrderUpdate: Sending changes", changes, "for order", order.id); // Logs changes
+        const response = await deliveright.updateOrder(payload, deliverightOrderId(job.response), changes);
+        await markUpdated(shop, order.id, { order_payload: order, payload, response });
+        console.log("pushOrderUpdate: Order", order.id, "updated in Deliveright"); // Logs accepted update
+        return "updated";
+    } catch (err) {
+        const rejected = REJECTED_STATUSES.includes(err?.response?.status);
+        const fields = changes.length > 0 ? ` (${changes.join(", ")})` : "";
+        const error = `Update ${rejected ? "rejected" : "failed"}${fields}: ${describeError(err)}`;
+        console.error("pushOrderUpdate: Order", order.id, error); // Logs failed update
+
+        try {
+            if (rejected) {
+                await markUpdateRejected(shop, order.id, { payload, error });
+            } else {
+                await recordOrderError(shop, order.id, error);
+            }
+        } catch (e) {
+            console.error("pushOrderUpdate: Error recording failed update", e.message); // Logs storage error
+        }
+        await tagOrder(session, order.id, [rejected ? ORDER_TAGS.UPDATE_REJECTED : ORDER_TAGS.UPDATE_FAILED]);
+        return rejected ? "rejected" : "failed";
+    }
+}
+
+/**
+ * Push the changes of an updated Shopify order to Deliveright
+ *
+ * Waits for any update of the same order still being pushed, so the last
+ * webhook's order is the last one sent.
+ *
+ * @async
+ * @function syncOrderUpdate
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Object} store - Store from Deliveright
+ * @param {Object} order - Updated Shopify order, prepared like the order webhook does
+ * @returns {Promise<string>} Outcome, see pushOrderUpdate
+ */
+export function syncOrderUpdate(session, store, order) {
+    const key = `${session.shop}/${order.id}`;
+    const update = (syncing.get(key) || Promise.resolve()).then(() => pushOrderUpdate(session, store, order));
+    syncing.set(key, update);
+    update.then(() => {
+        if (syncing.get(key) === update) syncing.delete(key);
+    });
+    return update;
+}
+console.log("orderUpdates: Exporting order update sync functions"); // Logs module export
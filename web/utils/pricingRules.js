@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Conditional Pricing Rules
+ *
+ * This module lets a shop replace its global payment strategy with rule-based
+ * pricing. Rules are stored in `retailer.settings.pricing_rules` and evaluated
+ * in order; the first rule whose conditions all match supplies the payment
+ * settings used by `getPriceByPaymentType` and `formatPrice`. When no rule
+ * matches, the shop's regular `settings.payment` applies.
+ *
+ * Rule Shape:
+ * ```
+ * {
+ *   name: "Free white glove over $2,000",
+ *   conditions: {
+ *     service_levels: ["wg"],      // optional, any of
+ *     min_subtotal: 2000,          // optional, dollars, inclusive
+ *     max_subtotal: 5000,          // optional, dollars, exclusive
+ *     states: ["NY", "NJ"]         // optional, destination province codes
+ *   },
+ *   payment: { type: 1 }           // merged over settings.payment
+ * }
+ * ```
+ *
+ * Subtotals are of the whole cart, including items Deliveright does not
+ * deliver, so a promotion on the order total fires on mixed carts too.
+ *
+ * Because the rule's `payment` is merged over the global payment settings,
+ * a rule only needs the fields it changes (e.g. `{ type: 2, split_ratio: 30 }`)
+ * and inherits the rest, such as the price `limit`.
+ *
+ * @module utils/pricingRules
+ * @requires ../config
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+
+/**
+ * Cart subtotal in dollars
+ *
+ * @function cartSubtotal
+ * @param {Array<Object>} items - Rate request items (price in cents)
+ * @returns {number} Subtotal in dollars
+ */
+export const cartSubtotal = (items) => {
+    return (items || []).reduce((sum, i) => sum + (Number(i.price) || 0) * (i.quantity || 0), 0) / 100;
+};
+
+/**
+ * Check whether every condition of a rule matches the rate context
+ *
+ * @function ruleMatches
+ * @param {Object} rule - Pricing rule
+ * @param {Object} context - Rate context
+ * @param {string} context.serviceLevel - Service level code being quoted
+ * @param {number} context.subtotal - Cart subtotal in dollars
+ * @param {string} context.state - Destination province code
+ * @returns {boolean} True if the rule applies
+ */
+const ruleMatches = (rule, { serviceLevel, subtotal, state }) => {
+    const conditions = rule.conditions || {};
+    if (conditions.service_levels?.length && !conditions.service_levels.includes(serviceLevel)) return false;
+    if (conditions.min_subtotal != null && subtotal < conditions.min_subtotal) return false;
+    if (conditions.max_subtotal != null && subtotal >= conditions.max_subtotal) return false;
+    if (conditions.states?.length && !conditions.states.includes(state)) return false;
+    return true;
+};
+
+/**
+ * Resolve the payment settings for one quote
+ *
+ * @function resolvePaymentSettings
+ * @param {Object} settings - retailer.settings from Deliveright
+ * @param {Object} params - Quote parameters
+ * @param {string} params.serviceLevel - Service level code being quoted
+ * @param {Object} params.rate - Rate request (destination, items)
+ * @param {Array<Object>} [params.cartItems] - Every item of the cart, for the
+ *   subtotal (defaults to `rate.items`)
+ * @returns {Object} Settings with `payment` replaced by the matching rule's payment, if any
+ *
+ * @example
+ * const effective = resolvePaymentSettings(retailer.settings, { serviceLevel: 'wg', rate: data.rate });
+ * const price = deliveright.getPriceByPaymentType(cost, effective);
+ */
+export function resolvePaymentSettings(settings, { serviceLevel, rate, cartItems }) {
+    const rules = settings?.pricing_rules || [];
+    if (rules.length === 0) return settings;
+
+    const context = {
+        serviceLevel,
+        subtotal: cartSubtotal(cartItems || rate.items),
+        state: rate.destination?.province,
+    };
+    const index = rules.findIndex((rule) => ruleMatches(rule, context));
+    if (index === -1) {
+        console.log("resolvePaymentSettings: No pricing rule matched", context); // Logs rule miss
+        return settings;
+    }
+
+    const rule = rules[index];
+    console.log("resolvePaymentSettings: Pricing rule matched", index, rule.name || "", context); // Logs matched rule
+    return { ...settings, payment: { ...settings.payment, ...rule.payment } };
+}
+
+/**
+ * Validate and clean a list of pricing rules
+ *
+ * Used by the shop settings sanitizer before rules are saved.
+ *
+ * @function sanitizePricingRules
+ * @param {Array<Object>} value - Rules from the admin
+ * @returns {Array<Object>} Cleaned rules
+ * @throws {Error} If a rule is malformed
+ */
+export function sanitizePricingRules(value) {
+    if (!Array.isArray(value)) throw new Error("pricing_rules must be a list");
+    const strategies = Object.values(config.paymentStrategies);
+    const number = (v) => (v === undefined || v === null || v === "" ? undefined : Number(v));
+
+    return value.map((rule, index) => {
+        const name = `pricing_rules[${index}]`;
+        const conditions = rule?.conditions || {};
+        const payment = rule?.payment || {};
+
+        const type = Number(payment.type);
+        if (!strategies.includes(type)) throw new Error(`${name}.payment.type is not a known payment strategy`);
+
+        const unknown = (conditions.service_levels || []).filter((code) => !config.serviceLevels[code]);
+        if (unknown.length > 0) throw new Error(`${name} contains unknown service levels: ${unknown.join(", ")}`);
+
+        let clean = {
+            name: rule.name?.trim() || "",
+            conditions: {
+                service_levels: conditions.service_levels || [],
+                min_subtotal: number(conditions.min_subtotal),
+                max_subtotal: number(conditions.max_subtotal),
+                states: (conditions.states || []).map((s) => String(s).trim().toUpperCase()).filter(Boolean),
+            },
+            payment: {
+                type,
+                split_ratio: number(payment.split_ratio),
+                fixed: number(payment.fixed),
+                round_nearest: payment.round_nearest?.map(Number),
+            },
+        };
+
+        for (const [key, v] of Object.entries({ ...clean.conditions, ...clean.payment })) {
+            if (typeof v === "number" && isNaN(v)) throw new Error(`${name}.${key} must be a number`);
+        }
+        if (clean.payment.round_nearest?.some(isNaN)) throw new Error(`${name}.round_nearest must be numbers`);
+        if (type === config.paymentStrategies.SPLIT && clean.payment.split_ratio === undefined) {
+            throw new Error(`${name}.payment.split_ratio is required for the split strategy`);
+        }
+        if (type === config.paymentStrategies.FIXED && clean.payment.fixed === undefined) {
+            throw new Error(`${name}.payment.fixed is required for the fixed strategy`);
+        }
+        if (type === config.paymentStrategies.ROUND_NEAREST_NUMBER && !clean.payment.round_nearest?.length) {
+            throw new Error(`${name}.payment.round_nearest is required for the round strategy`);
+        }
+
+        // Drop unset fields so they do not override the global payment settings
+        clean.payment = JSON.parse(JSON.stringify(clean.payment));
+        clean.conditions = JSON.parse(JSON.stringify(clean.conditions));
+        return clean;
+    });
+}
+console.log("pricingRules: Exporting pricing rule functions"); // Logs module export
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Pricing Rules Tests
+ *
+ * Covers the pricing rule sanitizer and rule matching.
+ * Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/pricingRules.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ../config
+ * @requires ./pricingRules
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config.js";
+import { cartSubtotal, resolvePaymentSettings, sanitizePricingRules } from "./pricingRules.js";
+
+const { PAID_BY_CUSTOMER, PAID_BY_SHIPPER, SPLIT, FIXED, ROUND_NEAREST_NUMBER } = config.paymentStrategies;
+
+describe("cartSubtotal", () => {
+    it("sums price (cents) times quantity, in dollars", () => {
+        assert.equal(cartSubtotal([{ price: 129999, quantity: 1 }, { price: "2500", quantity: 2 }]), 1349.99);
+        assert.equal(cartSubtotal(undefined), 0);
+    });
+});
+
+describe("sanitizePricingRules", () => {
+    it("cleans conditions and drops unset payment fields", () => {
+        const [rule] = sanitizePricingRules([
+            {
+                name: " Free white glove ",
+                conditions: { service_levels: ["wg"], min_subtotal: "2000", max_subtotal: "", states: [" ny", ""] },
+                payment: { type: String(PAID_BY_SHIPPER), split_ratio: "" },
+            },
+        ]);
+        assert.deepEqual(rule, {
+            name: "Free white glove",
+            conditions: { service_levels: ["wg"], min_subtotal: 2000, states: ["NY"] },
+            payment: { type: PAID_BY_SHIPPER },
+        });
+    });
+
+    it("rejects unknown strategies and service levels", () => {
+        assert.throws(() => sanitizePricingRules([{ payment: { type: 99 } }]), /not a known payment strategy/);
+        assert.throws(
+            () => sanitizePricingRules([{ conditions: { service_levels: ["nope"] }, payment: { type: PAID_BY_CUSTOMER } }]),
+            /unknown service levels: nope/
+        );
+        assert.throws(() => sanitizePricingRules({}), /must be a list/);
+    });
+
+    it("rejects non-numeric amounts", () => {
+        assert.throws(
+            () => sanitizePricingRules([{ conditions: { min_subtotal: "lots" }, payment: { type: PAID_BY_CUSTOMER } }]),
+            /min_subtotal must be a number/
+        );
+    });
+
+    it("requires the fields of the chosen strategy", () => {
+        assert.throws(() => sanitizePricingRules([{ payment: { type: SPLIT } }]), /split_ratio is required/);
+        assert.throws(() => sanitizePricingRules([{ payment: { type: FIXED } }]), /fixed is required/);
+        assert.throws(() => sanitizePricingRules([{ payment: { type: ROUND_NEAREST_NUMBER } }]), /round_nearest is required/);
+    });
+});
+
+describe("resolvePaymentSettings", () => {
+    const settings = {
+        payment: { type: PAID_BY_CUSTOMER, limit: 500 },
+        pricing_rules: sanitizePricingRules([
+            { name: "Free over $2,000", conditions: { service_levels: ["wg"], min_subtotal: 2000 }, payment: { type: PAID_BY_SHIPPER } },
+            { name: "NY split", conditions: { states: ["NY"], max_subtotal: 1000 }, payment: { type: SPLIT, split_ratio: 50 } },
+        ]),
+    };
+    const rate = (dollars, province = "NJ") => ({ destination: { province }, items: [{ price: dollars * 100, quantity: 1 }] });
+
+    it("merges the first matching rule over the global payment settings", () => {
+        const resolved = resolvePaymentSettings(settings, { serviceLevel: "wg", rate: rate(2000) });
+        assert.deepEqual(resolved.payment, { type: PAID_BY_SHIPPER, limit: 500 });
+    });
+
+    it("treats min_subtotal as inclusive and max_subtotal as exclusive", () => {
+        assert.equal(resolvePaymentSettings(settings, { serviceLevel: "wg", rate: rate(1999.99) }).payment.type, PAID_BY_CUSTOMER);
+        assert.equal(resolvePaymentSettings(settings, { serviceLevel: "thr", rate: rate(999, "NY") }).payment.type, SPLIT);
+        assert.equal(resolvePaymentSettings(settings, { serviceLevel: "thr", rate: rate(1000, "NY") }).payment.type, PAID_BY_CUSTOMER);
+    });
+
+    it("uses the whole cart subtotal when given", () => {
+        const resolved = resolvePaymentSettings(settings, {
+            serviceLevel: "wg",
+            rate: rate(1500),
+            cartItems: [...rate(1500).items, { price: 60000, quantity: 1 }],
+        });
+        assert.equal(resolved.payment.type, PAID_BY_SHIPPER);
+    });
+
+    it("keeps the settings when no rule matches or none are saved", () => {
+        assert.equal(resolvePaymentSettings(settings, { serviceLevel: "thr", rate: rate(5000) }), settings);
+        const plain = { payment: { type: PAID_BY_CUSTOMER } };
+        assert.equal(resolvePaymentSettings(plain, { serviceLevel: "wg", rate: rate(5000) }), plain);
+    });
+});
@@ -1,87 +1,470 @@
 /**
- * @fileoverview Order Deduplication and Processing Tracker
+ * @fileoverview Order Submission Queue Storage
  *
- * This module manages the tracking of processed orders to prevent duplicate
- * submissions to Deliveright. It uses a local SQLite database to store
- * pairs of (shop_domain, order_id).
+ * This module stores every Shopify order bound for Deliveright in a local
+ * SQLite table, one row per (shop_domain, order_id). A row is an outbound
+ * job: it is created when the order webhook accepts the order and only
+ * reaches the `sent` state once Deliveright has accepted it, so an order is
+ * never counted as processed while the API is down or rejecting it.
  *
  * Why this is needed:
  * Shopify webhooks can be delivered multiple times for the same event (at-least-once delivery).
- * This utility ensures that each order is processed exactly once by the integration.
+ * The primary key ensures that each order is queued, and therefore sent, exactly once.
+ * Sending and retrying is driven by ./orderQueue.
+ *
+ * Job States (ORDER_STATUS):
+ * - pending: Queued, not attempted yet
+ * - sent: Accepted by Deliveright
+ * - failed: Last attempt failed, retried at `next_attempt_at`
+ * - dead: Gave up after `config.orderQueue.maxAttempts` attempts
+ * - cancelled: Cancelled in Shopify; cancelled in Deliveright too when it had
+ *   been sent, otherwise never sent
  *
  * Database Schema:
  * Table: processed_orders
  * - shop: TEXT (Shopify domain)
  * - order_id: TEXT (Shopify order ID)
+ * - status: TEXT (see ORDER_STATUS, rows from before the queue are "sent")
+ * - attempts: INTEGER (submissions tried)
+ * - next_attempt_at: INTEGER (epoch milliseconds, when a pending or failed job is due)
+ * - last_error: TEXT (error of the last failed attempt)
+ * - order_name: TEXT (Shopify order name, e.g. "#1001")
+ * - service_level: TEXT (shipping line code)
+ * - order_payload: TEXT (JSON, Shopify order prepared by the webhook)
+ * - payload: TEXT (JSON, Deliveright order built by createDeliverightOrder)
+ * - response: TEXT (JSON, Deliveright response to the accepted order)
+ * - cancel_response: TEXT (JSON, Deliveright response to the cancellation)
+ * - update_response: TEXT (JSON, Deliveright response to the last order update)
+ * - rejected_payload: TEXT (JSON, Deliveright order of the last update
+ *   Deliveright rejected, cleared once an update is accepted)
+ * - created_at, updated_at, sent_at, cancelled_at, update_sent_at: INTEGER (epoch milliseconds)
  * - PRIMARY KEY: (shop, order_id)
  *
+ * The order sync page lists these jobs and resends the ones that did not
+ * reach Deliveright.
+ *
  * @module utils/processedOrders
- * @requires sqlite3
+ * @requires ../config
+ * @requires ./database
  *
  * @author Deliveright Development Team
  * @version 1.0.0
  */
 
-import sqlite3 from 'sqlite3'
+import config from '../config.js'
+import { all, get, run } from './database.js'
+
+/**
+ * Job states of a queued order
+ * @constant {Object.<string, string>}
+ */
+export const ORDER_STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    DEAD: 'dead',
+    CANCELLED: 'cancelled',
+}
 
 /**
- * Path to SQLite database file
- * @constant {string}
+ * Columns added after the table was first released, with their definitions
+ * Orders processed before the queue existed were sent, hence the default status.
+ * @constant {Array<Array<string>>}
  */
-const DB_PATH = `${process.cwd()}/database.sqlite`
-sqlite3.verbose()
+const ADDED_COLUMNS = [
+    ['status', "TEXT NOT NULL DEFAULT 'sent'"],
+    ['attempts', 'INTEGER NOT NULL DEFAULT 0'],
+    ['next_attempt_at', 'INTEGER'],
+    ['last_error', 'TEXT'],
+    ['order_name', 'TEXT'],
+    ['service_level', 'TEXT'],
+    ['order_payload', 'TEXT'],
+    ['payload', 'TEXT'],
+    ['response', 'TEXT'],
+    ['created_at', 'INTEGER'],
+    ['updated_at', 'INTEGER'],
+    ['sent_at', 'INTEGER'],
+    ['cancel_response', 'TEXT'],
+    ['cancelled_at', 'INTEGER'],
+    ['update_response', 'TEXT'],
+    ['update_sent_at', 'INTEGER'],
+    ['rejected_payload', 'TEXT'],
+]
 
 /**
- * Database connection instance
- * @type {sqlite3.Database}
+ * Add the columns missing from tables created before they existed
+ *
+ * @async
+ * @function migrateProcessedOrders
+ * @returns {Promise<void>}
  */
-const db = new sqlite3.Database(DB_PATH)
+async function migrateProcessedOrders() {
+    const columns = await all('PRAGMA table_info(processed_orders)')
+    for (const [name, definition] of ADDED_COLUMNS) {
+        if (columns.some((c) => c.name === name)) continue
+        console.log('migrateProcessedOrders: Adding', name, 'column') // Logs migration
+        await run(`ALTER TABLE processed_orders ADD COLUMN ${name} ${definition}`)
+    }
+}
 
-// Ensure table exists
-const INIT_SQL = `CREATE TABLE IF NOT EXISTS processed_orders(
+/**
+ * Resolves once the table, its columns and index exist
+ * Rejects when they cannot be created (e.g. a failed ALTER TABLE or a locked
+ * database): every function awaiting it then throws that error to its caller.
+ * @type {Promise}
+ */
+const ready = run(`CREATE TABLE IF NOT EXISTS processed_orders(
     shop TEXT NOT NULL,
     order_id TEXT NOT NULL,
     PRIMARY KEY(shop, order_id)
-)`
+)`)
+    .then(migrateProcessedOrders)
+    .then(() => run('CREATE INDEX IF NOT EXISTS processed_orders_due ON processed_orders(status, next_attempt_at)'))
+
+// Logged at startup too, and keeps a failure from crashing the process before anything awaits it
+ready.catch((err) => console.error('processedOrders: Error preparing processed_orders table', err.message)) // Logs table setup error
+
+/**
+ * Parse the JSON columns of a row
+ *
+ * @function parseJob
+ * @param {Object} row - Database row
+ * @returns {Object} Job with order_payload, payload, rejected_payload and the Deliveright responses parsed
+ */
+const parseJob = (row) => ({
+    ...row,
+    order_payload: row.order_payload ? JSON.parse(row.order_payload) : null,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    response: row.response ? JSON.parse(row.response) : null,
+    cancel_response: row.cancel_response ? JSON.parse(row.cancel_response) : null,
+    update_response: row.update_response ? JSON.parse(row.update_response) : null,
+    rejected_payload: row.rejected_payload ? JSON.parse(row.rejected_payload) : null,
+})
 
-db.run(INIT_SQL)
+/**
+ * Deliveright order ID from the response to an accepted order
+ *
+ * @function deliverightOrderId
+ * @param {Object} response - Deliveright response stored on the job
+ * @returns {string|null} Order ID, null when the response has none
+ */
+export const deliverightOrderId = (response) => response?.data?.order_id ?? response?.order_id ?? null
 
 /**
- * Check if an order is new and mark it as processed
+ * Queue an order for Deliveright if it is not queued yet
  *
- * This function performs an atomic "insert if not exists" operation.
+ * This function performs an atomic "insert if not exists" operation, so
+ * duplicate webhook deliveries never queue the same order twice.
  *
- * Returns true if the order was successfully inserted (meaning it's new).
- * Returns false if the order was already in the database (duplicate).
+ * Returns true if the order was inserted (meaning it's new).
+ * Returns false if the order was already queued or sent (duplicate).
  *
- * @function markIfNew
+ * @async
+ * @function enqueueOrder
  * @param {string} shop - Shop domain
- * @param {string|number} orderId - Shopify Order ID
- * @returns {Promise<boolean>} True if order is new, False if already processed
+ * @param {Object} order - Shopify order prepared by the webhook (filtered line items)
+ * @returns {Promise<boolean>} True if order is new, False if already queued
  *
  * @example
- * const isNew = await markIfNew('shop.myshopify.com', '123456');
+ * const isNew = await enqueueOrder('shop.myshopify.com', payload);
  * if (isNew) {
- *   // Process order...
+ *   // Send order...
  * } else {
  *   // Skip duplicate
  * }
  */
-export function markIfNew(shop, orderId) {
-    console.log("markIfNew: Marking order", orderId, "for shop", shop)
-    return new Promise((resolve, reject) => {
-        db.run(
-            "INSERT INTO processed_orders(shop, order_id) VALUES (?, ?) ON CONFLICT DO NOTHING;",
-            [shop, orderId],
-            function (err) {
-                if (err) {
-                    console.error("markIfNew: Error marking order", err.message)
-                    reject(err)
-                } else {
-                    resolve(this.changes > 0)
-                }
-            }
-        )
-    })
+export async function enqueueOrder(shop, order) {
+    console.log('enqueueOrder: Queueing order', order.id, 'for shop', shop)
+    await ready
+    const now = Date.now()
+    const { changes } = await run(
+        `INSERT INTO processed_orders(shop, order_id, status, attempts, next_attempt_at, order_name, service_level,
+            order_payload, created_at, updated_at)
+         VALUES (?, ?, ?, 0, ?, ?, ?, ?, ?, ?) ON CONFLICT DO NOTHING`,
+        [
+            shop,
+            String(order.id),
+            ORDER_STATUS.PENDING,
+            now,
+            order.name || null,
+            order.shipping_lines?.[0]?.code || null,
+            JSON.stringify(order),
+            now,
+            now,
+        ]
+    )
+    return changes > 0
+}
+
+/**
+ * Get the queued job of an order
+ *
+ * @async
+ * @function getOrderJob
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @returns {Promise<Object|null>} Job, or null when the order was never queued
+ */
+export async function getOrderJob(shop, orderId) {
+    await ready
+    const row = await get('SELECT * FROM processed_orders WHERE shop = ? AND order_id = ?', [shop, String(orderId)])
+    return row ? parseJob(row) : null
+}
+
+/**
+ * List jobs due for an attempt, oldest first
+ *
+ * @async
+ * @function listDueJobs
+ * @param {number} now - Epoch milliseconds
+ * @param {number} limit - Most jobs returned
+ * @returns {Promise<Array<Object>>} [{ shop, order_id }]
+ */
+export async function listDueJobs(now, limit) {
+    await ready
+    return all(
+        `SELECT shop, order_id FROM processed_orders
+         WHERE status IN (?, ?) AND next_attempt_at <= ?
+         ORDER BY next_attempt_at LIMIT ?`,
+        [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED, now, limit]
+    )
+}
+
+/**
+ * Record that Deliveright accepted an order
+ *
+ * An order cancelled while its attempt was in flight stays cancelled; the
+ * caller then has to cancel the order Deliveright just accepted.
+ *
+ * @async
+ * @function markSent
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @param {Object} result - { payload, response, attempts }
+ * @returns {Promise<boolean>} False if the order was cancelled meanwhile
+ */
+export async function markSent(shop, orderId, { payload, response, attempts }) {
+    await ready
+    const now = Date.now()
+    const { changes } = await run(
+        `UPDATE processed_orders SET status = ?, attempts = ?, next_attempt_at = NULL, last_error = NULL,
+            payload = ?, response = ?, updated_at = ?, sent_at = ?
+         WHERE shop = ? AND order_id = ? AND status != ?`,
+        [
+            ORDER_STATUS.SENT,
+            attempts,
+            JSON.stringify(payload),
+            JSON.stringify(response ?? null),
+            now,
+            now,
+            shop,
+            String(orderId),
+            ORDER_STATUS.CANCELLED,
+        ]
+    )
+    return changes > 0
+}
+
+/**
+ * Record a failed attempt
+ *
+ * An order cancelled while its attempt was in flight stays cancelled.
+ *
+ * @async
+ * @function markFailed
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @param {Object} result - { status (failed or dead), error, attempts, next_attempt_at, payload }
+ * @returns {Promise<void>}
+ */
+export async function markFailed(shop, orderId, { status, error, attempts, next_attempt_at, payload }) {
+    await ready
+    await run(
+        `UPDATE processed_orders SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?,
+            payload = COALESCE(?, payload), updated_at = ?
+         WHERE shop = ? AND order_id = ? AND status != ?`,
+        [
+            status,
+            attempts,
+            next_attempt_at,
+            error,
+            payload ? JSON.stringify(payload) : null,
+            Date.now(),
+            shop,
+            String(orderId),
+            ORDER_STATUS.CANCELLED,
+        ]
+    )
+}
+
+/**
+ * Search the shop's orders, newest first
+ *
+ * @async
+ * @function listOrderJobs
+ * @param {string} shop - Shop domain
+ * @param {Object} [filters={}] - Search filters
+ * @param {string} [filters.search] - Text matched against the order name and ID
+ * @param {string} [filters.status] - One of ORDER_STATUS
+ * @param {string} [filters.serviceLevel] - Service level code
+ * @param {number} [filters.page=1] - Page number
+ * @returns {Promise<Object>} { orders: [jobs without payloads, with deliveright_order_id], has_more }
+ */
+export async function listOrderJobs(shop, { search, status, serviceLevel, page = 1 } = {}) {
+    await ready
+    const { pageSize } = config.orderQueue
+    let where = ['shop = ?']
+    let params = [shop]
+
+    if (search) {
+        where.push('(order_name LIKE ? OR order_id LIKE ?)')
+        params.push(`%${search}%`, `%${search}%`)
+    }
+    if (status) {
+        where.push('status = ?')
+        params.push(status)
+    }
+    if (serviceLevel) {
+        where.push('service_level = ?')
+        params.push(serviceLevel)
+    }
+
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize
+    const rows = await all(
+        `SELECT shop, order_id, status, attempts, next_attempt_at, last_error, order_name, service_level, response,
+            created_at, updated_at, sent_at
+         FROM processed_orders WHERE ${where.join(' AND ')}
+         ORDER BY COALESCE(created_at, 0) DESC, rowid DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize + 1, offset]
+    )
+
+    const orders = rows.slice(0, pageSize).map(({ response, ...order }) => ({
+        ...order,
+        deliveright_order_id: deliverightOrderId(response ? JSON.parse(response) : null),
+    }))
+    return { orders, has_more: rows.length > pageSize }
+}
+
+/**
+ * Queue an order again so its Deliveright payload is rebuilt and resent
+ *
+ * Only orders Deliveright has not accepted and that were not cancelled can
+ * be resent, and only when the Shopify order was stored (orders sent before
+ * the queue existed were not).
+ *
+ * @async
+ * @function requeueOrder
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @returns {Promise<boolean>} True if the order was queued again
+ */
+export async function requeueOrder(shop, orderId) {
+    await ready
+    const now = Date.now()
+    const { changes } = await run(
+        `UPDATE processed_orders SET status = ?, attempts = 0, next_attempt_at = ?, last_error = NULL, payload = NULL,
+            updated_at = ?
+         WHERE shop = ? AND order_id = ? AND status IN (?, ?, ?) AND order_payload IS NOT NULL`,
+        [ORDER_STATUS.PENDING, now, now, shop, String(orderId), ORDER_STATUS.PENDING, ORDER_STATUS.FAILED, ORDER_STATUS.DEAD]
+    )
+    return changes > 0
+}
+
+/**
+ * Record that an order was cancelled
+ *
+ * Also stops the retries of an order that was never sent.
+ *
+ * @async
+ * @function markCancelled
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @param {Object} [response] - Deliveright response to the cancellation (none when never sent)
+ * @returns {Promise<void>}
+ */
+export async function markCancelled(shop, orderId, response) {
+    await ready
+    const now = Date.now()
+    await run(
+        `UPDATE processed_orders SET status = ?, next_attempt_at = NULL, last_error = NULL, cancel_response = ?,
+            updated_at = ?, cancelled_at = ?
+         WHERE shop = ? AND order_id = ?`,
+        [ORDER_STATUS.CANCELLED, response ? JSON.stringify(response) : null, now, now, shop, String(orderId)]
+    )
+}
+
+/**
+ * Record an update Deliveright accepted for a sent order
+ *
+ * The new payload becomes the one later Shopify changes are compared with,
+ * and any previously rejected update is forgotten.
+ *
+ * @async
+ * @function markUpdated
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @param {Object} result - { order_payload, payload, response }
+ * @returns {Promise<void>}
+ */
+export async function markUpdated(shop, orderId, { order_payload, payload, response }) {
+    await ready
+    const now = Date.now()
+    await run(
+        `UPDATE processed_orders SET order_payload = ?, payload = ?, update_response = ?, last_error = NULL,
+            rejected_payload = NULL, updated_at = ?, update_sent_at = ?
+         WHERE shop = ? AND order_id = ? AND status = ?`,
+        [
+            JSON.stringify(order_payload),
+            JSON.stringify(payload),
+            JSON.stringify(response ?? null),
+            now,
+            now,
+            shop,
+            String(orderId),
+            ORDER_STATUS.SENT,
+        ]
+    )
+}
+
+/**
+ * Record an update Deliveright rejected for a sent order
+ *
+ * The rejected payload is kept so the same update is not sent again until
+ * the Shopify order changes once more.
+ *
+ * @async
+ * @function markUpdateRejected
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @param {Object} result - { payload, error }
+ * @returns {Promise<void>}
+ */
+export async function markUpdateRejected(shop, orderId, { payload, error }) {
+    await ready
+    await run(
+        `UPDATE processed_orders SET rejected_payload = ?, last_error = ?, updated_at = ?
+         WHERE shop = ? AND order_id = ?`,
+        [JSON.stringify(payload), error, Date.now(), shop, String(orderId)]
+    )
+}
+
+/**
+ * Record an error on an order without changing its status
+ *
+ * @async
+ * @function recordOrderError
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify Order ID
+ * @param {string} error - Error text
+ * @returns {Promise<void>}
+ */
+export async function recordOrderError(shop, orderId, error) {
+    await ready
+    await run('UPDATE processed_orders SET last_error = ?, updated_at = ? WHERE shop = ? AND order_id = ?', [
+        error,
+        Date.now(),
+        shop,
+        String(orderId),
+    ])
 }
-console.log("processedOrders: Exporting markIfNew function")
+console.log('processedOrders: Exporting order queue storage functions')
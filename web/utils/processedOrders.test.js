@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Order Queue Storage Tests
+ *
+ * Covers the job state transitions stored by processedOrders, on a
+ * temporary database. Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/processedOrders.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ./processedOrders
+ */
+
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The app database lives in the working directory (see ./database)
+const dir = mkdtempSync(join(tmpdir(), "processed-orders-"));
+process.chdir(dir);
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const {
+    ORDER_STATUS,
+    enqueueOrder,
+    getOrderJob,
+    listDueJobs,
+    markCancelled,
+    markFailed,
+    markSent,
+    requeueOrder,
+} = await import("./processedOrders.js");
+
+const shop = "test.myshopify.com";
+let nextId = 1;
+
+/**
+ * Queue a new order
+ * @returns {Promise<number>} Its order ID
+ */
+const queue = async () => {
+    const id = nextId++;
+    await enqueueOrder(shop, { id, name: `#${id}`, shipping_lines: [{ code: "wg" }] });
+    return id;
+};
+
+describe("enqueueOrder", () => {
+    it("queues an order once, pending and due now", async () => {
+        const id = await queue();
+        assert.equal(await enqueueOrder(shop, { id }), false);
+
+        const job = await getOrderJob(shop, id);
+        assert.equal(job.status, ORDER_STATUS.PENDING);
+        assert.equal(job.attempts, 0);
+        assert.equal(job.service_level, "wg");
+        assert.deepEqual(job.order_payload, { id, name: `#${id}`, shipping_lines: [{ code: "wg" }] });
+        assert.ok((await listDueJobs(Date.now(), 100)).some((due) => due.order_id === String(id)));
+    });
+});
+
+describe("markSent", () => {
+    it("moves a job to sent with the Deliveright payload and response", async () => {
+        const id = await queue();
+        assert.equal(await markSent(shop, id, { payload: { order: {} }, response: { order_id: "D1" }, attempts: 1 }), true);
+
+        const job = await getOrderJob(shop, id);
+        assert.equal(job.status, ORDER_STATUS.SENT);
+        assert.deepEqual(job.response, { order_id: "D1" });
+        assert.equal(job.next_attempt_at, null);
+        assert.ok(!(await listDueJobs(Date.now(), 100)).some((due) => due.order_id === String(id)));
+    });
+
+    it("keeps a job cancelled while its attempt was in flight", async () => {
+        const id = await queue();
+        await markCancelled(shop, id);
+        assert.equal(await markSent(shop, id, { payload: {}, response: {}, attempts: 1 }), false);
+        assert.equal((await getOrderJob(shop, id)).status, ORDER_STATUS.CANCELLED);
+    });
+});
+
+describe("markFailed", () => {
+    it("schedules the next attempt and keeps the built payload", async () => {
+        const id = await queue();
+        const next_attempt_at = Date.now() + 60000;
+        await markFailed(shop, id, { status: ORDER_STATUS.FAILED, error: "HTTP 500", attempts: 1, next_attempt_at, payload: { order: {} } });
+
+        const job = await getOrderJob(shop, id);
+        assert.equal(job.status, ORDER_STATUS.FAILED);
+        assert.equal(job.last_error, "HTTP 500");
+        assert.deepEqual(job.payload, { order: {} });
+        assert.ok(!(await listDueJobs(Date.now(), 100)).some((due) => due.order_id === String(id)));
+        assert.ok((await listDueJobs(next_attempt_at, 100)).some((due) => due.order_id === String(id)));
+    });
+
+    it("keeps a job cancelled while its attempt was in flight", async () => {
+        const id = await queue();
+        await markCancelled(shop, id);
+        await markFailed(shop, id, { status: ORDER_STATUS.FAILED, error: "x", attempts: 1, next_attempt_at: Date.now() });
+        assert.equal((await getOrderJob(shop, id)).status, ORDER_STATUS.CANCELLED);
+    });
+});
+
+describe("requeueOrder", () => {
+    it("resets a dead job and drops its payload", async () => {
+        const id = await queue();
+        await markFailed(shop, id, { status: ORDER_STATUS.DEAD, error: "x", attempts: 8, next_attempt_at: null, payload: { order: {} } });
+        assert.equal(await requeueOrder(shop, id), true);
+
+        const job = await getOrderJob(shop, id);
+        assert.equal(job.status, ORDER_STATUS.PENDING);
+        assert.equal(job.attempts, 0);
+        assert.equal(job.payload, null);
+    });
+
+    it("leaves sent and cancelled jobs alone", async () => {
+        const sent = await queue();
+        await markSent(shop, sent, { payload: {}, response: {}, attempts: 1 });
+        const cancelled = await queue();
+        await markCancelled(shop, cancelled);
+
+        assert.equal(await requeueOrder(shop, sent), false);
+        assert.equal(await requeueOrder(shop, cancelled), false);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Product Eligibility Cache
+ *
+ * This module keeps the product data that Deliveright eligibility depends on
+ * in the app database, so checkout doesn't need a live Admin API call for
+ * every rate request. Entries are written by ./filterDeliverightProducts
+ * (live lookups and the install-time fill) and by the product webhooks
+ * (see ../webhook_handlers/product).
+ *
+ * Database Schema:
+ * Table: product_eligibility
+ * - shop: TEXT (Shopify domain)
+ * - product_id: INTEGER
+ * - data: TEXT (JSON product record: title, tags, product_type, collections,
+ *   levels_metafield, variant_levels, handling_days, origin_zip, and
+ *   `variants` holding variant dimensions and stocked locations, see
+ *   ./variantDetails)
+ * - updated_at: INTEGER (epoch milliseconds)
+ * Primary key: (shop, product_id)
+ *
+ * The records depend on the shop's eligibility settings (which metafield,
+ * whether collections and variant overrides are fetched), so a shop's cache
+ * is cleared when those change. Entries older than
+ * `config.productCache.maxAgeHours` count as misses.
+ *
+ * @module utils/productCache
+ * @requires ../config
+ * @requires ./database
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { all, run } from "./database.js";
+
+/**
+ * Resolves once the table exists
+ * Rejects when it cannot be created: every function awaiting it then throws
+ * that error, which callers treat as a cache miss or a failed write.
+ * @type {Promise}
+ */
+const ready = run(`CREATE TABLE IF NOT EXISTS product_eligibility(
+    shop TEXT NOT NULL,
+    product_id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (shop, product_id)
+)`);
+
+// Logged at startup too, and keeps a failure from crashing the process before anything awaits it
+ready.catch((err) => console.error("productCache: Error preparing product_eligibility table", err.message)); // Logs table setup error
+
+/**
+ * Read cached product records
+ *
+ * @async
+ * @function getCachedProducts
+ * @param {string} shop - Shop domain
+ * @param {Array<number>} productIds - Product IDs
+ * @returns {Promise<Map<number, Object>>} Product ID -> record, fresh entries only
+ */
+export async function getCachedProducts(shop, productIds) {
+    if (productIds.length === 0) return new Map();
+    await ready;
+    const since = Date.now() - config.productCache.maxAgeHours * 60 * 60 * 1000;
+    const rows = await all(
+        `SELECT product_id, data FROM product_eligibility
+         WHERE shop = ? AND updated_at >= ? AND product_id IN (${productIds.map(() => "?").join(", ")})`,
+        [shop, since, ...productIds]
+    );
+    console.log("getCachedProducts: Cache hits", rows.length, "of", productIds.length, "for shop", shop); // Logs cache hits
+    return new Map(rows.map((row) => [row.product_id, JSON.parse(row.data)]));
+}
+
+/**
+ * Save product records
+ *
+ * @async
+ * @function saveProducts
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} products - Records with product_id
+ * @returns {Promise<void>}
+ */
+export async function saveProducts(shop, products) {
+    if (products.length === 0) return;
+    await ready;
+    const now = Date.now();
+    await run(
+        `INSERT OR REPLACE INTO product_eligibility(shop, product_id, data, updated_at)
+         VALUES ${products.map(() => "(?, ?, ?, ?)").join(", ")}`,
+        products.flatMap((product) => [shop, product.product_id, JSON.stringify(product), now])
+    );
+    console.log("saveProducts: Cached", products.length, "products for shop", shop); // Logs cache write
+}
+
+/**
+ * Remove products from the cache
+ *
+ * @async
+ * @function deleteProducts
+ * @param {string} shop - Shop domain
+ * @param {Array<number>} productIds - Product IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteProducts(shop, productIds) {
+    if (productIds.length === 0) return;
+    await ready;
+    await run(
+        `DELETE FROM product_eligibility WHERE shop = ? AND product_id IN (${productIds.map(() => "?").join(", ")})`,
+        [shop, ...productIds]
+    );
+    console.log("deleteProducts: Removed", productIds.length, "products for shop", shop); // Logs cache delete
+}
+
+/**
+ * Summarize what rate quotes depend on in a product record
+ *
+ * Two records with the same signature quote the same: eligibility fields,
+ * handling time, origin mapping, and per variant the dimensions and the
+ * stocked locations (stock quantities are left out, they change with every
+ * sale). Item weights come with the rate request and are part of the rate
+ * cache keys already (see ./rateCache).
+ *
+ * @function eligibilitySignature
+ * @param {Object} [record] - Product record
+ * @returns {string} Signature ("" without record)
+ */
+export function eligibilitySignature(record) {
+    if (!record) return "";
+    const variants = Object.entries(record.variants || {})
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([id, details]) => [id, details?.dimensions || null, (details?.locations || []).map((l) => l.zip).sort()]);
+    return JSON.stringify([
+        record.tags,
+        record.product_type,
+        record.collections,
+        record.levels_metafield,
+        record.variant_levels,
+        record.handling_days,
+        record.origin_zip,
+        variants,
+    ]);
+}
+
+/**
+ * Remove every cached product of a shop
+ *
+ * @async
+ * @function clearShopProducts
+ * @param {string} shop - Shop domain
+ * @returns {Promise<void>}
+ */
+export async function clearShopProducts(shop) {
+    await ready;
+    const { changes } = await run("DELETE FROM product_eligibility WHERE shop = ?", [shop]);
+    console.log("clearShopProducts: Removed", changes, "products for shop", shop); // Logs cache clear
+}
+console.log("productCache: Exporting product cache functions"); // Logs module export
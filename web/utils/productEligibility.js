@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Product Eligibility Rules
+ *
+ * This module decides which Deliveright service levels a product supports,
+ * according to the shop's eligibility source (`settings.eligibility`):
+ * product tags, a product metafield, collection membership or product type
+ * (see config.eligibilitySources). Variants can override their product with
+ * the same metafield.
+ *
+ * Example:
+ * {
+ *   source: "collection",
+ *   metafield: { namespace: "deliveright", key: "service_levels" },
+ *   collections: { "sofas": ["wg", "rocpa"], "lamps": ["prcl"] },
+ *   product_types: {},
+ *   variant_overrides: true
+ * }
+ *
+ * The product data itself is fetched by ./filterDeliverightProducts in one
+ * batched query; this module only interprets it.
+ *
+ * @module utils/productEligibility
+ * @requires ../config
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+
+/**
+ * Eligibility settings for shops that never saved any (tags only)
+ * @constant {Object}
+ */
+export const DEFAULT_ELIGIBILITY = {
+    source: config.eligibilitySources.TAGS,
+    metafield: config.eligibilityMetafield,
+    collections: {},
+    product_types: {},
+    variant_overrides: false,
+};
+
+/**
+ * Fill unsaved eligibility fields with their defaults
+ *
+ * @function resolveEligibility
+ * @param {Object} [eligibility] - settings.eligibility
+ * @returns {Object} Complete eligibility settings
+ */
+export const resolveEligibility = (eligibility) => ({ ...DEFAULT_ELIGIBILITY, ...(eligibility || {}) });
+
+/**
+ * Parse a metafield value listing service levels
+ *
+ * Accepts a JSON list ('["wg","prcl"]', list metafields) or comma separated
+ * text ("wg, prcl").
+ *
+ * @function parseLevelList
+ * @param {string} value - Metafield value
+ * @returns {Array<string>} Trimmed values (not checked against config)
+ */
+export function parseLevelList(value) {
+    const text = String(value ?? "").trim();
+    if (text.startsWith("[")) {
+        try {
+            const list = JSON.parse(text);
+            if (Array.isArray(list)) return list.map((v) => String(v).trim()).filter(Boolean);
+        } catch (err) {
+            console.warn("parseLevelList: Invalid JSON list", text); // Logs invalid metafield value
+        }
+    }
+    return text.split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Service level values a product declares under the shop's source
+ *
+ * Values are not checked against config.serviceLevels, so diagnostics can
+ * report unknown ones.
+ *
+ * @function productLevelCandidates
+ * @param {Object} product - Product from filterDeliverightProducts
+ *   ({ tags, product_type, collections, levels_metafield })
+ * @param {Object} eligibility - Complete eligibility settings
+ * @returns {Array<string>} Declared service level values
+ */
+export function productLevelCandidates(product, eligibility) {
+    const { TAGS, METAFIELD, COLLECTION, PRODUCT_TYPE } = config.eligibilitySources;
+    switch (eligibility.source) {
+        case METAFIELD:
+            return parseLevelList(product.levels_metafield);
+        case COLLECTION:
+            return [...new Set((product.collections || []).flatMap((handle) => eligibility.collections[handle] || []))];
+        case PRODUCT_TYPE: {
+            const type = (product.product_type || "").trim().toLowerCase();
+            const match = Object.keys(eligibility.product_types).find((t) => t.toLowerCase() === type);
+            return match ? eligibility.product_types[match] : [];
+        }
+        case TAGS:
+        default:
+            return product.tags || [];
+    }
+}
+
+/**
+ * Describe where service levels are read from, for merchant messages
+ *
+ * @function describeEligibilitySource
+ * @param {Object} eligibility - Complete eligibility settings
+ * @returns {string} e.g. "tags", "metafield deliveright.service_levels"
+ */
+export function describeEligibilitySource(eligibility) {
+    const { METAFIELD, COLLECTION, PRODUCT_TYPE } = config.eligibilitySources;
+    if (eligibility.source === METAFIELD) return `metafield ${eligibility.metafield.namespace}.${eligibility.metafield.key}`;
+    if (eligibility.source === COLLECTION) return "collection";
+    if (eligibility.source === PRODUCT_TYPE) return "product type";
+    return "tags";
+}
+
+/**
+ * Validate a map of names to service level lists
+ *
+ * @function sanitizeLevelMap
+ * @param {Object} value - { name: [codes] }
+ * @param {string} name - Setting name used in error messages
+ * @param {Function} normalizeKey - Cleans each key
+ * @returns {Object} Cleaned map without empty entries
+ * @throws {Error} If the map or a level is invalid
+ */
+const sanitizeLevelMap = (value, name, normalizeKey) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error(`${name} must be an object`);
+    let clean = {};
+    for (const [key, levels] of Object.entries(value)) {
+        const cleanKey = normalizeKey(key);
+        if (!cleanKey) continue;
+        if (!Array.isArray(levels)) throw new Error(`${name}.${key} must be a list`);
+        const unknown = levels.filter((code) => !config.serviceLevels[code]);
+        if (unknown.length > 0) throw new Error(`${name}.${key} contains unknown service levels: ${unknown.join(", ")}`);
+        if (levels.length > 0) clean[cleanKey] = [...new Set(levels)];
+    }
+    return clean;
+};
+
+/**
+ * Validate and clean eligibility settings
+ *
+ * @function sanitizeEligibility
+ * @param {Object} value - settings.eligibility
+ * @returns {Object} Cleaned eligibility settings
+ * @throws {Error} If a field is invalid
+ */
+export function sanitizeEligibility(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("eligibility must be an object");
+    const eligibility = resolveEligibility(value);
+
+    if (!Object.values(config.eligibilitySources).includes(eligibility.source)) {
+        throw new Error(`eligibility.source must be one of: ${Object.values(config.eligibilitySources).join(", ")}`);
+    }
+
+    const namespace = String(eligibility.metafield?.namespace || "").trim();
+    const key = String(eligibility.metafield?.key || "").trim();
+    if (!/^[\w-]{2,255}$/.test(namespace) || !/^[\w-]{2,64}$/.test(key)) {
+        throw new Error("eligibility.metafield needs a namespace and key (letters, numbers, - and _)");
+    }
+
+    if (typeof eligibility.variant_overrides !== "boolean") {
+        throw new Error("eligibility.variant_overrides must be true or false");
+    }
+
+    return {
+        source: eligibility.source,
+        metafield: { namespace, key },
+        collections: sanitizeLevelMap(eligibility.collections, "eligibility.collections", (k) => k.trim().toLowerCase()),
+        product_types: sanitizeLevelMap(eligibility.product_types, "eligibility.product_types", (k) => k.trim()),
+        variant_overrides: eligibility.variant_overrides,
+    };
+}
+console.log("productEligibility: Exporting product eligibility rules"); // Logs module export
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Concurrent Service Level Quoting
+ *
+ * This module quotes every eligible service level of a carrier rate request
+ * at the same time, instead of one Deliveright round trip after another.
+ * The whole batch runs under the checkout time budget in `config.rateQuoting`
+ * so Shopify receives an answer before it gives up on the carrier.
+ *
+ * Workflow:
+ * 1. Skip service levels that are not configured
+ * 2. Use the shop's contracted zone price when the destination is in one of
+ *    its zones, without calling the calculator (see ./zonePricing)
+ * 3. Serve cached calculator costs from the rate cache
+ * 4. Quote the remaining levels concurrently, each bounded by
+ *    min(levelTimeoutMs, time left until the overall deadline).
+ *    Carts with items from several origins are quoted per origin and the
+ *    summed cost is priced once (see ./itemOrigins). Under the "per_item"
+ *    mixed-cart policy, items that don't support a level are quoted at their
+ *    own level and included in the same rate. Calculated and cached costs
+ *    alike are priced with the retailer's current payment strategy
+ * 5. Replace failed quotes with the shop's fallback table (see ./fallbackRates)
+ * 6. Apply the timeout policy to levels that missed the budget
+ * 7. Drop levels that still have no price
+ * 8. Attach the delivery window from the calculator, or estimate one from
+ *    the shop's lead times (see ./deliveryEstimates)
+ * 9. Return rates in the same order as the requested service levels
+ *
+ * Callers that keep an audit trail (see ./rateAudit) pass an `audit` array,
+ * which receives one entry per level describing how its price was reached.
+ *
+ * @module utils/quoteServiceLevels
+ * @requires ../config
+ * @requires ../classes/deliveright
+ * @requires ./rateCache
+ * @requires ./fallbackRates
+ * @requires ./zonePricing
+ * @requires ./deliveryEstimates
+ * @requires ./itemOrigins
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import deliveright from "../classes/deliveright.js";
+import { buildQuoteKey, getCached, setCached } from "./rateCache.js";
+import { resolveFallbackRate } from "./fallbackRates.js";
+import { resolveZonePrice } from "./zonePricing.js";
+import { estimateDeliveryWindow } from "./deliveryEstimates.js";
+import { groupByOrigin } from "./itemOrigins.js";
+
+/**
+ * Marker resolved by `withTimeout` when the wrapped promise is too slow
+ * @constant {Symbol}
+ */
+const TIMED_OUT = Symbol("timed_out");
+
+/**
+ * Race a promise against a timer
+ *
+ * @function withTimeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<*>} The promise result, or TIMED_OUT if the timer wins
+ */
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(TIMED_OUT), Math.max(ms, 0));
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Combine the delivery windows of several origins
+ *
+ * The cart arrives when its slowest shipment does, so the latest dates win.
+ * Dates share one fixed format and therefore compare as strings.
+ *
+ * @function combineWindows
+ * @param {Array<Object|null>} windows - Calculator windows, one per origin
+ * @returns {Object|null} Combined window, or null if any origin has none
+ */
+const combineWindows = (windows) => {
+    if (windows.some((w) => !w)) return null;
+    return {
+        min_delivery_date: windows.map((w) => w.min_delivery_date).sort().pop(),
+        max_delivery_date: windows.map((w) => w.max_delivery_date).sort().pop(),
+    };
+};
+
+/**
+ * Split a rate request into the calculator requests needed for one rate
+ *
+ * Items are assigned the level being quoted, except under the "per_item"
+ * policy where items without that tag use their own first configured level.
+ * Each level's items are then split by origin.
+ *
+ * @function planShipments
+ * @param {Object} rate - Filtered rate request (origin, destination, items)
+ * @param {string} serviceLevel - Service level being quoted
+ * @param {string} mixedCartPolicy - One of config.mixedCartPolicies
+ * @returns {Array<Object>} Shipments ({ serviceLevel, request })
+ */
+const planShipments = (rate, serviceLevel, mixedCartPolicy) => {
+    const codes = Object.keys(config.serviceLevels);
+    let levels = new Map();
+    for (const item of rate.items) {
+        let level = serviceLevel;
+        if (mixedCartPolicy === config.mixedCartPolicies.PER_ITEM && item.tags?.length && !item.tags.includes(serviceLevel)) {
+            level = codes.find((code) => item.tags.includes(code)) || serviceLevel;
+        }
+        if (!levels.has(level)) levels.set(level, []);
+        levels.get(level).push(item);
+    }
+
+    return [...levels].flatMap(([level, items]) =>
+        groupByOrigin({ ...rate, items }).map((request) => ({ serviceLevel: level, request }))
+    );
+};
+
+/**
+ * Quote a single service level
+ *
+ * Zone prices are checked first and are not cached, since they need no
+ * calculator call. Only the calculator's cost is cached; the price is
+ * worked out from it on every request. Calculator failures are logged and resolve to the shop's fallback price
+ * (or null without one) so that one failing level never rejects the whole batch.
+ * Fallback prices are not cached, so the calculator is retried next time.
+ * A cart split into several shipments falls back as a whole when any of
+ * them fails.
+ *
+ * @async
+ * @function quoteLevel
+ * @param {string} shop - Shop domain
+ * @param {Object} request - Filtered rate request ({ rate, cart_items })
+ * @param {string} serviceLevel - Service level code
+ * @param {Object} retailer - Store configuration from Deliveright
+ * @param {number} timeout - Milliseconds allowed for this level
+ * @param {string} mixedCartPolicy - One of config.mixedCartPolicies
+ * @returns {Promise<Object>} Quote
+ * @returns {number|null} return.price - Price in cents (null when it could not be calculated)
+ * @returns {Object|null} return.delivery - Calculator delivery window (null when not reported)
+ * @returns {string} return.source - "zone", "calculator", "cache" or "fallback"
+ * @returns {Array<Object>} return.shipments - Calculator requests made ({ service_level, origin, cost, raw })
+ * @returns {Object} [return.breakdown] - Pricing steps (see DeliverightApi.priceBreakdown)
+ * @returns {Object} [return.zone] - Zone price used ({ name, band }, see ./zonePricing)
+ * @returns {string} [return.error] - Calculator error, when the fallback was used
+ */
+const quoteLevel = async (shop, request, serviceLevel, retailer, timeout, mixedCartPolicy) => {
+    const zoned = resolveZonePrice({ settings: retailer.settings, rate: request.rate, serviceLevel });
+    if (zoned) {
+        return {
+            price: zoned.price,
+            delivery: null,
+            source: "zone",
+            shipments: [],
+            zone: { name: zoned.zone, band: zoned.band },
+        };
+    }
+
+    const quoteKey = buildQuoteKey({
+        shop,
+        rate: request.rate,
+        serviceLevel,
+        pricingType: retailer.pricing_type,
+        mixedCartPolicy,
+    });
+    let calculated = getCached(shop, quoteKey);
+    const source = calculated === undefined ? "calculator" : "cache";
+
+    try {
+        if (calculated === undefined) {
+            const shipments = planShipments(request.rate, serviceLevel, mixedCartPolicy);
+            const costs = await Promise.all(
+                shipments.map((shipment) =>
+                    deliveright.calculateShippingCost(shop, shipment.request, shipment.serviceLevel, retailer, { timeout })
+                )
+            );
+            calculated = {
+                cost: costs.reduce((sum, c) => sum + c.cost, 0),
+                delivery: combineWindows(costs.map((c) => c.delivery)),
+                shipments: shipments.map((shipment, index) => ({
+                    service_level: shipment.serviceLevel,
+                    origin: shipment.request.rate.origin.postal_code,
+                    cost: costs[index].cost,
+                    raw: costs[index].raw,
+                })),
+            };
+            setCached(shop, quoteKey, calculated);
+        }
+
+        const breakdown = deliveright.priceBreakdown(calculated.cost, request, serviceLevel, retailer);
+        console.log("quoteLevel: Shipping rate", source, "for", serviceLevel, breakdown.price, "shipments:", calculated.shipments.length); // Logs priced rate
+        return {
+            price: breakdown.price,
+            delivery: calculated.delivery,
+            source,
+            breakdown,
+            shipments: calculated.shipments,
+        };
+    } catch (err) {
+        console.error("quoteLevel: Error calculating shipping rate for", serviceLevel, err); // Logs calculation error
+        const price = resolveFallbackRate({
+            shop,
+            retailer,
+            rate: request.rate,
+            serviceLevel,
+            reason: "calculator_error",
+        });
+        return { price, delivery: null, source: "fallback", shipments: [], error: err?.message || err };
+    }
+};
+
+/**
+ * Quote all service levels concurrently under the checkout time budget
+ *
+ * @async
+ * @function quoteServiceLevels
+ * @param {Object} params - Quoting parameters
+ * @param {string} params.shop - Shop domain
+ * @param {Object} params.retailer - Store configuration from Deliveright
+ * @param {Object} params.request - Filtered rate request ({ rate, cart_items }),
+ *   `cart_items` holding every cart item for pricing rule subtotals
+ * @param {Array<string>} params.serviceLevels - Service level codes to quote
+ * @param {string} [params.mixedCartPolicy="union"] - One of config.mixedCartPolicies
+ * @param {number} [params.startedAt=Date.now()] - Request arrival time the deadline is measured from
+ * @param {Array<Object>} [params.audit] - Receives one entry per quoted level
+ * @returns {Promise<Array<Object>>} Rates ready to be returned to Shopify
+ */
+export default async function quoteServiceLevels({
+    shop,
+    retailer,
+    request,
+    serviceLevels,
+    mixedCartPolicy = config.mixedCartPolicies.UNION,
+    startedAt = Date.now(),
+    audit = [],
+}) {
+    const { deadlineMs, levelTimeoutMs, timeoutPolicy, timeoutFallbackPrice } = config.rateQuoting;
+    const remaining = deadlineMs - (Date.now() - startedAt);
+    const timeout = Math.min(levelTimeoutMs, remaining);
+    console.log("quoteServiceLevels: Quoting", serviceLevels.length, "levels within", timeout, "ms"); // Logs quoting start
+
+    const levels = serviceLevels.filter((s) => {
+        if (!config.serviceLevels[s]) {
+            console.log("quoteServiceLevels: Service level not supported", s); // Logs unsupported level
+            return false;
+        }
+        return true;
+    });
+
+    const quotes = await Promise.all(
+        levels.map((s) => withTimeout(quoteLevel(shop, request, s, retailer, timeout, mixedCartPolicy), timeout))
+    );
+
+    let rates = [];
+    levels.forEach((s, index) => {
+        const quote = quotes[index] === TIMED_OUT ? { price: TIMED_OUT, source: "timeout", shipments: [] } : quotes[index];
+        let { price: total_price, delivery, ...details } = quote;
+        const entry = { service_level: s, ...details, total_price: null };
+        audit.push(entry);
+
+        if (total_price === TIMED_OUT) {
+            console.warn("quoteServiceLevels: Service level missed the time budget", s, "policy:", timeoutPolicy); // Logs timeout
+            if (timeoutPolicy !== config.timeoutPolicies.FALLBACK) return;
+            total_price =
+                resolveFallbackRate({ shop, retailer, rate: request.rate, serviceLevel: s, reason: "timeout" }) ??
+                timeoutFallbackPrice;
+        }
+
+        if (total_price === null) {
+            console.warn("quoteServiceLevels: No price available, omitting service level", s); // Logs omitted level
+            return;
+        }
+        entry.total_price = total_price;
+
+        // Prefer the calculator's window, otherwise estimate from the shop's lead times
+        delivery =
+            delivery ||
+            estimateDeliveryWindow({ settings: retailer.settings, serviceLevel: s, items: request.rate.items });
+
+        rates.push({ ...config.serviceLevels[s], total_price, ...delivery });
+    });
+
+    console.log("quoteServiceLevels: Quoted", rates.length, "rates"); // Logs quoting result
+    return rates;
+}
+console.log("quoteServiceLevels: Exporting service level quoting function"); // Logs function export
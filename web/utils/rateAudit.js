@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Rate Quote Audit Log
+ *
+ * This module stores every /carrier call in the app database so a rate can be
+ * explained after the fact ("the rate looked wrong"). Each record keeps what
+ * went into the quote and every pricing step that came out of it.
+ *
+ * Database Schema:
+ * Table: rate_quotes
+ * - id: INTEGER (auto increment)
+ * - shop: TEXT (Shopify domain)
+ * - created_at: INTEGER (epoch milliseconds)
+ * - destination: TEXT (JSON, redacted to country/state/city/zip prefix)
+ * - items: TEXT (JSON, filtered Deliveright-eligible items)
+ * - service_levels: TEXT (JSON, levels quoted)
+ * - quotes: TEXT (JSON, per level: source, raw calculator response, cost after
+ *   sumAccessorials, after getPriceByPaymentType and formatPrice)
+ * - rates: TEXT (JSON, rates returned to Shopify)
+ * - duration_ms: INTEGER
+ * - error: TEXT
+ * - diagnostics: TEXT (JSON, why no rate was returned, see ./rateDiagnostics)
+ * - warnings: TEXT (JSON, rates priced on assumptions, e.g. default weights
+ *   from ./defaultWeights)
+ *
+ * Records older than `config.rateAudit.retentionDays` are pruned at most once
+ * an hour, when new records are written.
+ *
+ * @module utils/rateAudit
+ * @requires ../config
+ * @requires ./database
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { all, get, run } from "./database.js";
+
+/**
+ * Minimum time between two retention prunes
+ * @constant {number}
+ */
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Time of the last retention prune
+ * @type {number}
+ */
+let lastPrunedAt = 0;
+
+/**
+ * Columns added after the table was first released
+ * @constant {Array<string>}
+ */
+const ADDED_COLUMNS = ["diagnostics", "warnings"];
+
+/**
+ * Add the columns missing from tables created before they existed
+ *
+ * @async
+ * @function migrateRateQuotes
+ * @returns {Promise<void>}
+ */
+async function migrateRateQuotes() {
+    const columns = await all("PRAGMA table_info(rate_quotes)");
+    for (const name of ADDED_COLUMNS) {
+        if (columns.some((c) => c.name === name)) continue;
+        console.log("migrateRateQuotes: Adding", name, "column"); // Logs migration
+        await run(`ALTER TABLE rate_quotes ADD COLUMN ${name} TEXT`);
+    }
+}
+
+/**
+ * Resolves once the table, its columns and index exist
+ * Rejects when they cannot be created: every function awaiting it then
+ * throws that error (recordRateQuote logs it).
+ * @type {Promise}
+ */
+const ready = run(`CREATE TABLE IF NOT EXISTS rate_quotes(
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    shop TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    destination TEXT,
+    items TEXT,
+    service_levels TEXT,
+    quotes TEXT,
+    rates TEXT,
+    duration_ms INTEGER,
+    error TEXT,
+    diagnostics TEXT,
+    warnings TEXT
+)`)
+    .then(migrateRateQuotes)
+    .then(() => run("CREATE INDEX IF NOT EXISTS rate_quotes_shop_created ON rate_quotes(shop, created_at)"));
+
+// Logged at startup too, and keeps a failure from crashing the process before anything awaits it
+ready.catch((err) => console.error("rateAudit: Error preparing rate_quotes table", err.message)); // Logs table setup error
+
+/**
+ * Keep only the non-identifying parts of a destination
+ *
+ * @function redactDestination
+ * @param {Object} destination - Rate request destination
+ * @returns {Object} { country, province, city, postal_code (first 3 characters) }
+ */
+export const redactDestination = (destination = {}) => ({
+    country: destination.country,
+    province: destination.province,
+    city: destination.city,
+    postal_code: destination.postal_code ? `${String(destination.postal_code).slice(0, 3)}**` : undefined,
+});
+
+/**
+ * Keep the item fields that affect a quote
+ * Line item properties are dropped since they can hold customer input.
+ *
+ * @function auditItems
+ * @param {Array<Object>} items - Filtered rate request items
+ * @returns {Array<Object>} Items for the audit record
+ */
+const auditItems = (items = []) =>
+    items.map(({ product_id, variant_id, name, sku, quantity, grams, price, tags, origin_postal_code, dimensions, handling_days, default_weight }) => ({
+        product_id,
+        variant_id,
+        name,
+        sku,
+        quantity,
+        grams,
+        price,
+        tags,
+        origin_postal_code,
+        dimensions,
+        handling_days,
+        default_weight,
+    }));
+
+/**
+ * Delete records past the retention window, at most once an hour
+ *
+ * @async
+ * @function pruneRateQuotes
+ * @returns {Promise<void>}
+ */
+async function pruneRateQuotes() {
+    const now = Date.now();
+    if (now - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    lastPrunedAt = now;
+
+    const cutoff = now - config.rateAudit.retentionDays * 24 * 60 * 60 * 1000;
+    const { changes } = await run("DELETE FROM rate_quotes WHERE created_at < ?", [cutoff]);
+    console.log("pruneRateQuotes: Deleted", changes, "expired rate quote records"); // Logs retention prune
+}
+
+/**
+ * Store one /carrier call
+ *
+ * Failures are logged and swallowed: the audit log must never break checkout.
+ *
+ * @async
+ * @function recordRateQuote
+ * @param {Object} record - Carrier call details
+ * @param {string} record.shop - Shop domain
+ * @param {Object} record.destination - Rate request destination (redacted before saving)
+ * @param {Array<Object>} record.items - Filtered items
+ * @param {Array<string>} record.serviceLevels - Levels quoted
+ * @param {Array<Object>} record.quotes - Per-level audit entries from quoteServiceLevels
+ * @param {Array<Object>} record.rates - Rates returned to Shopify
+ * @param {number} record.durationMs - Time spent answering
+ * @param {string} [record.error] - Error that aborted the call
+ * @param {Array<Object>} [record.diagnostics] - Why no rate was returned (see ./rateDiagnostics)
+ * @param {Array<Object>} [record.warnings] - Assumptions the rates were priced on (see ./defaultWeights)
+ * @returns {Promise<void>}
+ */
+export async function recordRateQuote({ shop, destination, items, serviceLevels, quotes, rates, durationMs, error, diagnostics, warnings }) {
+    if (config.rateAudit.retentionDays <= 0) return;
+    try {
+        await ready;
+        await run(
+            `INSERT INTO rate_quotes(shop, created_at, destination, items, service_levels, quotes, rates, duration_ms, error, diagnostics, warnings)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                shop,
+                Date.now(),
+                JSON.stringify(redactDestination(destination)),
+                JSON.stringify(auditItems(items)),
+                JSON.stringify(serviceLevels || []),
+                JSON.stringify(quotes || []),
+                JSON.stringify(rates || []),
+                durationMs,
+                error ? String(error) : null,
+                JSON.stringify(diagnostics || []),
+                JSON.stringify(warnings || []),
+            ]
+        );
+        await pruneRateQuotes();
+    } catch (err) {
+        console.error("recordRateQuote: Error saving rate quote record", err.message); // Logs audit write error
+    }
+}
+
+/**
+ * Parse the JSON columns of a record
+ *
+ * @function parseRecord
+ * @param {Object} row - Database row
+ * @returns {Object} Record with parsed fields
+ */
+const parseRecord = (row) => ({
+    ...row,
+    destination: JSON.parse(row.destination || "{}"),
+    items: JSON.parse(row.items || "[]"),
+    service_levels: JSON.parse(row.service_levels || "[]"),
+    quotes: JSON.parse(row.quotes || "[]"),
+    rates: JSON.parse(row.rates || "[]"),
+    diagnostics: JSON.parse(row.diagnostics || "[]"),
+    warnings: JSON.parse(row.warnings || "[]"),
+});
+
+/**
+ * Search a shop's rate quote records, newest first
+ *
+ * @async
+ * @function listRateQuotes
+ * @param {string} shop - Shop domain
+ * @param {Object} [filters={}] - Search filters
+ * @param {string} [filters.search] - Text matched against destination, items, rates and
+ *   diagnostics (zip prefix, state, product name, SKU, reason...)
+ * @param {string} [filters.serviceLevel] - Only records that quoted this level
+ * @param {boolean} [filters.errorsOnly] - Only records with an error or no rates
+ * @param {number} [filters.page=1] - Page number
+ * @returns {Promise<Object>} { records, has_more } (records without raw quote details)
+ */
+export async function listRateQuotes(shop, { search, serviceLevel, errorsOnly, page = 1 } = {}) {
+    await ready;
+    const { pageSize } = config.rateAudit;
+    let where = ["shop = ?"];
+    let params = [shop];
+
+    if (search) {
+        where.push("(destination LIKE ? OR items LIKE ? OR rates LIKE ? OR diagnostics LIKE ?)");
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    if (serviceLevel) {
+        where.push("service_levels LIKE ?");
+        params.push(`%"${serviceLevel}"%`);
+    }
+    if (errorsOnly) where.push("(error IS NOT NULL OR rates = '[]')");
+
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+    const rows = await all(
+        `SELECT id, created_at, destination, items, service_levels, rates, duration_ms, error, diagnostics, warnings
+         FROM rate_quotes WHERE ${where.join(" AND ")}
+         ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize + 1, offset]
+    );
+
+    return { records: rows.slice(0, pageSize).map(parseRecord), has_more: rows.length > pageSize };
+}
+
+/**
+ * Fetch one rate quote record with all details
+ *
+ * @async
+ * @function getRateQuote
+ * @param {string} shop - Shop domain (records of other shops are never returned)
+ * @param {number} id - Record ID
+ * @returns {Promise<Object|null>} Record, or null when not found
+ */
+export async function getRateQuote(shop, id) {
+    await ready;
+    const row = await get("SELECT * FROM rate_quotes WHERE shop = ? AND id = ?", [shop, id]);
+    return row ? parseRecord(row) : null;
+}
+console.log("rateAudit: Exporting rate audit functions"); // Logs module export
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Carrier Rate Quote Cache
+ *
+ * This module keeps a short-lived, in-memory cache of carrier rate results so
+ * that repeated checkout refreshes for an unchanged cart and destination do not
+ * hit Shopify (product filtering) or the Deliveright calculator again.
+ *
+ * Two kinds of entries are stored, both scoped by shop:
+ * - Cart entries: the filtered Deliveright-eligible items for a cart signature
+ * - Quote entries: the calculator cost and delivery window for a single
+ *   service level. The customer price is worked out from the cost on every
+ *   request (see ./quoteServiceLevels), so payment strategy and markup
+ *   changes made on the Deliveright side apply at once
+ *
+ * Quote Key Components:
+ * - shop, destination postal code and state, origin postal code
+ * - service level, pricing type and mixed-cart policy
+ * - per-item weights and prices (grams x quantity @ price)
+ * - per-item origin, when multi-origin quoting resolved one
+ * - per-item dimensions and boxes, when known
+ * - per-item service level tags, which decide per-item quoting
+ *
+ * Invalidation:
+ * - Entries expire after `config.rateCache.ttl` seconds
+ * - All entries of a shop are dropped when its settings are saved from the
+ *   app, and when a product's eligibility data changes
+ *
+ * Note: The cache lives in process memory. Each app instance keeps its own
+ * copy, which is acceptable because every entry is short-lived.
+ *
+ * @module utils/rateCache
+ * @requires ../config
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+
+/**
+ * Cache storage: shop domain -> Map(key -> { value, expiresAt })
+ * @type {Map<string, Map<string, Object>>}
+ */
+const shops = new Map();
+
+/**
+ * Build the per-item weight signature shared by cart and quote keys
+ *
+ * Items are sorted so the same cart in a different order maps to the same key.
+ *
+ * @function itemsSignature
+ * @param {Array<Object>} items - Rate request items
+ * @param {boolean} withIds - Include product/variant IDs in the signature
+ * @returns {string} Stable signature for the items
+ */
+const itemsSignature = (items, withIds) => {
+    return (items || [])
+        .map((i) => {
+            const origin = i.origin_postal_code ? `>${i.origin_postal_code}` : "";
+            const size = i.dimensions
+                ? `#${i.dimensions.length}x${i.dimensions.width}x${i.dimensions.height}/${i.dimensions.boxes}`
+                : "";
+            const tags = i.tags?.length ? `[${i.tags.join("+")}]` : "";
+            const weight = `${i.grams || 0}x${i.quantity || 0}@${i.price || 0}${origin}${size}${tags}`;
+            return withIds ? `${i.product_id}:${i.variant_id}:${weight}` : weight;
+        })
+        .sort()
+        .join(",");
+};
+
+/**
+ * Build the cache key for the filtered items of a cart
+ *
+ * @function buildCartKey
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} items - Raw rate request items from Shopify
+ * @param {Array<string>} [serviceLevels=[]] - Service levels the items were filtered against
+ * @returns {string} Cart cache key
+ */
+export function buildCartKey(shop, items, serviceLevels = []) {
+    return ["cart", shop, serviceLevels.join("+"), itemsSignature(items, true)].join("|");
+}
+
+/**
+ * Build the cache key for a single service level quote
+ *
+ * @function buildQuoteKey
+ * @param {Object} params - Key components
+ * @param {string} params.shop - Shop domain
+ * @param {Object} params.rate - Rate request (origin, destination, items)
+ * @param {string} params.serviceLevel - Service level code
+ * @param {string} params.pricingType - Retailer pricing type
+ * @param {string} [params.mixedCartPolicy] - Shop's mixed-cart policy
+ * @returns {string} Quote cache key
+ */
+export function buildQuoteKey({ shop, rate, serviceLevel, pricingType, mixedCartPolicy }) {
+    return [
+        "quote",
+        shop,
+        rate.destination?.postal_code,
+        rate.destination?.province,
+        rate.origin?.postal_code,
+        serviceLevel,
+        pricingType || "1",
+        mixedCartPolicy || config.mixedCartPolicies.UNION,
+        itemsSignature(rate.items, false),
+    ].join("|");
+}
+
+/**
+ * Read a cached value
+ *
+ * @function getCached
+ * @param {string} shop - Shop domain
+ * @param {string} key - Cache key
+ * @returns {*} Cached value, or undefined on miss or expiry
+ */
+export function getCached(shop, key) {
+    const entries = shops.get(shop);
+    const entry = entries?.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+    }
+    console.log("getCached: Cache hit for", key); // Logs cache hit
+    return entry.value;
+}
+
+/**
+ * Store a value in the cache
+ *
+ * Does nothing when caching is disabled (ttl of 0). Expired entries are pruned
+ * and the oldest entries are evicted once a shop exceeds `maxEntries`.
+ *
+ * @function setCached
+ * @param {string} shop - Shop domain
+ * @param {string} key - Cache key
+ * @param {*} value - Value to store
+ */
+export function setCached(shop, key, value) {
+    const { ttl, maxEntries } = config.rateCache;
+    if (!ttl) return;
+
+    let entries = shops.get(shop);
+    if (!entries) {
+        entries = new Map();
+        shops.set(shop, entries);
+    }
+
+    const now = Date.now();
+    for (const [k, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(k);
+    }
+    while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+    }
+
+    entries.set(key, { value, expiresAt: now + ttl * 1000 });
+}
+
+/**
+ * Drop every cached entry for a shop
+ *
+ * @function invalidateShop
+ * @param {string} shop - Shop domain
+ */
+export function invalidateShop(shop) {
+    if (shops.delete(shop)) {
+        console.log("invalidateShop: Cleared cached rates for shop", shop); // Logs cache invalidation
+    }
+}
+console.log("rateCache: Exporting rate cache functions"); // Logs module export
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Rate Diagnostics
+ *
+ * This module explains why a cart got no Deliveright rate (or fewer rates
+ * than expected). It reads what the carrier rate pipeline recorded in its
+ * audit object (see ./carrierRates) and resolves the service levels of the
+ * items that were left out of the quote, under the shop's eligibility source
+ * (tags, metafield, collection or product type, see ./productEligibility).
+ *
+ * Reasons reported:
+ * - session_missing: no offline session, the token stored at Deliveright was used
+ * - token_missing: no access token at all, products can't be looked up
+ * - no_service_levels_enabled: the shop disabled every service level
+ * - destination_blocked: a destination rule removed a service level
+ * - product_not_tagged: a product declares no service level
+ * - unknown_tag: a declared value is not in config.serviceLevels (for tags,
+ *   only tags that look like a level: wrong case, "deliveright-" prefix...)
+ * - service_level_disabled: a product only declares disabled levels
+ * - no_shared_service_level: the intersection mixed-cart policy found no
+ *   level all items support
+ * - zero_weight: an eligible item has no weight (grams is 0) and no default
+ *   weight applies (see ./defaultWeights)
+ * - calculator_error: the rate calculator failed or returned an errorCode
+ * - calculator_timeout: a level missed the checkout time budget
+ * - product_lookup_failed: products could not be fetched from Shopify
+ *
+ * Diagnostics never throw; failures are reported as a reason.
+ *
+ * @module utils/rateDiagnostics
+ * @requires ../config
+ * @requires ./shopSettings
+ * @requires ./filterDeliverightProducts
+ * @requires ./productEligibility
+ * @requires ./measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { enabledServiceLevels } from "./shopSettings.js";
+import { resolveItemLevels } from "./filterDeliverightProducts.js";
+import { describeEligibilitySource, resolveEligibility } from "./productEligibility.js";
+import { itemGrams } from "./measurement.js";
+
+/**
+ * Service level codes from configuration
+ * @constant {Array<string>}
+ */
+const LEVEL_CODES = Object.keys(config.serviceLevels);
+
+/**
+ * Whether a tag was probably meant as a service level tag
+ *
+ * @function looksLikeLevelTag
+ * @param {string} tag - Product tag
+ * @returns {boolean} True for near-misses of a configured code
+ */
+const looksLikeLevelTag = (tag) => {
+    const normalized = tag.trim().toLowerCase();
+    return LEVEL_CODES.includes(normalized.replace(/^deliveright[-_ ]?/, "")) || normalized.startsWith("deliveright");
+};
+
+/**
+ * Describe a calculator error
+ *
+ * @function describeCalculatorError
+ * @param {string|Object} error - Error recorded by quoteServiceLevels
+ * @returns {string} Error code or message
+ */
+const describeCalculatorError = (error) => {
+    if (error && typeof error === "object") return error.errorCode || error.message || JSON.stringify(error);
+    return String(error);
+};
+
+/**
+ * Explain a carrier rate response
+ *
+ * @async
+ * @function diagnoseRates
+ * @param {Object} params - Diagnostic parameters
+ * @param {Object} params.session - Shopify session used for the quote (may lack an access token)
+ * @param {Object} params.retailer - Deliveright retailer (with settings)
+ * @param {Object} params.rate - Rate request as received (all cart items)
+ * @param {Object} params.audit - Audit object filled by buildCarrierRates
+ * @param {boolean} params.offlineSession - Whether an offline session was found for the shop
+ * @returns {Promise<Array<Object>>} Diagnostics: [{ reason, message, service_level?, product_id?, details? }]
+ */
+export async function diagnoseRates({ session, retailer, rate, audit, offlineSession }) {
+    let diagnostics = [];
+    const add = (reason, message, extra = {}) => diagnostics.push({ reason, message, ...extra });
+
+    try {
+        const settings = retailer?.settings || {};
+        const enabled = enabledServiceLevels(settings);
+        const blocked = (audit.blockedLevels || []).map((b) => b.serviceLevel);
+
+        if (!offlineSession) add("session_missing", "No offline session for the shop, the token saved at Deliveright was used");
+        if (!session?.accessToken) add("token_missing", "The shop has no Shopify access token, reinstall the app");
+        if (enabled.length === 0) add("no_service_levels_enabled", "Every service level is disabled in the app settings");
+
+        (audit.blockedLevels || []).forEach(({ serviceLevel, reason }) =>
+            add("destination_blocked", `${serviceLevel} is not offered: ${reason}`, { service_level: serviceLevel })
+        );
+
+        // Items that didn't make it into the quote
+        const eligibleKeys = new Set((audit.items || []).map((item) => `${item.product_id}:${item.variant_id}`));
+        const leftOut = (rate?.items || []).filter(
+            (item) => item.product_id && !eligibleKeys.has(`${item.product_id}:${item.variant_id}`)
+        );
+        const deliverable = enabled.filter((code) => !blocked.includes(code));
+        const eligibility = resolveEligibility(settings.eligibility);
+        const source = describeEligibilitySource(eligibility);
+
+        if (leftOut.length > 0 && session?.accessToken) {
+            try {
+                const resolved = await resolveItemLevels(session, leftOut, eligibility);
+                let sharedLevelMissing = false;
+
+                resolved.forEach(({ item, product, candidates, overridden }) => {
+                    const product_id = item.product_id;
+                    if (!product) {
+                        add("product_lookup_failed", `Product ${product_id} was not found in Shopify`, { product_id });
+                        return;
+                    }
+                    const name = item.name || product.title;
+                    const from = overridden ? "its variant override" : source;
+                    const levels = candidates.filter((value) => config.serviceLevels[value]);
+                    // Only tags that look like a level, other sources declare nothing else
+                    const unknown = candidates.filter(
+                        (value) =>
+                            !config.serviceLevels[value] &&
+                            (overridden || eligibility.source !== config.eligibilitySources.TAGS || looksLikeLevelTag(value))
+                    );
+
+                    if (levels.length === 0 && unknown.length > 0) {
+                        add("unknown_tag", `${name} declares ${unknown.join(", ")} (${from}), which is not a service level code`, {
+                            product_id,
+                            details: { values: unknown, service_levels: LEVEL_CODES },
+                        });
+                    } else if (levels.length === 0) {
+                        add("product_not_tagged", `${name} has no service level (${from})`, { product_id });
+                    } else if (!levels.some((code) => enabled.includes(code))) {
+                        add("service_level_disabled", `${name} only supports disabled levels (${levels.join(", ")})`, {
+                            product_id,
+                            details: { levels },
+                        });
+                    } else if (levels.some((code) => deliverable.includes(code))) {
+                        // Eligible on its own, so the mixed-cart policy dropped it
+                        sharedLevelMissing = true;
+                    }
+                });
+
+                if (sharedLevelMissing) {
+                    add("no_shared_service_level", "The items have no service level in common (mixed-cart policy is intersection)");
+                }
+            } catch (err) {
+                add("product_lookup_failed", `Products could not be fetched: ${err.message}`);
+            }
+        }
+
+        (audit.items || [])
+            .filter((item) => !(itemGrams(item) > 0))
+            .forEach((item) =>
+                add("zero_weight", `${item.name || item.sku || item.product_id} has no weight and no default weight applies`, {
+                    product_id: item.product_id,
+                })
+            );
+
+        (audit.quotes || []).forEach((quote) => {
+            if (quote.error) {
+                const price = quote.total_price === null ? "no fallback rate" : "fallback rate used";
+                add("calculator_error", `${quote.service_level}: calculator error ${describeCalculatorError(quote.error)} (${price})`, {
+                    service_level: quote.service_level,
+                    details: quote.error,
+                });
+            } else if (quote.source === "timeout") {
+                const price = quote.total_price === null ? "omitted" : "fallback rate used";
+                add("calculator_timeout", `${quote.service_level}: missed the checkout time budget (${price})`, {
+                    service_level: quote.service_level,
+                });
+            }
+        });
+    } catch (err) {
+        console.error("diagnoseRates: Error diagnosing rates", err); // Logs diagnostic error
+    }
+
+    console.log("diagnoseRates: Found", diagnostics.length, "diagnostics"); // Logs diagnostic result
+    return diagnostics;
+}
+console.log("rateDiagnostics: Exporting rate diagnostics"); // Logs module export
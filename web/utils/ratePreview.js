@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Rate Preview Requests
+ *
+ * This module builds a carrier rate request, as Shopify would send it to
+ * /carrier, from product or variant IDs picked in the admin. The rate
+ * preview runs it through the same pipeline as checkout (see ./carrierRates)
+ * so merchants can see what Deliveright will charge without placing a
+ * storefront order.
+ *
+ * Item weights and prices are read from the variants; the origin is the
+ * shop's primary location, the same address Shopify uses at checkout.
+ *
+ * @module utils/ratePreview
+ * @requires ../shopify
+ * @requires ./measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import shopify from "../shopify.js";
+import { toGrams } from "./measurement.js";
+
+/**
+ * Maximum number of cart lines in one preview
+ * @constant {number}
+ */
+export const MAX_PREVIEW_LINES = 50;
+
+/**
+ * Numeric ID of a Shopify GID or plain ID
+ *
+ * @function numericId
+ * @param {string|number} id - "gid://shopify/ProductVariant/123" or 123
+ * @returns {number} Numeric ID (NaN when invalid)
+ */
+const numericId = (id) => parseInt(String(id).split("/").pop(), 10);
+
+/**
+ * Validate the cart lines and destination of a preview request
+ *
+ * @function validatePreviewInput
+ * @param {Object} body - Request body
+ * @param {Array<Object>} body.items - [{ variant_id | product_id, quantity }]
+ * @param {Object} body.destination - { postal_code, province?, country?, city?, address1? }
+ * @returns {Object} { lines, destination }
+ * @throws {Error} With a message suitable for the merchant when input is invalid
+ */
+export function validatePreviewInput({ items, destination } = {}) {
+    if (!Array.isArray(items) || items.length === 0) throw new Error("Add at least one product");
+    if (items.length > MAX_PREVIEW_LINES) throw new Error(`A preview can have at most ${MAX_PREVIEW_LINES} products`);
+
+    const lines = items.map((item, index) => {
+        const variant_id = item.variant_id ? numericId(item.variant_id) : undefined;
+        const product_id = item.product_id ? numericId(item.product_id) : undefined;
+        const quantity = Number(item.quantity ?? 1);
+        if (!(variant_id > 0) && !(product_id > 0)) throw new Error(`Item ${index + 1} needs a product or variant ID`);
+        if (!Number.isInteger(quantity) || quantity < 1) throw new Error(`Item ${index + 1} quantity must be a positive whole number`);
+        return { variant_id, product_id, quantity };
+    });
+
+    const postal_code = String(destination?.postal_code || "").trim();
+    if (!postal_code) throw new Error("Destination zip code is required");
+
+    return {
+        lines,
+        destination: {
+            country: String(destination.country || "US").trim().toUpperCase(),
+            province: destination.province ? String(destination.province).trim().toUpperCase() : undefined,
+            city: destination.city ? String(destination.city).trim() : undefined,
+            address1: destination.address1 ? String(destination.address1).trim() : undefined,
+            postal_code,
+        },
+    };
+}
+
+/**
+ * Convert a variant node to a rate request item
+ *
+ * @function toRateItem
+ * @param {Object} variant - ProductVariant node
+ * @param {number} quantity - Quantity
+ * @returns {Object} Item in Shopify carrier format
+ */
+const toRateItem = (variant, quantity) => {
+    const weight = variant.inventoryItem?.measurement?.weight;
+    return {
+        name: variant.displayName,
+        sku: variant.sku,
+        quantity,
+        grams: weight ? toGrams(weight.value, weight.unit) || 0 : 0,
+        price: Math.round(Number(variant.price) * 100),
+        vendor: variant.product.vendor,
+        requires_shipping: variant.inventoryItem?.requiresShipping ?? true,
+        taxable: true,
+        fulfillment_service: "manual",
+        properties: null,
+        product_id: numericId(variant.product.id),
+        variant_id: numericId(variant.id),
+    };
+};
+
+/**
+ * Build a carrier rate request for the preview
+ *
+ * Product IDs are previewed with their first variant.
+ *
+ * @async
+ * @function buildPreviewRequest
+ * @param {Object} session - Shopify session for API authentication
+ * @param {Object} input - Output of validatePreviewInput
+ * @param {Array<Object>} input.lines - [{ variant_id?, product_id?, quantity }]
+ * @param {Object} input.destination - Destination address
+ * @returns {Promise<Object>} { rate, missing } where `missing` lists the lines
+ *   whose product or variant was not found
+ */
+export async function buildPreviewRequest(session, { lines, destination }) {
+    console.log("buildPreviewRequest: Building preview for", lines.length, "lines for shop", session.shop); // Logs preview start
+    const client = new shopify.api.clients.Graphql({ session });
+
+    const gid = (line) =>
+        line.variant_id ? `gid://shopify/ProductVariant/${line.variant_id}` : `gid://shopify/Product/${line.product_id}`;
+
+    const query = `
+      fragment PreviewVariant on ProductVariant {
+        id
+        sku
+        price
+        displayName
+        product {
+          id
+          vendor
+        }
+        inventoryItem {
+          requiresShipping
+          measurement {
+            weight {
+              unit
+              value
+            }
+          }
+        }
+      }
+      query PreviewItems($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            ...PreviewVariant
+          }
+          ... on Product {
+            id
+            variants(first: 1) {
+              nodes {
+                ...PreviewVariant
+              }
+            }
+          }
+        }
+        location {
+          address {
+            address1
+            city
+            provinceCode
+            countryCode
+            zip
+          }
+        }
+      }
+    `;
+
+    const response = await client.query({
+        data: { query, variables: { ids: [...new Set(lines.map(gid))] } },
+    });
+
+    const data = response.body.data;
+    const byId = new Map();
+    (data?.nodes || []).forEach((node) => {
+        // Products resolve to their first variant
+        const variant = node?.variants ? node.variants.nodes[0] : node;
+        if (variant?.id) byId.set(node.id, variant);
+    });
+
+    let items = [];
+    let missing = [];
+    lines.forEach((line) => {
+        const variant = byId.get(gid(line));
+        if (variant) items.push(toRateItem(variant, line.quantity));
+        else missing.push(line);
+    });
+
+    const address = data?.location?.address || {};
+    const rate = {
+        origin: {
+            country: address.countryCode,
+            postal_code: address.zip,
+            province: address.provinceCode,
+            city: address.city,
+            address1: address.address1,
+        },
+        destination,
+        items,
+        currency: "USD",
+    };
+
+    console.log("buildPreviewRequest: Built", items.length, "items,", missing.length, "not found"); // Logs preview result
+    return { rate, missing };
+}
+console.log("ratePreview: Exporting rate preview helpers"); // Logs module export
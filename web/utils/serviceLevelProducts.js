@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Service Level Product Lookup
+ *
+ * This module lists the Shopify products that support a given Deliveright
+ * service level under the shop's eligibility source (see
+ * ./productEligibility). The admin uses it to show merchants which products
+ * are affected before they stop offering a level.
+ *
+ * Candidates are found with a product search (tags, product type) or by
+ * collection, then resolved like checkout does. Metafields can't be searched,
+ * so the metafield source reports `supported: false`. Variant overrides are
+ * not listed.
+ *
+ * Only the first page of matching products is returned (up to
+ * PRODUCTS_LIMIT); `has_more` tells the caller the list is truncated.
+ *
+ * @module utils/serviceLevelProducts
+ * @requires ../config
+ * @requires ../shopify
+ * @requires ./productEligibility
+ * @requires ./filterDeliverightProducts
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import shopify from "../shopify.js";
+import { resolveEligibility } from "./productEligibility.js";
+import { resolveItemLevels } from "./filterDeliverightProducts.js";
+
+/**
+ * Maximum number of products returned per service level
+ * @constant {number}
+ */
+const PRODUCTS_LIMIT = 100;
+
+/**
+ * Names mapped to a service level in a level map
+ *
+ * @function namesForLevel
+ * @param {Object} map - { name: [codes] }
+ * @param {string} serviceLevel - Service level code
+ * @returns {Array<string>} Names whose list contains the level
+ */
+const namesForLevel = (map, serviceLevel) =>
+    Object.entries(map || {})
+        .filter(([, levels]) => levels.includes(serviceLevel))
+        .map(([name]) => name);
+
+/**
+ * Find candidate products with a product search
+ *
+ * @async
+ * @function searchProducts
+ * @param {Object} client - GraphQL client
+ * @param {string} search - Product search query
+ * @returns {Promise<Object>} { nodes: [{ id, title }], hasMore }
+ */
+async function searchProducts(client, search) {
+    const query = `
+      query ProductsByServiceLevel($first: Int!, $query: String!) {
+        products(first: $first, query: $query) {
+          nodes {
+            id
+            title
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+      }
+    `;
+    const response = await client.query({ data: { query, variables: { first: PRODUCTS_LIMIT, query: search } } });
+    const connection = response.body.data?.products;
+    return { nodes: connection?.nodes || [], hasMore: !!connection?.pageInfo?.hasNextPage };
+}
+
+/**
+ * Find candidate products in collections
+ *
+ * @async
+ * @function collectionProducts
+ * @param {Object} client - GraphQL client
+ * @param {Array<string>} handles - Collection handles
+ * @returns {Promise<Object>} { nodes: [{ id, title }], hasMore }
+ */
+async function collectionProducts(client, handles) {
+    // One aliased field per collection keeps this a single request
+    const fields = handles
+        .map(
+            (handle, index) => `
+        c${index}: collectionByHandle(handle: ${JSON.stringify(handle)}) {
+          products(first: ${PRODUCTS_LIMIT}) {
+            nodes {
+              id
+              title
+            }
+            pageInfo {
+              hasNextPage
+            }
+          }
+        }`
+        )
+        .join("");
+    const response = await client.query({ data: { query: `query CollectionProducts {${fields}\n}` } });
+
+    let nodes = new Map();
+    let hasMore = false;
+    Object.values(response.body.data || {}).forEach((collection) => {
+        (collection?.products.nodes || []).forEach((node) => nodes.set(node.id, node));
+        hasMore = hasMore || !!collection?.products.pageInfo.hasNextPage;
+    });
+    return { nodes: [...nodes.values()].slice(0, PRODUCTS_LIMIT), hasMore: hasMore || nodes.size > PRODUCTS_LIMIT };
+}
+
+/**
+ * Fetch products supporting a service level
+ *
+ * @async
+ * @function getProductsByServiceLevel
+ * @param {Object} session - Shopify session for API authentication
+ * @param {string} serviceLevel - Service level code (must exist in config.serviceLevels)
+ * @param {Object} [eligibility] - settings.eligibility (defaults to tags)
+ * @returns {Promise<Object>} { products: [{ product_id, title, tags }], has_more, supported }
+ *   where `tags` holds the product's service level codes
+ */
+export async function getProductsByServiceLevel(session, serviceLevel, eligibility) {
+    const rules = { ...resolveEligibility(eligibility), variant_overrides: false };
+    const { TAGS, COLLECTION, PRODUCT_TYPE } = config.eligibilitySources;
+    console.log("getProductsByServiceLevel: Fetching products for", serviceLevel, "by", rules.source, "for shop", session.shop); // Logs lookup start
+    const client = new shopify.api.clients.Graphql({ session });
+
+    let found = { nodes: [], hasMore: false };
+    if (rules.source === TAGS) {
+        found = await searchProducts(client, `tag:'${serviceLevel}'`);
+    } else if (rules.source === PRODUCT_TYPE) {
+        const types = namesForLevel(rules.product_types, serviceLevel);
+        if (types.length > 0) {
+            found = await searchProducts(client, types.map((type) => `product_type:${JSON.stringify(type)}`).join(" OR "));
+        }
+    } else if (rules.source === COLLECTION) {
+        const handles = namesForLevel(rules.collections, serviceLevel);
+        if (handles.length > 0) found = await collectionProducts(client, handles);
+    } else {
+        console.log("getProductsByServiceLevel: Source can't be searched", rules.source); // Logs unsupported source
+        return { products: [], has_more: false, supported: false };
+    }
+
+    // Resolve the candidates like checkout does
+    // The tag search is case-insensitive and fuzzy, so this keeps exact matches only
+    const ids = found.nodes.map((node) => ({ product_id: parseInt(node.id.split("/").pop(), 10) }));
+    const resolved = ids.length > 0 ? await resolveItemLevels(session, ids, rules) : [];
+    const products = resolved
+        .map(({ item, candidates }, index) => ({
+            product_id: item.product_id,
+            title: found.nodes[index].title,
+            tags: candidates.filter((code) => config.serviceLevels[code]),
+        }))
+        .filter((product) => product.tags.includes(serviceLevel));
+
+    console.log("getProductsByServiceLevel: Found", products.length, "products"); // Logs lookup result
+    return { products, has_more: found.hasMore, supported: true };
+}
+console.log("serviceLevelProducts: Exporting service level product lookup"); // Logs module export
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Per-Shop Service Level Wording and Order
+ *
+ * This module applies a shop's own `service_name`, `description` and display
+ * order to the rates returned at checkout, replacing the defaults from
+ * `config.serviceLevels`. Overrides are stored with the shop's settings in
+ * `retailer.settings.service_overrides` and edited from the embedded admin.
+ *
+ * Override Shape:
+ * ```
+ * service_overrides: {
+ *   rocpa: {
+ *     service_name: "White Glove (Room of Choice)",
+ *     description: "Premium delivery to your room of choice...",
+ *     position: 1
+ *   },
+ *   wg: { service_name: "White Glove (Standard)", position: 2 }
+ * }
+ * ```
+ *
+ * Ordering:
+ * Rates are sorted by ascending `position`. Levels without a position keep
+ * their original relative order and are listed after positioned levels.
+ *
+ * Legacy Wording:
+ * Some shops had their wording hardcoded in the carrier endpoint before
+ * overrides existed. It is written into their `service_overrides` once, at
+ * server start (seedLegacyServiceOverrides), and used at checkout until then.
+ * Shops that saved overrides of their own, even empty ones, are left as is.
+ *
+ * @module utils/serviceOverrides
+ * @requires ../classes/deliveright
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import deliveright from "../classes/deliveright.js";
+
+/**
+ * Wording previously hardcoded per shop, keyed by shop domain
+ * @constant {Object.<string, Object>}
+ */
+export const LEGACY_SERVICE_OVERRIDES = {
+    "business-pleasure-co.myshopify.com": {
+        rocpa: {
+            service_name: "White Glove (Room of Choice)",
+            description: "Premium delivery to your room of choice, including full assembly and debris removal.",
+        },
+        wg: {
+            service_name: "White Glove (Standard)",
+        },
+    },
+};
+
+/**
+ * Overrides in effect for a shop
+ *
+ * @function shopServiceOverrides
+ * @param {string} shop - Shop domain
+ * @param {Object} [settings={}] - retailer.settings from Deliveright
+ * @returns {Object} Saved overrides, else the shop's legacy wording, else none
+ */
+export function shopServiceOverrides(shop, settings = {}) {
+    return settings?.service_overrides ?? LEGACY_SERVICE_OVERRIDES[shop] ?? {};
+}
+
+/**
+ * Save the legacy wording of shops that have no overrides yet
+ *
+ * Runs at server start. Failures are logged and retried at the next start;
+ * checkout uses the legacy wording meanwhile (see shopServiceOverrides).
+ *
+ * @async
+ * @function seedLegacyServiceOverrides
+ * @returns {Promise<Array<string>>} Shops whose overrides were seeded
+ */
+export async function seedLegacyServiceOverrides() {
+    let seeded = [];
+    for (const [shop, overrides] of Object.entries(LEGACY_SERVICE_OVERRIDES)) {
+        try {
+            const store = await deliveright.getStore(shop);
+            if (!store || store.settings?.service_overrides != null) continue;
+            await deliveright.updateStore(shop, { service_overrides: overrides });
+            seeded.push(shop);
+            console.log("seedLegacyServiceOverrides: Seeded service overrides for shop", shop); // Logs seeded shop
+        } catch (err) {
+            console.error("seedLegacyServiceOverrides: Error seeding shop", shop, err.message); // Logs seed error
+        }
+    }
+    return seeded;
+}
+
+/**
+ * Apply a shop's service level overrides to a list of rates
+ *
+ * @function applyServiceOverrides
+ * @param {Array<Object>} rates - Rates built from config.serviceLevels
+ * @param {Object} [overrides={}] - Overrides keyed by service level code
+ * @returns {Array<Object>} New list of rates with overrides applied and sorted
+ *
+ * @example
+ * const rates = applyServiceOverrides(quotedRates, retailer.settings.service_overrides);
+ */
+export function applyServiceOverrides(rates, overrides = {}) {
+    console.log("applyServiceOverrides: Applying overrides to", rates.length, "rates"); // Logs override start
+    const position = (rate) => overrides?.[rate.service_code]?.position ?? Infinity;
+
+    return rates
+        .map((rate) => {
+            const override = overrides?.[rate.service_code];
+            if (!override) return rate;
+            return {
+                ...rate,
+                service_name: override.service_name || rate.service_name,
+                description: override.description || rate.description,
+            };
+        })
+        .sort((a, b) => position(a) - position(b));
+}
+console.log("serviceOverrides: Exporting service override functions"); // Logs module export
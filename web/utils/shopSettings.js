@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Per-Shop App Settings
+ *
+ * This module defines which per-shop settings the embedded admin may read and
+ * change, and validates changes before they are saved. Settings are stored with
+ * the shop's Shopify settings in Deliveright (the same object that holds `auth`
+ * and `payment`), so they are available on `retailer.settings` wherever the
+ * store is loaded, including the carrier endpoint.
+ *
+ * Each editable key has a sanitizer that returns the cleaned value or throws
+ * an Error with a merchant-readable message.
+ *
+ * Editable Keys:
+ * - service_overrides: Custom service name, description and position per level
+ * - enabled_service_levels: Allowlist of service levels offered at checkout
+ *   (null offers every level in config.serviceLevels)
+ * - pricing_rules: Ordered conditional payment strategies (see utils/pricingRules)
+ * - lead_times: Business days to deliver per service level (see utils/deliveryEstimates)
+ * - blackout_dates: Days never counted in delivery estimates
+ * - multi_origin: Quote carts one origin (warehouse) at a time (see utils/itemOrigins)
+ * - mixed_cart_policy: How carts mixing service levels are quoted
+ *   (one of config.mixedCartPolicies)
+ * - destination_rules: Countries, states, zip prefixes and PO boxes that can
+ *   be served, shop-wide and per level (see utils/destinationRules)
+ * - eligibility: Where product service levels are read from, with variant
+ *   overrides (see utils/productEligibility)
+ * - default_weights: Pounds used for items without weight, per service level
+ *   or product type (see utils/defaultWeights)
+ * - zone_prices: Contracted prices per zip zone that replace the calculator
+ *   (see utils/zonePricing)
+ * - fallback_rates: Prices used when the calculator fails or times out
+ *   (see utils/fallbackRates)
+ * - order_trigger: Shopify event that sends orders to Deliveright
+ *   (one of config.orderTriggers)
+ *
+ * @module utils/shopSettings
+ * @requires ../config
+ * @requires ./pricingRules
+ * @requires ./deliveryEstimates
+ * @requires ./destinationRules
+ * @requires ./productEligibility
+ * @requires ./defaultWeights
+ * @requires ./zonePricing
+ * @requires ./fallbackRates
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { sanitizePricingRules } from "./pricingRules.js";
+import { sanitizeBlackoutDates, sanitizeLeadTimes } from "./deliveryEstimates.js";
+import { DEFAULT_DESTINATION_RULES, sanitizeDestinationRules } from "./destinationRules.js";
+import { DEFAULT_ELIGIBILITY, sanitizeEligibility } from "./productEligibility.js";
+import { DEFAULT_DEFAULT_WEIGHTS, sanitizeDefaultWeights } from "./defaultWeights.js";
+import { sanitizeZonePrices } from "./zonePricing.js";
+import { sanitizeFallbackRates } from "./fallbackRates.js";
+
+/**
+ * Ensure a value is a plain object
+ *
+ * @function assertObject
+ * @param {*} value - Value to check
+ * @param {string} name - Setting name used in the error message
+ * @throws {Error} If the value is not a plain object
+ */
+const assertObject = (value, name) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`${name} must be an object`);
+    }
+};
+
+/**
+ * Ensure every key of a settings object is a configured service level
+ *
+ * @function assertServiceLevels
+ * @param {Object} value - Object keyed by service level code
+ * @param {string} name - Setting name used in the error message
+ * @throws {Error} If a key is not in config.serviceLevels
+ */
+const assertServiceLevels = (value, name) => {
+    const unknown = Object.keys(value).filter((code) => !config.serviceLevels[code]);
+    if (unknown.length > 0) {
+        throw new Error(`${name} contains unknown service levels: ${unknown.join(", ")}`);
+    }
+};
+
+/**
+ * Sanitizers for each editable setting, keyed by setting name
+ * @constant {Object.<string, Function>}
+ */
+const sanitizers = {
+    service_overrides: (value) => {
+        assertObject(value, "service_overrides");
+        assertServiceLevels(value, "service_overrides");
+
+        let overrides = {};
+        for (const [code, override] of Object.entries(value)) {
+            assertObject(override, `service_overrides.${code}`);
+            let clean = {};
+            if (override.service_name?.trim()) clean.service_name = override.service_name.trim();
+            if (override.description?.trim()) clean.description = override.description.trim();
+            if (override.position !== undefined && override.position !== null && override.position !== "") {
+                const position = Number(override.position);
+                if (!Number.isInteger(position)) {
+                    throw new Error(`service_overrides.${code}.position must be a whole number`);
+                }
+                clean.position = position;
+            }
+            if (Object.keys(clean).length > 0) overrides[code] = clean;
+        }
+        return overrides;
+    },
+    enabled_service_levels: (value) => {
+        if (value === null) return null;
+        if (!Array.isArray(value)) throw new Error("enabled_service_levels must be a list");
+        const unknown = value.filter((code) => !config.serviceLevels[code]);
+        if (unknown.length > 0) {
+            throw new Error(`enabled_service_levels contains unknown service levels: ${unknown.join(", ")}`);
+        }
+        return [...new Set(value)];
+    },
+    pricing_rules: sanitizePricingRules,
+    lead_times: sanitizeLeadTimes,
+    blackout_dates: sanitizeBlackoutDates,
+    multi_origin: (value) => {
+        if (typeof value !== "boolean") throw new Error("multi_origin must be true or false");
+        return value;
+    },
+    mixed_cart_policy: (value) => {
+        if (!Object.values(config.mixedCartPolicies).includes(value)) {
+            throw new Error(`mixed_cart_policy must be one of: ${Object.values(config.mixedCartPolicies).join(", ")}`);
+        }
+        return value;
+    },
+    destination_rules: sanitizeDestinationRules,
+    eligibility: sanitizeEligibility,
+    default_weights: sanitizeDefaultWeights,
+    zone_prices: sanitizeZonePrices,
+    fallback_rates: sanitizeFallbackRates,
+    order_trigger: (value) => {
+        if (!Object.values(config.orderTriggers).includes(value)) {
+            throw new Error(`order_trigger must be one of: ${Object.values(config.orderTriggers).join(", ")}`);
+        }
+        return value;
+    },
+};
+
+/**
+ * Default value for each editable setting when the shop has not saved one
+ * @constant {Object}
+ */
+const defaults = {
+    service_overrides: {},
+    enabled_service_levels: null,
+    pricing_rules: [],
+    lead_times: {},
+    blackout_dates: [],
+    multi_origin: false,
+    mixed_cart_policy: config.mixedCartPolicies.UNION,
+    destination_rules: DEFAULT_DESTINATION_RULES,
+    eligibility: DEFAULT_ELIGIBILITY,
+    default_weights: DEFAULT_DEFAULT_WEIGHTS,
+    zone_prices: [],
+    fallback_rates: {},
+    order_trigger: config.orderTriggers.ORDERS_FULFILLED,
+};
+
+/**
+ * Names of the settings editable from the embedded admin
+ * @constant {Array<string>}
+ */
+export const SETTINGS_KEYS = Object.keys(sanitizers);
+
+/**
+ * Extract the editable settings from a retailer's settings object
+ *
+ * @function pickShopSettings
+ * @param {Object} [settings={}] - retailer.settings from Deliveright
+ * @returns {Object} Editable settings, with defaults for unsaved keys
+ */
+export function pickShopSettings(settings = {}) {
+    let picked = {};
+    for (const key of SETTINGS_KEYS) {
+        picked[key] = settings?.[key] ?? defaults[key];
+    }
+    return picked;
+}
+
+/**
+ * Service levels the shop offers at checkout
+ *
+ * Shops that never saved an allowlist offer every configured level.
+ *
+ * @function enabledServiceLevels
+ * @param {Object} [settings={}] - retailer.settings from Deliveright
+ * @returns {Array<string>} Enabled service level codes
+ */
+export function enabledServiceLevels(settings = {}) {
+    const levels = Object.keys(config.serviceLevels);
+    const allowlist = settings?.enabled_service_levels;
+    if (!Array.isArray(allowlist)) return levels;
+    return levels.filter((code) => allowlist.includes(code));
+}
+
+/**
+ * Validate and clean a partial settings update
+ *
+ * Unknown keys are rejected so the admin cannot overwrite `auth`, `payment`
+ * or other settings owned by Deliveright.
+ *
+ * @function sanitizeShopSettings
+ * @param {Object} patch - Partial settings from the admin
+ * @returns {Object} Cleaned settings ready for deliveright.updateStore
+ * @throws {Error} If a key is unknown or a value is invalid
+ */
+export function sanitizeShopSettings(patch) {
+    assertObject(patch, "settings");
+    let clean = {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (!sanitizers[key]) throw new Error(`Unknown setting: ${key}`);
+        clean[key] = sanitizers[key](value);
+    }
+    console.log("sanitizeShopSettings: Validated settings", Object.keys(clean)); // Logs validated keys
+    return clean;
+}
+console.log("shopSettings: Exporting shop settings helpers"); // Logs module export
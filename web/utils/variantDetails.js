@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Cached Variant Dimensions and Locations
+ *
+ * Checkout needs each cart variant's freight dimensions (see ./itemDimensions)
+ * and, for multi-origin shops, its stocked locations (see ./itemOrigins).
+ * Both are kept on the variant's product record in the product cache, so
+ * checkout only looks them up live the first time a variant is quoted.
+ *
+ * Record Shape (under `variants` of a product record, see ./productCache):
+ * ```
+ * variants: {
+ *   "4411": {
+ *     dimensions: { length: 84, width: 38, height: 34, boxes: 2 },  // null without metafields
+ *     locations: [{ zip: "07030", available: 3 }]
+ *   }
+ * }
+ * ```
+ *
+ * Variant details are refreshed with their product by the products/create
+ * and products/update webhooks.
+ *
+ * @module utils/variantDetails
+ * @requires ../config
+ * @requires ./itemDimensions
+ * @requires ./itemOrigins
+ * @requires ./productCache
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { getVariantDimensions } from "./itemDimensions.js";
+import { getVariantLocations } from "./itemOrigins.js";
+import { saveProducts } from "./productCache.js";
+
+/**
+ * Fetch the dimensions and stocked locations of a list of variants
+ *
+ * Variants are fetched `config.productCache.variantBatchSize` at a time.
+ *
+ * @async
+ * @function fetchVariantDetails
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Array<number>} variantIds - Numeric variant IDs
+ * @returns {Promise<Object>} Map of variant ID -> { dimensions, locations }
+ * @throws {Error} If a lookup fails
+ */
+export async function fetchVariantDetails(session, variantIds) {
+    const ids = [...new Set(variantIds.filter(Boolean))];
+    const { variantBatchSize } = config.productCache;
+
+    let details = {};
+    for (let i = 0; i < ids.length; i += variantBatchSize) {
+        const batch = ids.slice(i, i + variantBatchSize);
+        const [dimensions, locations] = await Promise.all([
+            getVariantDimensions(session, batch),
+            getVariantLocations(session, batch),
+        ]);
+        for (const id of batch) {
+            details[id] = { dimensions: dimensions[id] || null, locations: locations[id] || [] };
+        }
+    }
+    console.log("fetchVariantDetails: Fetched details for", ids.length, "variants"); // Logs lookup result
+    return details;
+}
+
+/**
+ * Attach cached dimensions and stocked locations to cart items
+ *
+ * Variants missing from their product record are fetched live once and
+ * saved to it. Lookup errors are logged and leave those items without
+ * details, which ./itemDimensions and ./itemOrigins then look up themselves.
+ *
+ * @async
+ * @function attachVariantDetails
+ * @param {Object} session - Shopify session ({ shop, accessToken })
+ * @param {Array<Object>} entries - Cart items with their product record ({ item, product })
+ * @returns {Promise<Array<Object>>} Items with `dimensions` (null when none) and
+ *   `locations` set where known
+ */
+export async function attachVariantDetails(session, entries) {
+    const missing = entries.filter(({ item, product }) => product && item.variant_id && !product.variants?.[item.variant_id]);
+
+    if (missing.length > 0) {
+        try {
+            const details = await fetchVariantDetails(session, missing.map(({ item }) => item.variant_id));
+            const products = [...new Set(missing.map(({ product }) => product))];
+            for (const { item, product } of missing) {
+                product.variants = { ...product.variants, [item.variant_id]: details[item.variant_id] };
+            }
+            saveProducts(session.shop, products).catch((err) =>
+                console.error("attachVariantDetails: Error writing product cache", err.message) // Logs cache write error
+            );
+        } catch (err) {
+            console.error("attachVariantDetails: Error fetching variant details", err.message); // Logs lookup error
+        }
+    }
+
+    return entries.map(({ item, product }) => {
+        const details = product?.variants?.[item.variant_id];
+        return details ? { ...item, dimensions: details.dimensions, locations: details.locations } : item;
+    });
+}
+console.log("variantDetails: Exporting variant detail functions"); // Logs module export
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Contracted Zone Prices
+ *
+ * Some merchants have contracted local delivery prices, for example a flat
+ * white glove price within their metro area. This module resolves those
+ * prices so the carrier endpoint can return them without calling the
+ * Deliveright calculator.
+ *
+ * Each shop keeps an ordered zone table in `retailer.settings.zone_prices`.
+ * A zone matches a destination by zip prefix or by exact 5-digit zip, and
+ * prices some of the service levels with a flat price, weight bands, or
+ * both. Prices are in dollars and weights in pounds, like ./fallbackRates.
+ *
+ * Table Shape:
+ * ```
+ * zone_prices: [
+ *   {
+ *     name: "NYC metro",
+ *     zip_prefixes: ["100", "112"],
+ *     zips: ["07030"],
+ *     service_levels: {
+ *       wg: { price: 149 },
+ *       thr: {
+ *         bands: [
+ *           { min_weight: 0, max_weight: 150, price: 79 },
+ *           { min_weight: 150, price: 119 }
+ *         ],
+ *         price: 139
+ *       }
+ *     }
+ *   }
+ * ]
+ * ```
+ *
+ * Resolution Order:
+ * 1. First zone that matches the destination and prices the level for the
+ *    cart weight
+ * 2. Within a zone, the first matching weight band (`max_weight` is
+ *    exclusive and optional), then the level's flat price
+ * 3. No zone price (null): the calculator quotes the level
+ *
+ * A zone price is the price returned at checkout: the payment strategy and
+ * pricing rules are not applied to it.
+ *
+ * @module utils/zonePricing
+ * @requires ../config
+ * @requires ./fallbackRates
+ * @requires ./measurement
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import config from "../config.js";
+import { bandMatches } from "./fallbackRates.js";
+import { totalPounds } from "./measurement.js";
+
+/**
+ * Five-digit part of a US zip code ("10001-1234" → "10001")
+ *
+ * @function zip5
+ * @param {string} zip - Postal code
+ * @returns {string} Zip without the +4 extension
+ */
+const zip5 = (zip) => String(zip || "").trim().split("-")[0];
+
+/**
+ * Check whether a zone covers a destination zip
+ *
+ * @function zoneMatches
+ * @param {Object} zone - Zone from settings.zone_prices
+ * @param {string} zip - Destination postal code
+ * @returns {boolean} True if the zip is in the zone
+ */
+const zoneMatches = (zone, zip) =>
+    (zone.zips || []).includes(zip5(zip)) || (zone.zip_prefixes || []).some((prefix) => zip.startsWith(prefix));
+
+/**
+ * Resolve the contracted zone price of a service level
+ *
+ * @function resolveZonePrice
+ * @param {Object} params - Resolution parameters
+ * @param {Object} params.settings - retailer.settings from Deliveright
+ * @param {Object} params.rate - Filtered rate request (destination, items)
+ * @param {string} params.serviceLevel - Service level code
+ * @returns {Object|null} { price (cents), zone (name), band (matched band or null) },
+ *   or null when no zone prices the level for this destination
+ */
+export function resolveZonePrice({ settings, rate, serviceLevel }) {
+    const zones = settings?.zone_prices;
+    if (!Array.isArray(zones) || zones.length === 0) return null;
+
+    const zip = String(rate.destination?.postal_code || "").trim();
+    if (!zip) return null;
+    const weight = totalPounds(rate.items);
+
+    for (const zone of zones) {
+        const level = zone.service_levels?.[serviceLevel];
+        if (!level || !zoneMatches(zone, zip)) continue;
+
+        const band = (level.bands || []).find((b) => bandMatches(b, zip, weight)) || null;
+        const price = band ? band.price : level.price;
+        if (price == null) continue;
+
+        console.log("resolveZonePrice: Zone price used", { serviceLevel, zone: zone.name, zip, weight, price }); // Logs zone price
+        return { price: Math.round(Number(price) * 100), zone: zone.name, band };
+    }
+    return null;
+}
+
+/**
+ * Validate a dollar or pound amount
+ *
+ * @function amount
+ * @param {*} value - Value from the admin
+ * @param {string} name - Setting name used in the error message
+ * @returns {number|undefined} Number, undefined when empty
+ * @throws {Error} If the value is not a number of 0 or more
+ */
+const amount = (value, name) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`${name} must be a number of 0 or more`);
+    return number;
+};
+
+/**
+ * Validate a list of zip codes or prefixes
+ *
+ * @function zipList
+ * @param {*} value - List from the admin
+ * @param {string} name - Setting name used in the error message
+ * @returns {Array<string>} Trimmed, unique entries
+ * @throws {Error} If the value is not a list
+ */
+const zipList = (value, name) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error(`${name} must be a list`);
+    return [...new Set(value.map((v) => String(v).trim()).filter(Boolean))];
+};
+
+/**
+ * Validate the zone price table
+ *
+ * Used by the shop settings sanitizer before the table is saved. Levels
+ * without a price or band are dropped.
+ *
+ * @function sanitizeZonePrices
+ * @param {Array<Object>} value - Zones from the admin, in resolution order
+ * @returns {Array<Object>} Cleaned zones
+ * @throws {Error} With a merchant-readable message when invalid
+ */
+export function sanitizeZonePrices(value) {
+    if (!Array.isArray(value)) throw new Error("zone_prices must be a list");
+
+    return value.map((zone, index) => {
+        const name = `zone_prices[${index}]`;
+        if (!zone || typeof zone !== "object" || Array.isArray(zone)) throw new Error(`${name} must be an object`);
+
+        const zip_prefixes = zipList(zone.zip_prefixes, `${name}.zip_prefixes`);
+        const zips = zipList(zone.zips, `${name}.zips`).map(zip5);
+        if (zip_prefixes.length === 0 && zips.length === 0) {
+            throw new Error(`${name} needs at least one zip code or zip prefix`);
+        }
+
+        let service_levels = {};
+        for (const [code, level] of Object.entries(zone.service_levels || {})) {
+            if (!config.serviceLevels[code]) throw new Error(`${name} contains unknown service level: ${code}`);
+            const levelName = `${name}.service_levels.${code}`;
+            if (!level || typeof level !== "object") throw new Error(`${levelName} must be an object`);
+            if (!Array.isArray(level.bands ?? [])) throw new Error(`${levelName}.bands must be a list`);
+
+            const bands = (level.bands || []).map((band, b) => {
+                const bandName = `${levelName}.bands[${b}]`;
+                const clean = {
+                    min_weight: amount(band?.min_weight, `${bandName}.min_weight`) ?? 0,
+                    max_weight: amount(band?.max_weight, `${bandName}.max_weight`),
+                    price: amount(band?.price, `${bandName}.price`),
+                };
+                if (clean.price === undefined) throw new Error(`${bandName}.price is required`);
+                if (clean.max_weight !== undefined && clean.max_weight <= clean.min_weight) {
+                    throw new Error(`${bandName}.max_weight must be above min_weight`);
+                }
+                return JSON.parse(JSON.stringify(clean));
+            });
+            const price = amount(level.price, `${levelName}.price`);
+
+            if (price === undefined && bands.length === 0) continue;
+            service_levels[code] = price === undefined ? { bands } : { price, bands };
+        }
+        if (Object.keys(service_levels).length === 0) throw new Error(`${name} has no service level prices`);
+
+        return { name: zone.name?.trim() || `Zone ${index + 1}`, zip_prefixes, zips, service_levels };
+    });
+}
+console.log("zonePricing: Exporting zone price functions"); // Logs module export
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Contracted Zone Price Tests
+ *
+ * Covers the zone price table sanitizer and zone matching.
+ * Run with `npm test` (Node's built-in test runner).
+ *
+ * @module utils/zonePricing.test
+ * @requires node:test
+ * @requires node:assert/strict
+ * @requires ./zonePricing
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveZonePrice, sanitizeZonePrices } from "./zonePricing.js";
+
+const settings = {
+    zone_prices: sanitizeZonePrices([
+        {
+            name: "NYC metro",
+            zip_prefixes: ["100"],
+            zips: ["07030"],
+            service_levels: {
+                wg: { price: 149 },
+                thr: { bands: [{ max_weight: 150, price: 79 }], price: 139 },
+            },
+        },
+        { name: "Northeast", zip_prefixes: ["0", "1"], service_levels: { thr: { bands: [{ min_weight: 150, price: 99.5 }] } } },
+    ]),
+};
+const rate = (postal_code, pounds) => ({ destination: { postal_code }, items: [{ weight: pounds, weight_unit: "lb", quantity: 1 }] });
+
+describe("resolveZonePrice", () => {
+    it("prices a level with the zone's flat price, in cents", () => {
+        assert.deepEqual(resolveZonePrice({ settings, rate: rate("10001", 50), serviceLevel: "wg" }), {
+            price: 14900,
+            zone: "NYC metro",
+            band: null,
+        });
+    });
+
+    it("matches exact zips on their first five digits", () => {
+        assert.equal(resolveZonePrice({ settings, rate: rate("07030-1234", 50), serviceLevel: "wg" }).price, 14900);
+        assert.equal(resolveZonePrice({ settings, rate: rate("07031", 50), serviceLevel: "wg" }), null);
+    });
+
+    it("uses the first matching weight band before the flat price", () => {
+        const banded = resolveZonePrice({ settings, rate: rate("10001", 149), serviceLevel: "thr" });
+        assert.equal(banded.price, 7900);
+        assert.deepEqual(banded.band, { min_weight: 0, max_weight: 150, price: 79 });
+        assert.equal(resolveZonePrice({ settings, rate: rate("10001", 150), serviceLevel: "thr" }).price, 13900);
+    });
+
+    it("moves on to later zones when a zone does not price the level", () => {
+        const resolved = resolveZonePrice({ settings, rate: rate("02110", 200), serviceLevel: "thr" });
+        assert.equal(resolved.zone, "Northeast");
+        assert.equal(resolved.price, 9950);
+        assert.equal(resolveZonePrice({ settings, rate: rate("02110", 100), serviceLevel: "thr" }), null);
+    });
+
+    it("is null without zones, a zip or a matching zone", () => {
+        assert.equal(resolveZonePrice({ settings: {}, rate: rate("10001", 50), serviceLevel: "wg" }), null);
+        assert.equal(resolveZonePrice({ settings, rate: rate("", 50), serviceLevel: "wg" }), null);
+        assert.equal(resolveZonePrice({ settings, rate: rate("90210", 50), serviceLevel: "thr" }), null);
+    });
+});
+
+describe("sanitizeZonePrices", () => {
+    it("cleans zips and bands, names unnamed zones and drops unpriced levels", () => {
+        const [zone] = sanitizeZonePrices([
+            {
+                zips: [" 10001-1234 ", ""],
+                zip_prefixes: ["112", "112"],
+                service_levels: { wg: { price: "149", bands: [{ max_weight: "", price: "99" }] }, thr: {} },
+            },
+        ]);
+        assert.deepEqual(zone, {
+            name: "Zone 1",
+            zip_prefixes: ["112"],
+            zips: ["10001"],
+            service_levels: { wg: { price: 149, bands: [{ min_weight: 0, price: 99 }] } },
+        });
+    });
+
+    it("rejects malformed tables", () => {
+        const zone = (fields) => [{ zip_prefixes: ["100"], service_levels: { wg: { price: 1 } }, ...fields }];
+        assert.throws(() => sanitizeZonePrices({}), /zone_prices must be a list/);
+        assert.throws(() => sanitizeZonePrices(zone({ zip_prefixes: [] })), /needs at least one zip code or zip prefix/);
+        assert.throws(() => sanitizeZonePrices(zone({ service_levels: { nope: { price: 1 } } })), /unknown service level: nope/);
+        assert.throws(() => sanitizeZonePrices(zone({ service_levels: { wg: { bands: [{}] } } })), /bands\[0\]\.price is required/);
+        assert.throws(
+            () => sanitizeZonePrices(zone({ service_levels: { wg: { bands: [{ min_weight: 10, max_weight: 10, price: 1 }] } } })),
+            /max_weight must be above min_weight/
+        );
+        assert.throws(() => sanitizeZonePrices(zone({ service_levels: { wg: { price: -1 } } })), /must be a number of 0 or more/);
+        assert.throws(() => sanitizeZonePrices(zone({ service_levels: {} })), /has no service level prices/);
+    });
+});
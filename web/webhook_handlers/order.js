@@ -1,20 +1,28 @@
 /**
  * @fileoverview Order Webhook Handlers
  *
- * This module handles order-related webhooks from Shopify, specifically the
- * ORDERS_FULFILLED event. It serves as the bridge between Shopify orders and
- * the Deliveright fulfillment system.
+ * This module handles order-related webhooks from Shopify: the event each
+ * shop picks as its order trigger (ORDERS_CREATE, ORDERS_PAID,
+ * FULFILLMENTS_CREATE or ORDERS_FULFILLED, the default), ORDERS_CANCELLED,
+ * and ORDERS_UPDATED and ORDERS_EDITED. It serves as the bridge between Shopify orders and the
+ * Deliveright fulfillment system.
  *
  * Main Workflow:
- * 1. Receive ORDERS_FULFILLED webhook
+ * 1. Receive the shop's order trigger webhook
  * 2. Verify order contains Deliveright service level
  * 3. Update line item locations using GraphQL
- * 4. Filter products eligible for Deliveright
- * 5. Create corresponding order in Deliveright system via API
+ * 4. Filter products eligible for Deliveright, filling in default weights
+ * 5. Queue the order and send it to Deliveright, retrying failed submissions
+ *    (see utils/orderQueue)
+ * 6. On cancellation, cancel the Deliveright order (see utils/orderCancellation),
+ *    only once the cancellation endpoint is configured (config.orderEndpoints)
+ * 7. On updates and edits, push the changes to sent orders (see utils/orderUpdates),
+ *    only once the update endpoint is configured (config.orderEndpoints)
  *
  * Key Features:
  * - Location Sync: Updates origin location for line items based on fulfillment location
  * - Deduplication: Prevents double-processing of orders using `processedOrders` utility
+ * - Delivery: An order counts as processed only once Deliveright accepts it
  * - Validation: Checks if shipping code matches a configured Deliveright service level
  *
  * @module webhook_handlers/order
@@ -31,7 +39,39 @@ import deliveright from "../classes/deliveright.js";
 import shopify from "../shopify.js";
 import config from "../config.js";
 import filterDeliverightProducts from "../utils/filterDeliverightProducts.js";
-import { markIfNew } from "../utils/processedOrders.js";
+import { applyDefaultWeights } from "../utils/defaultWeights.js";
+import { ORDER_STATUS, enqueueOrder, getOrderJob } from "../utils/processedOrders.js";
+import { submitOrder } from "../utils/orderQueue.js";
+import { cancelDeliverightOrder } from "../utils/orderCancellation.js";
+import { syncOrderUpdate } from "../utils/orderUpdates.js";
+
+/**
+ * Normalize a webhook topic to its config.orderTriggers value
+ *
+ * @function triggerOf
+ * @param {string} topic - "ORDERS_PAID" or "orders/paid"
+ * @returns {string} Topic in "orders/paid" form
+ */
+const triggerOf = (topic) => topic.toLowerCase().replace(/_/g, "/");
+
+/**
+ * Fetch an order in the shape of the order webhooks
+ *
+ * fulfillments/create only carries the fulfillment, so the order is read
+ * from the REST Admin API, whose order matches the webhook payload.
+ *
+ * @async
+ * @function fetch_order
+ * @param {Object} session - Shopify session for API authentication
+ * @param {number} orderId - Shopify order ID
+ * @returns {Promise<Object>} Order
+ */
+const fetch_order = async (session, orderId) => {
+  console.log("fetch_order: Fetching order", orderId); // Logs order fetch
+  const client = new shopify.api.clients.Rest({ session });
+  const response = await client.get({ path: `orders/${orderId}` });
+  return response.body.order;
+};
 
 /**
  * Update origin locations for line items in an order
@@ -63,7 +103,7 @@ const update_line_items_location = async (session, payload) => {
   const client = new shopify.api.clients.Graphql({ session });
 
   return await Promise.all(
-    payload.fulfillments
+    (payload.fulfillments || [])
       .filter((f) => f.status === "success")
       .map(async (fulfillment) => {
         try {
@@ -135,97 +175,276 @@ const update_line_items_location = async (session, payload) => {
   );
 };
 /**
- * ORDERS_FULFILLED webhook callback handler
+ * Current line items of an order
  *
- * Processes completed orders and submits them to Deliveright if eligible.
+ * Order edits keep each line item's original `quantity` and report what is
+ * left in `current_quantity`; removed items are left at 0.
+ *
+ * @function current_line_items
+ * @param {Object} payload - Order webhook payload
+ * @returns {Array<Object>} Line items still on the order, with their current quantity
+ */
+const current_line_items = (payload) =>
+  (payload.line_items || [])
+    .map((li) => ({ ...li, quantity: li.current_quantity ?? li.quantity }))
+    .filter((li) => li.quantity > 0);
+
+/**
+ * Prepare an order for createDeliverightOrder
+ *
+ * Sets line item origin locations and the customer address, and keeps the
+ * Deliveright-eligible line items, filling in default weights. If a step
+ * fails the order is returned as far as it got.
+ *
+ * @async
+ * @function prepare_order
+ * @param {Object} session - Shopify session for API authentication
+ * @param {Object} store - Store from Deliveright
+ * @param {Object} payload - Order webhook payload
+ * @returns {Promise<Object>} Prepared order
+ */
+const prepare_order = async (session, store, payload) => {
+  try {
+    console.log("prepare_order: Updating line item locations"); // Logs location update start
+    await update_line_items_location(session, payload);
+
+    payload.customer_address = payload.shipping_address || payload.customer?.default_address;
+    console.log("prepare_order: Filtering products for order", payload.id); // Logs product filtering
+    let filtered_items = await filterDeliverightProducts(shopify, session, current_line_items(payload), {
+      eligibility: store.settings.eligibility,
+    });
+    // Line items saved without weight are sent with the shop's default weight
+    filtered_items = applyDefaultWeights(filtered_items, store.settings.default_weights);
+    payload = { ...payload, line_items: filtered_items };
+    console.log("prepare_order: Products filtered"); // Logs filtered products
+  } catch (e) {
+    console.error("prepare_order: Error updating locations", e.message); // Logs error in location update
+  }
+  return payload;
+};
+
+/**
+ * Order trigger webhook callback handler
+ *
+ * Handles every event in config.orderTriggers and submits the order to
+ * Deliveright if the event is the shop's `order_trigger` and the order is
+ * eligible. All triggers share this pipeline, so an order is queued once
+ * whichever event arrives first or again.
  *
  * Execution Flow:
  * 1. Parse webhook payload
  * 2. Fetch store configuration from Deliveright
- * 3. Check if shipping method matches a Deliveright service code
- * 4. If match:
- *    a. Update line item locations
- *    b. Filter for Deliveright-eligible products
- *    c. Check for duplicate processing
- *    d. Submit order to Deliveright API
- * 5. If no match: Log and skip
+ * 3. Skip events other than the shop's trigger (orders/fulfilled by default)
+ * 4. For fulfillments/create, fetch the fulfillment's order
+ * 5. Check if shipping method matches a Deliveright service code
+ * 6. If match:
+ *    a. Update line item locations (prepare_order)
+ *    b. Filter for Deliveright-eligible products (prepare_order)
+ *    c. Queue the order, skipping duplicates
+ *    d. Submit order to Deliveright API (failures are retried by the queue)
+ * 7. If no match: Log and skip
  *
  * @async
- * @function orders_fulfilled_callback
- * @param {string} topic - Webhook topic (ORDERS_FULFILLED)
+ * @function order_trigger_callback
+ * @param {string} topic - Webhook topic (ORDERS_CREATE, ORDERS_PAID, FULFILLMENTS_CREATE or ORDERS_FULFILLED)
  * @param {string} shop - Shop domain
  * @param {string} body - Raw webhook body (JSON string)
  * @param {string} webhookId - Unique webhook ID
  * @returns {Promise<void>}
  */
-const orders_fulfilled_callback = async (topic, shop, body, webhookId) => {
-  console.log("orders_fulfilled_callback: Processing ORDERS_FULFILLED webhook for shop", shop); // Logs webhook processing start
+const order_trigger_callback = async (topic, shop, body, webhookId) => {
+  const trigger = triggerOf(topic);
+  console.log("order_trigger_callback: Processing", trigger, "webhook for shop", shop); // Logs webhook processing start
   let payload = JSON.parse(body);
-  console.log("orders_fulfilled_callback: Parsed payload for order", payload.id); // Logs payload parsing
+  console.log("order_trigger_callback: Parsed payload", payload.id); // Logs payload parsing
   try {
-    console.log("orders_fulfilled_callback: Fetching store for shop", shop); // Logs store fetch
+    console.log("order_trigger_callback: Fetching store for shop", shop); // Logs store fetch
     const store = await deliveright.getStore(shop);
-    console.log("orders_fulfilled_callback: Store retrieved for shop", shop); // Logs successful store fetch
+    console.log("order_trigger_callback: Store retrieved for shop", shop); // Logs successful store fetch
     const session = {
       shop,
       accessToken: store.settings.auth.access_token,
     };
+
+    const shopTrigger = store.settings?.order_trigger || config.orderTriggers.ORDERS_FULFILLED;
+    if (trigger !== shopTrigger) {
+      console.log("order_trigger_callback: Shop sends orders on", shopTrigger, "skipping", trigger); // Logs ignored trigger
+      return;
+    }
+    if (trigger === config.orderTriggers.FULFILLMENTS_CREATE) {
+      payload = await fetch_order(session, payload.order_id);
+    }
+
     const customerCarrierCode = payload.shipping_lines?.[0]?.code;
     let isDeliverightOrder = !!config.serviceLevels[customerCarrierCode];
 
     if (isDeliverightOrder) {
-      console.log("orders_fulfilled_callback: Accepted Deliveright order", payload.id); // Logs Deliveright order acceptance
-      try {
-        console.log("orders_fulfilled_callback: Updating line item locations"); // Logs location update start
-        await update_line_items_location(session, payload);
-
-        payload.customer_address = payload.shipping_address || payload.customer?.default_address;
-        console.log("orders_fulfilled_callback: Filtering products for order", payload.id); // Logs product filtering
-        let filtered_items = await filterDeliverightProducts(shopify, session, payload.line_items);
-        payload = { ...payload, line_items: filtered_items };
-        console.log("orders_fulfilled_callback: Products filtered, creating new order"); // Logs filtered products
-      } catch (e) {
-        console.error("orders_fulfilled_callback: Error updating locations", e.message); // Logs error in location update
-      }
-
-        const isNew = await markIfNew(shop, payload.id);
+      console.log("order_trigger_callback: Accepted Deliveright order", payload.id); // Logs Deliveright order acceptance
+      payload = await prepare_order(session, store, payload);
+
+        const isNew = await enqueueOrder(shop, payload);
         if (!isNew) {
           console.log(
-            `orders_fulfilled_callback: Order ${payload.id} already processed for shop ${shop}`
+            `order_trigger_callback: Order ${payload.id} already queued for shop ${shop}`
           );
           return;
         }
 
-        console.log("orders_fulfilled_callback: Sending order to Deliveright for shop", shop); // Logs order creation start
-        console.log("information before calling  newORder, payload: ", payload,"-----------store: ",store,"....................shop: ",shop)
-        await deliveright.newOrder(payload, store, shop);
-      console.log("orders_fulfilled_callback: Order sent to Deliveright successfully"); // Logs successful order creation
+        console.log("order_trigger_callback: Sending order to Deliveright for shop", shop); // Logs order creation start
+        const status = await submitOrder(shop, payload.id);
+      console.log("order_trigger_callback: Order submission status", status); // Logs submission outcome
     } else {
-      console.log("orders_fulfilled_callback: Rejected non-Deliveright order", payload.id); // Logs non-Deliveright order rejection
+      console.log("order_trigger_callback: Rejected non-Deliveright order", payload.id); // Logs non-Deliveright order rejection
     }
   } catch (e) {
-    console.error("orders_fulfilled_callback: Error processing order", e.message); // Logs general error
-    console.error("orders_fulfilled_callback: Payload on error", payload.id); // Logs payload ID on error
-    console.error("orders_fulfilled_callback: Webhook ID", webhookId); // Logs webhook ID on error
+    console.error("order_trigger_callback: Error processing order", e.message); // Logs general error
+    console.error("order_trigger_callback: Payload on error", payload.id); // Logs payload ID on error
+    console.error("order_trigger_callback: Webhook ID", webhookId); // Logs webhook ID on error
+  }
+};
+
+/**
+ * Order cancelled webhook callback handler
+ *
+ * Cancels the Deliveright order of a cancelled Shopify order, or stops
+ * retrying it if it was not sent yet. Orders that never reached the order
+ * queue are ignored.
+ *
+ * @async
+ * @function orders_cancelled_callback
+ * @param {string} topic - Webhook topic (ORDERS_CANCELLED)
+ * @param {string} shop - Shop domain
+ * @param {string} body - Raw webhook body (JSON string)
+ * @param {string} webhookId - Unique webhook ID
+ * @returns {Promise<void>}
+ */
+const orders_cancelled_callback = async (topic, shop, body, webhookId) => {
+  console.log("orders_cancelled_callback: Processing webhook for shop", shop); // Logs webhook processing start
+  const payload = JSON.parse(body);
+  try {
+    const store = await deliveright.getStore(shop);
+    const session = {
+      shop,
+      accessToken: store.settings.auth.access_token,
+    };
+    const outcome = await cancelDeliverightOrder(session, payload);
+    console.log("orders_cancelled_callback: Order", payload.id, "cancellation outcome", outcome); // Logs cancellation outcome
+  } catch (e) {
+    console.error("orders_cancelled_callback: Error cancelling order", payload.id, e.message); // Logs general error
+    console.error("orders_cancelled_callback: Webhook ID", webhookId); // Logs webhook ID on error
+  }
+};
+
+/**
+ * Order updated and order edited webhook callback handler
+ *
+ * Pushes changes to orders Deliveright already accepted. orders/edited only
+ * carries the edit, so the order is fetched. Orders that were not sent are
+ * skipped before any Shopify or Deliveright call, as orders/updated fires
+ * for every change to any order. Cancelled orders are skipped too:
+ * orders/updated also fires on cancellation, and their cancellation is
+ * handled by orders_cancelled_callback.
+ *
+ * @async
+ * @function orders_updated_callback
+ * @param {string} topic - Webhook topic (ORDERS_UPDATED or ORDERS_EDITED)
+ * @param {string} shop - Shop domain
+ * @param {string} body - Raw webhook body (JSON string)
+ * @param {string} webhookId - Unique webhook ID
+ * @returns {Promise<void>}
+ */
+const orders_updated_callback = async (topic, shop, body, webhookId) => {
+  const edited = triggerOf(topic) === "orders/edited";
+  let payload = JSON.parse(body);
+  const orderId = edited ? payload.order_edit?.order_id : payload.id;
+  console.log("orders_updated_callback: Processing", triggerOf(topic), "for order", orderId, "shop", shop); // Logs webhook processing start
+  try {
+    const job = await getOrderJob(shop, orderId);
+    if (job?.status !== ORDER_STATUS.SENT) {
+      console.log("orders_updated_callback: Order", orderId, "was not sent to Deliveright, skipping"); // Logs skipped order
+      return;
+    }
+
+    const store = await deliveright.getStore(shop);
+    const session = {
+      shop,
+      accessToken: store.settings.auth.access_token,
+    };
+    if (edited) {
+      payload = await fetch_order(session, orderId);
+    }
+    if (payload.cancelled_at) {
+      console.log("orders_updated_callback: Order", orderId, "is cancelled, skipping"); // Logs cancelled order
+      return;
+    }
+    payload = await prepare_order(session, store, payload);
+
+    const outcome = await syncOrderUpdate(session, store, payload);
+    console.log("orders_updated_callback: Order", orderId, "update outcome", outcome); // Logs update outcome
+  } catch (e) {
+    console.error("orders_updated_callback: Error updating order", orderId, e.message); // Logs general error
+    console.error("orders_updated_callback: Webhook ID", webhookId); // Logs webhook ID on error
   }
 };
 
 export default {
   /**
-   * Order Fulfilled Webhook Configuration
+   * Order Trigger Webhook Configurations
    *
-   * Triggers when an order is marked as fulfilled in Shopify.
-   * This is the signal to send the order to Deliveright for processing.
+   * Every event a shop can pick as its order_trigger is subscribed; the
+   * handler ignores the events other than the shop's.
    *
-   * @property {Object} ORDERS_FULFILLED
-   * @property {string} ORDERS_FULFILLED.deliveryMethod - HTTP delivery
-   * @property {string} ORDERS_FULFILLED.callbackUrl - /api/webhooks
-   * @property {Function} ORDERS_FULFILLED.callback - Handler function
+   * @property {Object} ORDERS_CREATE - Order placed
+   * @property {Object} ORDERS_PAID - Order paid
+   * @property {Object} FULFILLMENTS_CREATE - Fulfillment created
+   * @property {Object} ORDERS_FULFILLED - Whole order fulfilled (default trigger)
+   * @property {Object} [ORDERS_CANCELLED] - Order cancelled, cancels the Deliveright order
+   *   (registered only when config.orderEndpoints.cancel is set)
+   * @property {Object} [ORDERS_UPDATED] - Order changed, pushes changes to the Deliveright order
+   * @property {Object} [ORDERS_EDITED] - Order edited, pushes changes to the Deliveright order
+   *   (both registered only when config.orderEndpoints.update is set)
+   * @property {string} *.deliveryMethod - HTTP delivery
+   * @property {string} *.callbackUrl - /api/webhooks
+   * @property {Function} *.callback - Handler function
    */
+  ORDERS_CREATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: order_trigger_callback,
+  },
+  ORDERS_PAID: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: order_trigger_callback,
+  },
+  FULFILLMENTS_CREATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: order_trigger_callback,
+  },
   ORDERS_FULFILLED: {
     deliveryMethod: DeliveryMethod.Http,
     callbackUrl: "/api/webhooks",
-    callback: orders_fulfilled_callback,
+    callback: order_trigger_callback,
   },
+  ...(config.orderEndpoints.cancel && {
+    ORDERS_CANCELLED: {
+      deliveryMethod: DeliveryMethod.Http,
+      callbackUrl: "/api/webhooks",
+      callback: orders_cancelled_callback,
+    },
+  }),
+  ...(config.orderEndpoints.update && {
+    ORDERS_UPDATED: {
+      deliveryMethod: DeliveryMethod.Http,
+      callbackUrl: "/api/webhooks",
+      callback: orders_updated_callback,
+    },
+    ORDERS_EDITED: {
+      deliveryMethod: DeliveryMethod.Http,
+      callbackUrl: "/api/webhooks",
+      callback: orders_updated_callback,
+    },
+  }),
 };
-console.log("Order Webhook: Exporting ORDERS_FULFILLED webhook handler"); // Logs webhook handler export
\ No newline at end of file
+console.log("Order Webhook: Exporting order trigger, cancellation and update webhook handlers"); // Logs webhook handler export
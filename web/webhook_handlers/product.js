@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Product Webhook Handlers
+ *
+ * This module keeps the product eligibility cache (see utils/productCache)
+ * in sync with the catalog, so checkout rarely needs a live product lookup.
+ *
+ * Handlers:
+ * - PRODUCTS_CREATE / PRODUCTS_UPDATE: Look the product up again and cache it,
+ *   with its variants' dimensions and stocked locations (see
+ *   utils/variantDetails). The webhook payload has no metafields or
+ *   collections, so the product is fetched with the shop's eligibility rules
+ *   instead of read from the payload.
+ * - PRODUCTS_DELETE: Remove the product from the cache
+ *
+ * Cached carts and quotes of the shop are dropped as well (see
+ * utils/rateCache) when the product was deleted or its record changed in a
+ * way rates depend on (see eligibilitySignature in utils/productCache).
+ * Updates that leave it unchanged (price, description, stock, ...) keep them.
+ *
+ * @module webhook_handlers/product
+ * @requires @shopify/shopify-api
+ * @requires ../classes/deliveright
+ * @requires ../utils/filterDeliverightProducts
+ * @requires ../utils/productCache
+ * @requires ../utils/rateCache
+ *
+ * @author Deliveright Development Team
+ * @version 1.0.0
+ */
+
+import { DeliveryMethod } from "@shopify/shopify-api";
+import deliveright from "../classes/deliveright.js";
+import { refreshProducts } from "../utils/filterDeliverightProducts.js";
+import { deleteProducts, eligibilitySignature, getCachedProducts } from "../utils/productCache.js";
+import { invalidateShop } from "../utils/rateCache.js";
+
+/**
+ * Refresh a created or updated product in the cache
+ *
+ * @async
+ * @function products_changed_callback
+ * @param {string} topic - Webhook topic (PRODUCTS_CREATE or PRODUCTS_UPDATE)
+ * @param {string} shop - Shop domain
+ * @param {string} body - Raw webhook body (JSON string)
+ * @param {string} webhookId - Unique webhook ID
+ * @returns {Promise<void>}
+ */
+const products_changed_callback = async (topic, shop, body, webhookId) => {
+  const payload = JSON.parse(body);
+  console.log("products_changed_callback: Processing", topic, "for product", payload.id, "shop", shop); // Logs webhook processing start
+  try {
+    const store = await deliveright.getStore(shop);
+    const session = {
+      shop,
+      accessToken: store.settings.auth.access_token,
+    };
+    const previous = (await getCachedProducts(shop, [payload.id])).get(payload.id);
+    const [product] = await refreshProducts(session, [payload.id], store.settings.eligibility, {
+      [payload.id]: (payload.variants || []).map((variant) => variant.id),
+    });
+    console.log("products_changed_callback: Product cache updated for product", payload.id); // Logs cache update
+
+    // Cached rates only go stale when what they were quoted from changed
+    if (!previous || eligibilitySignature(previous) !== eligibilitySignature(product)) {
+      invalidateShop(shop);
+    } else {
+      console.log("products_changed_callback: Product", payload.id, "unchanged for rates, keeping cached rates"); // Logs kept rate cache
+    }
+  } catch (e) {
+    console.error("products_changed_callback: Error refreshing product", payload.id, e.message); // Logs refresh error
+    console.error("products_changed_callback: Webhook ID", webhookId); // Logs webhook ID on error
+  }
+};
+
+/**
+ * Remove a deleted product from the cache
+ *
+ * @async
+ * @function products_delete_callback
+ * @param {string} topic - Webhook topic (PRODUCTS_DELETE)
+ * @param {string} shop - Shop domain
+ * @param {string} body - Raw webhook body (JSON string, only holds the product ID)
+ * @param {string} webhookId - Unique webhook ID
+ * @returns {Promise<void>}
+ */
+const products_delete_callback = async (topic, shop, body, webhookId) => {
+  const payload = JSON.parse(body);
+  console.log("products_delete_callback: Removing product", payload.id, "for shop", shop); // Logs webhook processing start
+  try {
+    await deleteProducts(shop, [payload.id]);
+    invalidateShop(shop);
+  } catch (e) {
+    console.error("products_delete_callback: Error removing product", payload.id, e.message); // Logs delete error
+    console.error("products_delete_callback: Webhook ID", webhookId); // Logs webhook ID on error
+  }
+};
+
+export default {
+  /**
+   * Product Created Webhook Configuration
+   *
+   * @property {Object} PRODUCTS_CREATE
+   * @property {string} PRODUCTS_CREATE.deliveryMethod - HTTP delivery
+   * @property {string} PRODUCTS_CREATE.callbackUrl - /api/webhooks
+   * @property {Function} PRODUCTS_CREATE.callback - Handler function
+   */
+  PRODUCTS_CREATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: products_changed_callback,
+  },
+
+  /**
+   * Product Updated Webhook Configuration
+   *
+   * Also sent when tags, type or variants change. Metafield-only changes
+   * are not always reported; config.productCache.maxAgeHours bounds how
+   * long they can go unnoticed.
+   *
+   * @property {Object} PRODUCTS_UPDATE
+   * @property {string} PRODUCTS_UPDATE.deliveryMethod - HTTP delivery
+   * @property {string} PRODUCTS_UPDATE.callbackUrl - /api/webhooks
+   * @property {Function} PRODUCTS_UPDATE.callback - Handler function
+   */
+  PRODUCTS_UPDATE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: products_changed_callback,
+  },
+
+  /**
+   * Product Deleted Webhook Configuration
+   *
+   * @property {Object} PRODUCTS_DELETE
+   * @property {string} PRODUCTS_DELETE.deliveryMethod - HTTP delivery
+   * @property {string} PRODUCTS_DELETE.callbackUrl - /api/webhooks
+   * @property {Function} PRODUCTS_DELETE.callback - Handler function
+   */
+  PRODUCTS_DELETE: {
+    deliveryMethod: DeliveryMethod.Http,
+    callbackUrl: "/api/webhooks",
+    callback: products_delete_callback,
+  },
+};
+console.log("Product Webhook: Exporting product webhook handlers"); // Logs webhook handler export